@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * HISTORICAL PERMIT BACKFILL
+ *
+ * Walks each city portal's permit history window by window and saves what it finds, so
+ * submarkets have a baseline and predictions can be backtested. Progress is checkpointed per
+ * city after every window; re-running the same command resumes where it stopped.
+ *
+ * Usage: node scripts/backfill-permits.js <city> [<city> ...] [--months=24 | --from=YYYY-MM-DD [--to=YYYY-MM-DD]]
+ *                                         [--chunk-days=30] [--min-value=N] [--restart]
+ *        node scripts/backfill-permits.js --status
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const PermitBackfill = require('../src/scrapers/permit-backfill');
+
+function readOption(args, name) {
+  const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function main(args) {
+  const backfill = new PermitBackfill();
+
+  if (args.includes('--status')) {
+    console.log('\n📚 PERMIT BACKFILL CHECKPOINTS\n');
+    console.log(JSON.stringify(await backfill.getCheckpoints(), null, 2));
+    return [];
+  }
+
+  const cityKeys = args.filter(arg => !arg.startsWith('--'));
+  if (cityKeys.length === 0) {
+    throw new Error('Name at least one city, e.g. node scripts/backfill-permits.js irvine --months=24');
+  }
+
+  const months = readOption(args, 'months');
+  const chunkDays = readOption(args, 'chunk-days');
+  const minValue = readOption(args, 'min-value');
+
+  console.log(`\n📚 PERMIT BACKFILL: ${cityKeys.join(', ')}${args.includes('--restart') ? ' (RESTART)' : ''}\n`);
+
+  const results = await backfill.run(cityKeys, {
+    from: readOption(args, 'from'),
+    to: readOption(args, 'to'),
+    months: months ? parseInt(months) : undefined,
+    chunkDays: chunkDays ? parseInt(chunkDays) : undefined,
+    minValue: minValue ? parseInt(minValue) : undefined,
+    restart: args.includes('--restart')
+  });
+
+  console.log('\n📊 SUMMARY');
+  console.log(JSON.stringify(results, null, 2));
+  return results;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((results) => {
+      const failed = results.some(result => result.status === 'failed');
+      if (failed) console.log('\nℹ️  Re-run the same command to resume from the last checkpoint');
+      process.exit(failed ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error('❌ Permit backfill failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * PREDICTION KEY BACKFILL
+ *
+ * Keys predictions saved before prediction_key existed, and moves predictions keyed on a company
+ * name onto the company's ID once it has resolved (run after companies:resolve). Where several
+ * open predictions end up under one key, the one seen last stays open and the rest are marked
+ * superseded.
+ *
+ * Usage: node scripts/backfill-prediction-keys.js
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const predictionStore = require('../src/analysis/prediction-store');
+
+async function run() {
+  console.log('\n🔑 PREDICTION KEY BACKFILL\n');
+
+  const report = await predictionStore.backfillKeys();
+
+  console.log('\n📊 SUMMARY');
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+if (require.main === module) {
+  run()
+    .then(() => predictionStore.prisma.$disconnect())
+    .catch(async (error) => {
+      console.error('❌ Prediction key backfill failed:', error.message);
+      await predictionStore.prisma.$disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = run;
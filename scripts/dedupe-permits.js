@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * PERMIT ID MIGRATION & DEDUPLICATION
+ *
+ * Permits scraped before stable identifiers existed were keyed by Date.now(), so every
+ * run inserted the same permit again. This script re-derives each legacy row's ID from
+ * its city, address, applicant and value, collapses rows that resolve to the same
+ * permit into the oldest one, and rewrites the survivor's permit_id. Status history and
+ * prediction evidence of the removed copies move to the survivor.
+ *
+ * Runs as a dry run by default; pass --apply to write the changes.
+ *
+ * Usage: node scripts/dedupe-permits.js [--apply]
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { buildPermitId, isLegacyPermitId } = require('../src/utils/permit-identity');
+
+// Load environment variables
+require('dotenv').config();
+
+// The original Irvine scraper did not record a city
+const LEGACY_DEFAULT_CITY = 'Irvine';
+
+const MERGE_FIELDS = [
+  'value', 'applicant', 'contractor', 'architect', 'owner', 'square_footage', 'use_type',
+  'work_class', 'property_type', 'status', 'status_stage', 'issued_date', 'finaled_date',
+  'city', 'source_url', 'address_normalized', 'suite', 'latitude', 'longitude', 'apn', 'building_key'
+];
+
+class PermitDeduplicator {
+  constructor({ apply = false } = {}) {
+    this.apply = apply;
+    this.prisma = new PrismaClient();
+    this.report = {
+      scanned: 0,
+      legacy: 0,
+      groups: 0,
+      duplicatesRemoved: 0,
+      idsRewritten: 0
+    };
+  }
+
+  stableIdFor(permit) {
+    if (!isLegacyPermitId(permit.permit_id)) return permit.permit_id;
+    return buildPermitId({ ...permit, city: permit.city || LEGACY_DEFAULT_CITY });
+  }
+
+  async groupPermits() {
+    const permits = await this.prisma.permit.findMany({ orderBy: { created_at: 'asc' } });
+    const groups = new Map();
+
+    for (const permit of permits) {
+      this.report.scanned++;
+      if (isLegacyPermitId(permit.permit_id)) this.report.legacy++;
+
+      const stableId = this.stableIdFor(permit);
+      if (!groups.has(stableId)) groups.set(stableId, []);
+      groups.get(stableId).push(permit);
+    }
+
+    return groups;
+  }
+
+  // Keep the oldest row and fill any gaps from the newer copies
+  mergeGroup(rows) {
+    const [keeper, ...duplicates] = rows;
+    const updates = {};
+
+    for (const field of MERGE_FIELDS) {
+      if (keeper[field] !== null && keeper[field] !== undefined) continue;
+      const source = [...duplicates].reverse().find(row => row[field] !== null && row[field] !== undefined);
+      if (source) updates[field] = source[field];
+    }
+
+    return { keeper, duplicates, updates };
+  }
+
+  // Moves the duplicates' status history and prediction evidence to the keeper before deleting
+  // them, so the merge loses nothing. A duplicate already holding the stable ID is parked under a
+  // temporary one first, which frees the unique permit_id for the keeper.
+  mergeOperations(stableId, keeper, duplicates, updates) {
+    const operations = [];
+    const holder = duplicates.find(row => row.permit_id === stableId);
+    const parkedId = holder ? `${stableId}#merging-${holder.id}` : null;
+
+    if (holder) {
+      operations.push(this.prisma.permit.update({ where: { id: holder.id }, data: { permit_id: parkedId } }));
+    }
+
+    // Status history follows permit_id (onUpdate: Cascade), so the keeper's own rows move with it
+    operations.push(this.prisma.permit.update({
+      where: { id: keeper.id },
+      data: { ...updates, permit_id: stableId }
+    }));
+
+    const duplicatePermitIds = duplicates
+      .map(row => (row === holder ? parkedId : row.permit_id))
+      .filter(Boolean);
+    operations.push(
+      this.prisma.permitStatusChange.updateMany({
+        where: { permit_id: { in: duplicatePermitIds } },
+        data: { permit_id: stableId }
+      }),
+      this.prisma.predictionEvidence.updateMany({
+        where: { permit_id: { in: duplicates.map(row => row.id) } },
+        data: { permit_id: keeper.id }
+      }),
+      this.prisma.permit.deleteMany({ where: { id: { in: duplicates.map(row => row.id) } } })
+    );
+
+    return operations;
+  }
+
+  async run() {
+    console.log(`\n🔁 PERMIT ID MIGRATION (${this.apply ? 'APPLY' : 'DRY RUN'})\n`);
+
+    const groups = await this.groupPermits();
+
+    for (const [stableId, rows] of groups) {
+      const { keeper, duplicates, updates } = this.mergeGroup(rows);
+      const needsNewId = keeper.permit_id !== stableId;
+
+      if (duplicates.length === 0 && !needsNewId) continue;
+
+      this.report.groups++;
+      this.report.duplicatesRemoved += duplicates.length;
+      if (needsNewId) this.report.idsRewritten++;
+
+      console.log(`   ${stableId}: keep ${keeper.id}${duplicates.length ? `, remove ${duplicates.length} duplicate(s)` : ''}`);
+
+      if (!this.apply) continue;
+
+      await this.prisma.$transaction(this.mergeOperations(stableId, keeper, duplicates, updates));
+    }
+
+    console.log('\n📊 SUMMARY');
+    console.log(JSON.stringify(this.report, null, 2));
+
+    if (!this.apply && this.report.groups > 0) {
+      console.log('\nℹ️  Dry run only - re-run with --apply to write these changes');
+    }
+
+    return this.report;
+  }
+
+  async close() {
+    await this.prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  const deduplicator = new PermitDeduplicator({ apply: process.argv.includes('--apply') });
+
+  deduplicator.run()
+    .then(() => deduplicator.close())
+    .catch(async (error) => {
+      console.error('❌ Permit migration failed:', error.message);
+      await deduplicator.close();
+      process.exit(1);
+    });
+}
+
+module.exports = PermitDeduplicator;
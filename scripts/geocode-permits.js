@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * ADDRESS NORMALIZATION & GEOCODING BACKFILL
+ *
+ * Fills address_normalized, suite, latitude, longitude, apn and building_key on permits saved
+ * before addresses were normalized, and building_key on jobs and predictions. Re-run it after
+ * loading a newer address dataset with --all to refresh every row.
+ *
+ * Usage: node scripts/geocode-permits.js [--all]
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const geocoder = require('../src/utils/geocoder');
+
+// Load environment variables
+require('dotenv').config();
+
+class GeocodeBackfill {
+  constructor({ all = false } = {}) {
+    this.all = all;
+    this.prisma = new PrismaClient();
+    this.report = {
+      permits: 0,
+      located: 0,
+      withParcel: 0,
+      jobs: 0,
+      predictions: 0
+    };
+  }
+
+  async backfillPermits() {
+    const permits = await this.prisma.permit.findMany({
+      where: this.all ? {} : { building_key: null }
+    });
+
+    for (const permit of permits) {
+      this.report.permits++;
+      const location = await geocoder.locate(permit.address, permit.city);
+      if (!location.building_key) continue;
+
+      this.report.located++;
+      if (location.apn) this.report.withParcel++;
+      await this.prisma.permit.update({ where: { id: permit.id }, data: location });
+    }
+  }
+
+  // Jobs and predictions carry a free-form location; only street addresses resolve to a building
+  async backfillLinked(model, counter) {
+    const rows = await this.prisma[model].findMany({
+      where: this.all ? {} : { building_key: null },
+      select: { id: true, location: true }
+    });
+
+    for (const row of rows) {
+      const { building_key } = await geocoder.locate(row.location);
+      if (!building_key) continue;
+
+      this.report[counter]++;
+      await this.prisma[model].update({ where: { id: row.id }, data: { building_key } });
+    }
+  }
+
+  async run() {
+    console.log(`\n📍 ADDRESS GEOCODING BACKFILL (${this.all ? 'ALL ROWS' : 'MISSING ONLY'})\n`);
+
+    await this.backfillPermits();
+    await this.backfillLinked('job', 'jobs');
+    await this.backfillLinked('prediction', 'predictions');
+
+    console.log('\n📊 SUMMARY');
+    console.log(JSON.stringify({ ...this.report, geocoder: geocoder.getStats() }, null, 2));
+
+    return this.report;
+  }
+
+  async close() {
+    await this.prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  const backfill = new GeocodeBackfill({ all: process.argv.includes('--all') });
+
+  backfill.run()
+    .then(() => backfill.close())
+    .catch(async (error) => {
+      console.error('❌ Geocoding backfill failed:', error.message);
+      await backfill.close();
+      process.exit(1);
+    });
+}
+
+module.exports = GeocodeBackfill;
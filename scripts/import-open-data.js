@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * OPEN-DATA PERMIT IMPORT
+ *
+ * Imports a city's published permit dataset (CSV export or Socrata JSON endpoint) through the
+ * column mapping in config/cities.json (openData). Rows are saved with the same permit IDs the
+ * scrapers use, so importing a file twice updates the existing rows.
+ *
+ * Usage: node scripts/import-open-data.js <city> [--file=<name>] [--url=<url>] [--since=YYYY-MM-DD]
+ *                                        [--limit=N] [--min-value=N] [--dry-run] [--report=<path>]
+ *
+ * --file names a CSV or JSON file in OPEN_DATA_DIR (data/open-data by default). --url must be on
+ * the host of the city's configured openData.url.
+ */
+
+const fs = require('fs');
+
+// Load environment variables
+require('dotenv').config();
+
+const OpenDataImporter = require('../src/scrapers/open-data-importer');
+
+function readOption(args, name) {
+  const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [cityKey] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!cityKey) {
+    console.error('Usage: node scripts/import-open-data.js <city> [--file=<name>] [--url=<url>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const minValue = readOption(args, 'min-value');
+  const limit = readOption(args, 'limit');
+  const reportPath = readOption(args, 'report');
+  const importer = new OpenDataImporter();
+
+  console.log(`\n📥 OPEN-DATA IMPORT: ${cityKey}${args.includes('--dry-run') ? ' (DRY RUN)' : ''}\n`);
+
+  importer.importCity(cityKey, {
+    file: readOption(args, 'file'),
+    url: readOption(args, 'url'),
+    since: readOption(args, 'since'),
+    limit: limit ? parseInt(limit) : undefined,
+    minValue: minValue !== undefined ? parseInt(minValue) : undefined,
+    dryRun: args.includes('--dry-run')
+  })
+    .then(async (report) => {
+      console.log('📊 IMPORT REPORT');
+      console.log(JSON.stringify(report, null, 2));
+      if (reportPath) {
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n📝 Report written to ${reportPath}`);
+      }
+      await importer.prisma.$disconnect();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Open-data import failed:', error.message);
+      await importer.prisma.$disconnect();
+      process.exit(1);
+    });
+}
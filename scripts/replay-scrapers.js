@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * SCRAPER FIXTURE RECORD / REPLAY RUNNER
+ *
+ * Runs the permit and job extractors against saved portal responses and compares what they
+ * extract with the expected output stored next to the fixtures. The portal adapters are driven
+ * directly, so nothing touches the database, and in replay mode no request leaves the machine.
+ * Every scope the runner knows about must have fixtures: a missing recording fails the run.
+ *
+ * Usage:
+ *   node scripts/replay-scrapers.js [permits] [status] [jobs] [ats]   # replay and compare (default: all)
+ *   node scripts/replay-scrapers.js --record                          # capture live fixtures + expected output
+ *   node scripts/replay-scrapers.js --update                          # replay and overwrite expected output
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+// Portals print dates without a zone and they are parsed as local time, so expected output is
+// pinned to UTC
+process.env.TZ = 'UTC';
+
+const args = process.argv.slice(2);
+process.env.SCRAPER_FIXTURE_MODE = args.includes('--record') ? 'record' : 'replay';
+
+const scraperFixtures = require('../src/utils/scraper-fixtures');
+const browserPool = require('../src/utils/browser-pool');
+const cityConfig = require('../src/scrapers/city-config');
+const permitAdapters = require('../src/scrapers/permit-adapters');
+const jobAdapters = require('../src/scrapers/job-adapters');
+const IndeedAdapter = require('../src/scrapers/job-adapters/indeed');
+const { buildPropertyThresholds } = require('../src/analysis/property-classifier');
+
+// Cities whose portal fixtures are checked in. IrvinePermitsScraper records under the same
+// permits/irvine scope, so this also covers it. Add a city once its scope has been recorded.
+const PERMIT_CITIES = ['irvine'];
+
+// Saved permits whose status pages are re-read, as PermitStatusTracker.recheckCity does. They are
+// records from the permits/irvine fixtures, so a live --record needs real record URLs here. The
+// last one has no page of its own, so its adapter answers null without a request.
+const STATUS_PERMITS = {
+  irvine: [
+    { permit_id: 'irvine:BLD2025-00412', source_url: 'https://aca-prod.accela.com/IRVINE/Cap/CapDetail.aspx?Module=Building&capID1=25BLD&capID2=00000&capID3=00412&agencyCode=IRVINE' },
+    { permit_id: 'irvine:BLD2025-00455', source_url: 'https://aca-prod.accela.com/IRVINE/Cap/CapDetail.aspx?Module=Building&capID1=25BLD&capID2=00000&capID3=00455&agencyCode=IRVINE' },
+    { permit_id: 'irvine:BLD2025-00398', source_url: 'https://aca-prod.accela.com/IRVINE/' }
+  ]
+};
+
+// The scrapers' default minimums, fixed here so a local MIN_*_PERMIT_VALUE can't change what
+// the fixtures are expected to yield
+const PERMIT_MINIMUMS = { office: 300000, industrial: 500000, fallback: 1000000 };
+
+// A small, fixed slice of the job search matrix keeps the Indeed fixtures reviewable
+const JOB_SEARCHES = [
+  { jobTitle: 'Facility Manager', location: 'Irvine, CA' },
+  { jobTitle: 'Warehouse Manager', location: 'Anaheim, CA' }
+];
+
+// Sample ATS boards whose feed responses are checked in under fixtures/scrapers/ats/. They are
+// hand-trimmed examples of each API's shape, not live companies, so --record leaves them alone.
+const ATS_TARGETS = [
+  { name: 'Harborline Robotics', source: 'greenhouse', board: 'harborlinerobotics' },
+  { name: 'Coastline Bioworks', source: 'lever', site: 'coastlinebioworks' },
+  { name: 'Meridian Medical', source: 'workday', url: 'https://meridianmed.wd1.myworkdayjobs.com/en-US/Careers' }
+];
+
+class ScraperReplayRunner {
+  constructor({ suites, update }) {
+    this.suites = suites;
+    this.update = update || scraperFixtures.isRecording();
+    this.startedAt = new Date();
+    this.failures = [];
+  }
+
+  async run() {
+    console.log(`\n🎞️  SCRAPER FIXTURES (${scraperFixtures.mode.toUpperCase()}) - ${scraperFixtures.fixtureDir}\n`);
+
+    for (const suite of this.suites) {
+      await this[`run${suite[0].toUpperCase()}${suite.slice(1)}`]();
+    }
+
+    console.log(this.failures.length === 0
+      ? '\n✅ All extractor outputs match their fixtures'
+      : `\n❌ ${this.failures.length} fixture scope(s) failed: ${this.failures.join(', ')}`);
+
+    return this.failures.length === 0;
+  }
+
+  async runPermits() {
+    for (const cityKey of PERMIT_CITIES) {
+      await this.runPermitScope(`permits/${cityKey}`, { key: cityKey, ...cityConfig.getCity(cityKey) });
+    }
+  }
+
+  // One city's adapter run, as MultiCityPermitsScraper.scrapeCity does it minus the diagnostics
+  async runPermitScope(scope, city) {
+    if (!this.hasRecording(scope)) return;
+
+    const adapter = permitAdapters.getAdapter(city.type, {
+      thresholds: buildPropertyThresholds({ ...PERMIT_MINIMUMS, overrides: city.thresholds }),
+      timeout: 60000
+    });
+    const permits = await this.collect(scope, () => browserPool.executeWithBrowser(async (browser) => {
+      const page = await browserPool.createPage(browser);
+      try {
+        await scraperFixtures.attach(page, scope);
+        return await adapter.scrape(page, { ...city, credentials: cityConfig.resolveCredentials(city) });
+      } finally {
+        await page.close();
+      }
+    }));
+    if (permits) this.check(scope, permits);
+  }
+
+  async runStatus() {
+    for (const [cityKey, permits] of Object.entries(STATUS_PERMITS)) {
+      const scope = `status/${cityKey}`;
+      if (!this.hasRecording(scope)) continue;
+
+      const city = { key: cityKey, ...cityConfig.getCity(cityKey) };
+      const adapter = permitAdapters.getAdapter(city.type, { timeout: 60000 });
+      const statuses = await this.collect(scope, () => browserPool.executeWithBrowser(async (browser) => {
+        const page = await browserPool.createPage(browser);
+        try {
+          await scraperFixtures.attach(page, scope);
+          const results = [];
+          for (const permit of permits) {
+            results.push({ permit_id: permit.permit_id, current: await adapter.fetchStatus(page, permit, city) });
+          }
+          return results;
+        } finally {
+          await page.close();
+        }
+      }));
+      if (statuses) this.check(scope, statuses);
+    }
+  }
+
+  async runJobs() {
+    const indeed = new IndeedAdapter({ timeout: 60000 });
+    if (!this.hasRecording(indeed.fixtureScope())) return;
+
+    const jobs = await this.collect(indeed.fixtureScope(), () => browserPool.executeWithBrowser(async (browser) => {
+      const results = [];
+      for (const target of JOB_SEARCHES) {
+        results.push(...await indeed.fetchPostings(target, { browser }));
+      }
+      return results;
+    }));
+    if (jobs) this.check(indeed.fixtureScope(), jobs);
+  }
+
+  async runAts() {
+    if (scraperFixtures.isRecording()) {
+      console.log('⏭️  ats: sample feeds are maintained by hand, not recorded');
+      return;
+    }
+
+    for (const target of ATS_TARGETS) {
+      const adapter = jobAdapters.getAdapter(target.source);
+      const scope = adapter.fixtureScope(target);
+      const postings = await this.collect(scope, () => adapter.fetchPostings(target));
+      if (postings) this.check(scope, postings);
+    }
+  }
+
+  // Live capture always runs; a replay without a recording is a failure, not a pass
+  hasRecording(scope) {
+    if (scraperFixtures.isRecording() || fs.existsSync(path.join(scraperFixtures.scopeDir(scope), 'index.json'))) {
+      return true;
+    }
+    console.log(`❌ ${scope}: no fixtures recorded, run with --record to capture them`);
+    this.failures.push(scope);
+    return false;
+  }
+
+  // A scope whose extractor throws fails on its own instead of ending the run
+  async collect(scope, extract) {
+    try {
+      return await extract();
+    } catch (error) {
+      console.log(`❌ ${scope}: ${error.message}`);
+      this.failures.push(scope);
+      return null;
+    }
+  }
+
+  // Timestamps the extractors fill in with "now" change on every run, so they are masked
+  stableView(records) {
+    return JSON.parse(JSON.stringify(records, (key, value) => {
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && new Date(value) >= this.startedAt) {
+        return '<run time>';
+      }
+      return value;
+    }));
+  }
+
+  check(scope, records) {
+    const expectedPath = path.join(scraperFixtures.scopeDir(scope), 'expected.json');
+    const actual = this.stableView(records);
+
+    if (this.update) {
+      fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+      fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2));
+      console.log(`📝 ${scope}: saved ${actual.length} record(s) as expected output`);
+      return;
+    }
+
+    if (!fs.existsSync(expectedPath)) {
+      console.log(`⚠️  ${scope}: no expected output recorded, run with --record or --update`);
+      this.failures.push(scope);
+      return;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+    if (JSON.stringify(expected) === JSON.stringify(actual)) {
+      console.log(`✅ ${scope}: ${actual.length} record(s) match`);
+    } else {
+      console.log(`❌ ${scope}: extracted ${actual.length} record(s), expected ${expected.length}`);
+      this.failures.push(scope);
+    }
+  }
+}
+
+if (require.main === module) {
+  const available = ['permits', 'status', 'jobs', 'ats'];
+  const requested = args.filter(arg => !arg.startsWith('--'));
+  const unknown = requested.filter(suite => !available.includes(suite));
+
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown suite(s): ${unknown.join(', ')} (available: ${available.join(', ')})`);
+    process.exit(1);
+  }
+
+  const runner = new ScraperReplayRunner({
+    suites: requested.length > 0 ? requested : available,
+    update: args.includes('--update')
+  });
+
+  runner.run()
+    .then(async (passed) => {
+      await browserPool.shutdown();
+      process.exit(passed ? 0 : 1);
+    })
+    .catch(async (error) => {
+      console.error('❌ Fixture run failed:', error.message);
+      await browserPool.shutdown();
+      process.exit(1);
+    });
+}
+
+module.exports = ScraperReplayRunner;
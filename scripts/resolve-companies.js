@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * COMPANY RESOLUTION BACKFILL
+ *
+ * Loads config/companies.json and links permits (by applicant), jobs and predictions to companies.
+ * By default only records without a company are resolved; --all re-resolves every record, e.g.
+ * after adding aliases to the seed file. Low-confidence matches are queued for review
+ * (GET /companies/reviews).
+ *
+ * Usage: node scripts/resolve-companies.js [--all]
+ */
+
+// Load environment variables (before the resolver reads its thresholds)
+require('dotenv').config();
+
+const companyResolver = require('../src/analysis/company-resolver');
+
+async function run(all) {
+  console.log(`\n🏢 COMPANY RESOLUTION (${all ? 'ALL RECORDS' : 'UNLINKED ONLY'})\n`);
+
+  await companyResolver.seed();
+  const report = await companyResolver.linkRecords({ all });
+
+  console.log('\n📊 SUMMARY');
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+if (require.main === module) {
+  run(process.argv.includes('--all'))
+    .then(() => companyResolver.prisma.$disconnect())
+    .catch(async (error) => {
+      console.error('❌ Company resolution failed:', error.message);
+      await companyResolver.prisma.$disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = run;
@@ -6,13 +6,24 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
 const cors = require('cors');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 // Import utilities
 const logger = require('./src/utils/logger');
 const cacheManager = require('./src/utils/cache');
 const browserPool = require('./src/utils/browser-pool');
 const systemMonitor = require('./src/utils/monitor');
+const cityConfig = require('./src/scrapers/city-config');
+const permitStatusTracker = require('./src/scrapers/permit-status-tracker');
+const scraperDiagnostics = require('./src/scrapers/scraper-diagnostics');
+const { PROPERTY_TYPES } = require('./src/analysis/property-classifier');
+const hiringVelocity = require('./src/analysis/hiring-velocity');
+const { companyKey } = require('./src/analysis/hiring-velocity');
+const companyResolver = require('./src/analysis/company-resolver');
+const expansionScorer = require('./src/analysis/expansion-scorer');
+const predictionStore = require('./src/analysis/prediction-store');
+const geocoder = require('./src/utils/geocoder');
+const circuitBreakers = require('./src/utils/circuit-breaker');
 
 // Import modules
 const Scheduler = require('./src/scheduler');
@@ -209,13 +220,26 @@ app.get('/api', (req, res) => {
     endpoints: {
       health: '/health',
       predictions: '/predictions',
+      prediction: '/predictions/:id',
+      predictionHistory: '/predictions/:id/history',
       permits: '/permits',
+      permitStatusHistory: '/permits/:permitId/status-history',
+      buildings: '/buildings?address=&city= or /buildings?key=',
       jobs: '/jobs',
+      jobPostings: '/job-postings?company=&source=&status=open|closed',
+      companies: '/companies?q=',
+      companyReviews: '/companies/reviews?status=pending',
+      resolveCompanyReview: 'POST /companies/reviews/:id/resolve',
+      companyHiring: '/companies/:id/hiring?days=42',
+      companyScore: '/companies/:id/score',
+      cities: '/cities',
       stats: '/stats',
       cache: '/cache',
       manual: {
         scrapePermits: '/manual/scrape-permits',
         scrapeMultiCityPermits: '/manual/scrape-multi-city-permits',
+        recheckPermitStatus: '/manual/recheck-permit-status',
+        importOpenData: '/manual/import-open-data',
         monitorJobs: '/manual/monitor-jobs',
         analyze: '/manual/analyze',
         testEmail: '/manual/test-email',
@@ -251,11 +275,20 @@ app.get('/health', async (req, res) => {
     // Get system stats
     const stats = await getSystemStats();
     
+    // Per-city scraper runs flagged by selector drift / yield checks
+    let scrapers;
+    try {
+      scrapers = await scraperDiagnostics.getStatus();
+    } catch (diagnosticsError) {
+      scrapers = { status: 'unknown', error: diagnosticsError.message };
+    }
+    
     const isSupabase = process.env.DATABASE_URL?.includes('supabase.co');
     const mode = isSupabase ? 'production (supabase)' : 'demo (local)';
     
     const healthData = {
-      status: dbStatus === 'connected' ? 'healthy' : 'degraded',
+      // A degraded scraper is reported but keeps the 200 - restarting the service won't fix a portal
+      status: dbStatus === 'connected' && scrapers.status !== 'warning' ? 'healthy' : 'degraded',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       memory: process.memoryUsage(),
@@ -275,6 +308,7 @@ app.get('/health', async (req, res) => {
       },
       browserPool: browserStats,
       cache: cacheStats,
+      scrapers,
       scheduler: isSupabase ? 'enabled' : 'disabled (demo mode)',
       mode,
       stats,
@@ -305,6 +339,7 @@ app.get('/stats', async (req, res) => {
       system: stats,
       cache: cacheStats,
       browserPool: browserStats,
+      circuitBreakers: circuitBreakers.getStats(),
       memory: process.memoryUsage(),
       uptime: process.uptime(),
       configuration: {
@@ -346,8 +381,17 @@ app.get('/predictions', async (req, res) => {
       async () => {
         const startTime = Date.now();
         const result = await prisma.prediction.findMany({
-          orderBy: { created_at: 'desc' },
-          take: 50
+          orderBy: { last_seen_at: 'desc' },
+          take: 50,
+          include: {
+            evidence_links: {
+              orderBy: { weight: 'desc' },
+              include: {
+                permit: { select: { id: true, permit_id: true, address: true, city: true, value: true, source_url: true } },
+                job: { select: { id: true, company: true, title: true, location: true, count: true } }
+              }
+            }
+          }
         });
         const duration = Date.now() - startTime;
         logger.db('fetch_predictions', duration, null, { count: result.length });
@@ -367,31 +411,166 @@ app.get('/predictions', async (req, res) => {
   }
 });
 
-// Get recent permits with caching
-app.get('/permits', async (req, res) => {
+// One prediction with the permits and jobs it cites, strongest first
+app.get('/predictions/:id', async (req, res) => {
   try {
-    const permits = await cacheManager.getDBCache(
-      'recent_permits',
-      async () => {
-        const startTime = Date.now();
-        const result = await prisma.permit.findMany({
-          orderBy: { created_at: 'desc' },
-          take: 50
+    const prediction = await prisma.prediction.findUnique({
+      where: { id: req.params.id },
+      include: {
+        resolved_company: true,
+        evidence_links: {
+          orderBy: { weight: 'desc' },
+          include: { permit: true, job: true }
+        },
+        revisions: { orderBy: { revision: 'asc' } }
+      }
+    });
+    if (!prediction) {
+      return res.status(404).json({ error: `Prediction ${req.params.id} not found` });
+    }
+
+    res.json(prediction);
+
+  } catch (error) {
+    logger.error('Failed to get prediction', { error: error.message, prediction: req.params.id });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confidence of one prediction over the analysis runs that revised it
+app.get('/predictions/:id/history', async (req, res) => {
+  try {
+    const prediction = await prisma.prediction.findUnique({ where: { id: req.params.id } });
+    if (!prediction) {
+      return res.status(404).json({ error: `Prediction ${req.params.id} not found` });
+    }
+
+    const history = await predictionStore.getHistory(prediction.id);
+    res.json({
+      id: prediction.id,
+      company: prediction.company,
+      status: prediction.status,
+      revision: prediction.revision,
+      confidence_score: prediction.confidence_score,
+      last_seen_at: prediction.last_seen_at,
+      history
+    });
+  } catch (error) {
+    logger.error('Failed to get prediction history', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get recent permits with caching
+// Optional filters: city, status, work_class, use_type, property_type, min_sqft
+app.get('/permits',
+  [
+    query('work_class').optional().isIn(['new', 'tenant_improvement', 'addition']),
+    query('property_type').optional().isIn(PROPERTY_TYPES),
+    query('min_sqft').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
         });
-        const duration = Date.now() - startTime;
-        logger.db('fetch_permits', duration, null, { count: result.length });
-        return result;
       }
-    );
+
+      const where = {};
+      if (req.query.city) where.city = req.query.city;
+      if (req.query.status) where.status = { contains: req.query.status, mode: 'insensitive' };
+      if (req.query.work_class) where.work_class = req.query.work_class;
+      if (req.query.use_type) where.use_type = { contains: req.query.use_type, mode: 'insensitive' };
+      if (req.query.property_type) where.property_type = req.query.property_type;
+      if (req.query.min_sqft) where.square_footage = { gte: parseInt(req.query.min_sqft) };
+
+      const filterKey = Object.keys(where).length > 0 ? `_${JSON.stringify(req.query)}` : '';
+      const permits = await cacheManager.getDBCache(
+        `recent_permits${filterKey}`,
+        async () => {
+          const startTime = Date.now();
+          const result = await prisma.permit.findMany({
+            where,
+            orderBy: { created_at: 'desc' },
+            take: 50
+          });
+          const duration = Date.now() - startTime;
+          logger.db('fetch_permits', duration, null, { count: result.length });
+          return result;
+        }
+      );
+    
+      res.json({
+        count: permits.length,
+        permits,
+        cached: true
+      });
     
+    } catch (error) {
+      logger.error('Failed to get permits', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Status history of one permit (permitId is the source-derived ID, e.g. irvine:BLD2024-01234)
+app.get('/permits/:permitId/status-history', async (req, res) => {
+  try {
+    const permit = await prisma.permit.findUnique({ where: { permit_id: req.params.permitId } });
+    if (!permit) {
+      return res.status(404).json({ error: `Permit ${req.params.permitId} not found` });
+    }
+
+    const history = await permitStatusTracker.getHistory(permit.permit_id);
     res.json({
-      count: permits.length,
-      permits,
-      cached: true
+      permit_id: permit.permit_id,
+      status: permit.status,
+      status_stage: permit.status_stage,
+      status_checked_at: permit.status_checked_at,
+      history
     });
-    
   } catch (error) {
-    logger.error('Failed to get permits', { error: error.message });
+    logger.error('Failed to get permit status history', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Everything recorded against one building: permits, jobs and predictions sharing its key
+app.get('/buildings', [
+  query('key').optional().isString().trim().notEmpty(),
+  query('address').optional().isString().trim().notEmpty(),
+  query('city').optional().isString().trim()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!req.query.key && !req.query.address) {
+    return res.status(400).json({ error: 'Provide a building key or an address' });
+  }
+
+  try {
+    const location = req.query.key
+      ? { building_key: req.query.key }
+      : await geocoder.locate(req.query.address, req.query.city);
+    if (!location.building_key) {
+      return res.status(404).json({ error: `Could not resolve a building for "${req.query.address}"` });
+    }
+
+    const where = { building_key: location.building_key };
+    const [permits, jobs, predictions] = await Promise.all([
+      prisma.permit.findMany({ where, orderBy: { date_filed: 'desc' } }),
+      prisma.job.findMany({ where, orderBy: { date_posted: 'desc' } }),
+      prisma.prediction.findMany({ where, orderBy: { created_at: 'desc' } })
+    ]);
+
+    res.json({ ...location, permits, jobs, predictions });
+  } catch (error) {
+    logger.error('Failed to get building records', { error: error.message });
     res.status(500).json({ error: error.message });
   }
 });
@@ -425,6 +604,216 @@ app.get('/jobs', async (req, res) => {
   }
 });
 
+// Individual postings behind the /jobs rollup, with their source IDs and first/last-seen times
+app.get('/job-postings',
+  [
+    query('status').optional().isIn(['open', 'closed']),
+    query('source').optional().isIn(['indeed', 'greenhouse', 'lever', 'workday']),
+    query('facility_role').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = {};
+      if (req.query.company) where.company = { contains: req.query.company, mode: 'insensitive' };
+      if (req.query.location) where.location = { contains: req.query.location, mode: 'insensitive' };
+      if (req.query.source) where.source = req.query.source;
+      if (req.query.status) where.closed_at = req.query.status === 'open' ? null : { not: null };
+      if (req.query.facility_role) where.facility_role = req.query.facility_role === 'true';
+
+      const postings = await prisma.jobPosting.findMany({
+        where,
+        orderBy: { last_seen_at: 'desc' },
+        take: 100
+      });
+
+      res.json({
+        count: postings.length,
+        postings
+      });
+
+    } catch (error) {
+      logger.error('Failed to get job postings', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Known companies with their aliases, parent and linked record counts
+app.get('/companies', async (req, res) => {
+  try {
+    const where = req.query.q
+      ? {
+        OR: [
+          { name: { contains: req.query.q, mode: 'insensitive' } },
+          { aliases: { has: req.query.q } }
+        ]
+      }
+      : {};
+
+    const companies = await prisma.company.findMany({
+      where,
+      include: {
+        parent: { select: { id: true, name: true } },
+        subsidiaries: { select: { id: true, name: true } },
+        _count: { select: { permits: true, jobs: true, predictions: true } }
+      },
+      orderBy: { name: 'asc' },
+      take: 100
+    });
+
+    res.json({
+      count: companies.length,
+      companies
+    });
+
+  } catch (error) {
+    logger.error('Failed to get companies', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Low-confidence company matches waiting for review
+app.get('/companies/reviews',
+  [
+    query('status').optional().isIn(['pending', 'linked', 'created', 'dismissed'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const reviews = await prisma.companyMatchReview.findMany({
+        where: { status: req.query.status || 'pending' },
+        include: {
+          candidate: { select: { id: true, name: true } },
+          company: { select: { id: true, name: true } }
+        },
+        orderBy: [{ occurrences: 'desc' }, { created_at: 'asc' }],
+        take: 100
+      });
+
+      res.json({
+        count: reviews.length,
+        reviews
+      });
+
+    } catch (error) {
+      logger.error('Failed to get company reviews', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Settle a queued match: link the name to a company (the candidate unless company_id is given),
+// create a company for it (optionally under parent_id) or dismiss it
+app.post('/companies/reviews/:id/resolve',
+  [
+    body('action').isIn(['link', 'create', 'dismiss']),
+    body('company_id').optional().isString(),
+    body('parent_id').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const review = await companyResolver.resolveReview(req.params.id, {
+        action: req.body.action,
+        companyId: req.body.company_id,
+        parentId: req.body.parent_id
+      });
+      if (!review) {
+        return res.status(404).json({ error: `Review ${req.params.id} not found` });
+      }
+
+      logger.info('Company review resolved', { id: review.id, name: review.name, status: review.status });
+      res.json({ success: true, review });
+
+    } catch (error) {
+      logger.error('Failed to resolve company review', { error: error.message, id: req.params.id });
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Rule-based expansion baseline for one company, with the reason behind every point
+app.get('/companies/:id/score', async (req, res) => {
+  try {
+    const score = await expansionScorer.scoreCompany(req.params.id);
+    if (!score) {
+      return res.status(404).json({ error: `Company ${req.params.id} not found` });
+    }
+
+    res.json(score);
+
+  } catch (error) {
+    logger.error('Failed to score company', { error: error.message, company: req.params.id });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hiring velocity for one company from the daily job-posting snapshots. The id is a company ID
+// or the company key ("Acme Robotics, Inc." -> acme-robotics-inc).
+app.get('/companies/:id/hiring',
+  [
+    query('days').optional().isInt({ min: 7, max: 365 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const company = await prisma.company.findUnique({ where: { id: req.params.id } });
+      const key = companyKey(company ? company.name : req.params.id);
+      const hiring = await hiringVelocity.getCompanyHiring(key, {
+        days: req.query.days ? parseInt(req.query.days) : undefined
+      });
+      if (!hiring) {
+        return res.status(404).json({ error: `No hiring snapshots for company ${key}` });
+      }
+
+      res.json(hiring);
+
+    } catch (error) {
+      logger.error('Failed to get company hiring', { error: error.message, company: req.params.id });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Current city configuration (reloaded automatically when config/cities.json changes)
+app.get('/cities', (req, res) => {
+  try {
+    res.json(cityConfig.describe());
+  } catch (error) {
+    logger.error('Failed to load city configuration', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Manual trigger endpoints with validation
 app.post('/manual/scrape-permits', 
   [body('force').optional().isBoolean()],
@@ -497,7 +886,11 @@ app.post('/manual/monitor-jobs',
 );
 
 app.post('/manual/analyze',
-  [body('force').optional().isBoolean()],
+  [
+    body('force').optional().isBoolean(),
+    body('propertyTypes').optional().isArray().withMessage('Property types must be an array'),
+    body('propertyTypes.*').optional().isIn(PROPERTY_TYPES)
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -508,21 +901,25 @@ app.post('/manual/analyze',
       logger.scheduler('manual_analysis', 'started');
       const startTime = Date.now();
       
-      const predictions = await scheduler.triggerAnalysis();
+      const result = await scheduler.triggerAnalysis({ propertyTypes: req.body.propertyTypes });
+      if (!result) {
+        logger.scheduler('manual_analysis', 'skipped', null, null, { reason: 'already running' });
+        return res.status(409).json({ error: 'An analysis is already running; try again when it finishes' });
+      }
       const duration = Date.now() - startTime;
       
       // Invalidate relevant caches
       cacheManager.invalidateCache('db', 'predictions');
       cacheManager.invalidateCache('ai', 'analysis');
       
-      logger.scheduler('manual_analysis', 'completed', duration, null, { count: predictions.length });
+      logger.scheduler('manual_analysis', 'completed', duration, null, { count: result.count });
       
       res.json({
         success: true,
         message: 'Mid-market expansion analysis completed',
-        count: predictions.length,
+        count: result.count,
         duration: `${duration}ms`,
-        predictions
+        predictions: result.predictions
       });
     } catch (error) {
       logger.scheduler('manual_analysis', 'failed', null, error);
@@ -642,6 +1039,53 @@ app.post('/manual/test-alert',
   }
 );
 
+// Re-check open permits for status changes (significant changes alert and trigger analysis)
+app.post('/manual/recheck-permit-status',
+  [
+    body('cities').optional().isArray().withMessage('Cities must be an array'),
+    body('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      logger.scheduler('manual_permit_status_recheck', 'started');
+      const startTime = Date.now();
+
+      const result = await scheduler.triggerPermitStatusRecheck({
+        cities: req.body.cities,
+        limit: req.body.limit ? parseInt(req.body.limit) : undefined
+      });
+      const duration = Date.now() - startTime;
+
+      cacheManager.invalidateCache('db', 'permits');
+
+      logger.scheduler('manual_permit_status_recheck', 'completed', duration, null, { checked: result.checked, unavailable: result.unavailable, changes: result.changes.length });
+
+      res.json({
+        success: true,
+        message: 'Permit status re-check completed',
+        checked: result.checked,
+        unavailable: result.unavailable,
+        duration: `${duration}ms`,
+        changes: result.changes.map(({ permit, change, significant }) => ({
+          permit_id: permit.permit_id,
+          from_status: change.from_status,
+          to_status: change.to_status,
+          to_stage: change.to_stage,
+          significant
+        }))
+      });
+    } catch (error) {
+      logger.scheduler('manual_permit_status_recheck', 'failed', null, error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 // Multi-city permits scraping endpoint
 app.post('/manual/scrape-multi-city-permits', 
   [
@@ -671,22 +1115,27 @@ app.post('/manual/scrape-multi-city-permits',
       scraper.minOfficeValue = MIN_OFFICE_VALUE;
       scraper.minIndustrialValue = MIN_INDUSTRIAL_VALUE;
       
-      // Optionally filter cities if specified
+      // Optionally limit the run to specific cities and override the minimum value
+      // (per-run options - the shared city configuration is left untouched)
+      const scrapeOptions = {};
       if (req.body.cities) {
-        const requestedCities = req.body.cities;
-        Object.keys(scraper.cities).forEach(cityKey => {
-          if (!requestedCities.includes(cityKey)) {
-            scraper.cities[cityKey].enabled = false;
-          }
-        });
+        const knownCities = Object.keys(cityConfig.getCities());
+        const unknownCities = req.body.cities.filter(cityKey => !knownCities.includes(cityKey));
+        if (unknownCities.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown cities: ${unknownCities.join(', ')}`,
+            availableCities: knownCities
+          });
+        }
+        scrapeOptions.cities = req.body.cities;
       }
       
-      // Optionally adjust minimum value
       if (req.body.minValue) {
-        scraper.minValue = parseInt(req.body.minValue);
+        scrapeOptions.minValue = parseInt(req.body.minValue);
       }
       
-      const permits = await scraper.scrapeAllCities();
+      const permits = await scraper.scrapeAllCities(scrapeOptions);
       
       const duration = Date.now() - startTime;
       
@@ -731,6 +1180,51 @@ app.post('/manual/scrape-multi-city-permits',
   }
 );
 
+// Bulk import from a city's published permit dataset (CSV or Socrata JSON)
+app.post('/manual/import-open-data',
+  [
+    body('city').isString().notEmpty().withMessage('City is required'),
+    body('file').optional().isString().withMessage('File must be a file name in the import directory'),
+    body('since').optional().isISO8601().withMessage('Since must be a date (YYYY-MM-DD)'),
+    body('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+    body('minValue').optional().isInt({ min: 0 }).withMessage('Min value must be a non-negative integer'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      if (!cityConfig.getCity(req.body.city)) {
+        return res.status(400).json({
+          error: `Unknown city: ${req.body.city}`,
+          availableCities: Object.keys(cityConfig.getCities())
+        });
+      }
+
+      logger.scheduler('manual_open_data_import', 'started', null, null, { city: req.body.city });
+      const startTime = Date.now();
+
+      const OpenDataImporter = require('./src/scrapers/open-data-importer');
+      const report = await new OpenDataImporter().importCity(req.body.city, {
+        file: req.body.file,
+        since: req.body.since,
+        limit: req.body.limit ? parseInt(req.body.limit) : undefined,
+        minValue: req.body.minValue !== undefined ? parseInt(req.body.minValue) : undefined,
+        dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+      });
+
+      logger.scheduler('manual_open_data_import', 'completed', Date.now() - startTime, null, { mapped: report.mapped });
+
+      res.json({ success: true, report });
+    } catch (error) {
+      logger.scheduler('manual_open_data_import', 'failed', null, error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   logger.error('Server error', { 
@@ -58,6 +58,12 @@ class EmailSender {
               </ul>
             </div>
             
+            ${this.linkedRecordsHtml(prediction, `
+            <div style="margin-bottom: 25px;">
+              <h3 style="color: #333; margin: 0 0 10px 0;">Linked Records</h3>
+              <ul style="color: #666; padding-left: 20px;">{items}</ul>
+            </div>`)}
+            
             <div style="margin-bottom: 25px;">
               <h3 style="color: #333; margin: 0 0 10px 0;">Timeline</h3>
               <p style="color: #666; margin: 0;">Estimated announcement in <strong>${prediction.timeline_days} days</strong></p>
@@ -87,7 +93,10 @@ Timeline: ${prediction.timeline_days} days
 
 Evidence:
 ${prediction.evidence.map(item => `• ${item}`).join('\n')}
-
+${(prediction.evidence_links || []).length > 0 ? `
+Linked Records:
+${prediction.evidence_links.map(link => `• ${this.describeLink(link)}`).join('\n')}
+` : ''}
 Action: ${prediction.action_recommendation}
 
 Generated by IntelliSense at ${new Date().toLocaleString()}
@@ -115,6 +124,26 @@ Generated by IntelliSense at ${new Date().toLocaleString()}
     }
   }
 
+  // "primary (90%): Permit BP-123: 100 Main St, Irvine" for one PredictionEvidence row
+  describeLink(link) {
+    return `${link.role} (${Math.round(link.weight * 100)}%): ${link.summary}`;
+  }
+
+  // The permits and jobs a prediction cites, as <li> items dropped into the template's {items};
+  // empty when the prediction has no linked records
+  linkedRecordsHtml(prediction, template) {
+    const links = prediction.evidence_links || [];
+    if (links.length === 0) return '';
+    
+    const items = links.map(link => {
+      const url = link.permit && link.permit.source_url;
+      const text = this.describeLink(link);
+      return `<li style="margin-bottom: 5px;">${url ? `<a href="${url}">${text}</a>` : text}</li>`;
+    }).join('');
+    
+    return template.replace('{items}', items);
+  }
+
   async sendDailyReport(stats) {
     if (this.disabled) {
       console.log('📧 Email disabled - Daily report logged:', stats);
@@ -201,6 +230,7 @@ Generated by IntelliSense at ${new Date().toLocaleString()}
             <div><strong>Property Type:</strong> ${prediction.prediction_type || 'Commercial'}</div>
             <div><strong>Location:</strong> ${prediction.location}</div>
             <div><strong>Timeline:</strong> ${prediction.timeline_days} days</div>
+            ${prediction.revision > 1 ? `<div><strong>Revision:</strong> ${prediction.revision} (confirmed by ${prediction.revision} analysis runs)</div>` : ''}
           </div>
           <div style="margin: 10px 0;">
             <strong>Evidence:</strong>
@@ -208,6 +238,11 @@ Generated by IntelliSense at ${new Date().toLocaleString()}
               ${prediction.evidence ? prediction.evidence.map(evidence => `<li>${evidence}</li>`).join('') : '<li>Analysis based on permit and job data</li>'}
             </ul>
           </div>
+          ${this.linkedRecordsHtml(prediction, `
+          <div style="margin: 10px 0;">
+            <strong>Linked Records:</strong>
+            <ul style="margin: 5px 0; padding-left: 20px;">{items}</ul>
+          </div>`)}
           <div style="background: #e3f2fd; padding: 10px; border-radius: 4px; margin-top: 10px;">
             <strong>Voit Action Required:</strong> ${prediction.action_recommendation || 'Contact company facilities team for immediate opportunity'}
           </div>
@@ -299,6 +334,67 @@ Generated by IntelliSense at ${new Date().toLocaleString()}
     }
   }
 
+  // events come from the permit status tracker: { permit, change, significant }
+  async sendPermitStatusAlert(events) {
+    if (this.disabled) {
+      console.log('📧 Email disabled - Permit status alert logged:', events.map(event => `${event.permit.permit_id}: ${event.change.to_status}`));
+      return { success: true, disabled: true };
+    }
+
+    try {
+      const subject = `🏗️ PERMIT STATUS CHANGE - ${events.length} large project${events.length === 1 ? '' : 's'} moved forward`;
+
+      const eventsHtml = events.map(({ permit, change }) => `
+        <div style="background: #f8f9fa; border-left: 4px solid #28a745; padding: 15px; margin: 10px 0; border-radius: 4px;">
+          <h3 style="margin: 0 0 10px 0; color: #28a745; font-size: 18px;">${permit.applicant || 'Applicant not specified'}</h3>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 10px;">
+            <div><strong>Status:</strong> ${change.from_status || 'New'} → <strong>${change.to_status}</strong></div>
+            <div><strong>Permit:</strong> ${permit.permit_id}</div>
+            <div><strong>Address:</strong> ${permit.address}${permit.city ? `, ${permit.city}` : ''}</div>
+            <div><strong>Value:</strong> ${permit.value ? '$' + Math.round(permit.value).toLocaleString() : 'n/a'}</div>
+            <div><strong>Work Class:</strong> ${permit.work_class || 'n/a'}</div>
+            <div><strong>Square Footage:</strong> ${permit.square_footage ? permit.square_footage.toLocaleString() : 'n/a'}</div>
+          </div>
+          <p style="margin: 0; color: #666;">${permit.description || ''}</p>
+          ${permit.source_url ? `<p style="margin: 10px 0 0 0;"><a href="${permit.source_url}">View permit record</a></p>` : ''}
+        </div>
+      `).join('');
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%); color: white; padding: 20px; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 24px;">🏗️ Permit Status Change</h1>
+            <p style="margin: 5px 0 0 0; opacity: 0.9;">Issued and finaled permits signal construction start and move-in timing</p>
+          </div>
+
+          <div style="background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+            ${eventsHtml}
+
+            <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                Generated by IntelliSense at ${new Date().toLocaleString()}
+              </p>
+            </div>
+          </div>
+        </div>
+      `;
+
+      const result = await this.transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: this.alertEmail,
+        subject: subject,
+        html: html
+      });
+
+      console.log(`📧 Permit status alert sent successfully: ${events.length} changes`);
+      return { success: true, messageId: result.messageId };
+
+    } catch (error) {
+      console.error('❌ Error sending permit status alert:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async testConnection() {
     if (this.disabled) {
       console.log('⚠️ Email connection test skipped - Email disabled');
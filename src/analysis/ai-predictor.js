@@ -1,17 +1,25 @@
-const OpenAI = require('openai');
 const { PrismaClient } = require('@prisma/client');
 const EmailSender = require('../alerts/email-sender');
+const geocoder = require('../utils/geocoder');
+const hiringVelocity = require('./hiring-velocity');
+const { companyKey } = require('./hiring-velocity');
+const companyResolver = require('./company-resolver');
+const expansionScorer = require('./expansion-scorer');
+const predictionStore = require('./prediction-store');
+const { PREDICTION_FUNCTION, validatePredictions } = require('./prediction-schema');
+const { PROPERTY_TYPES } = require('./property-classifier');
+const { createLlmClient } = require('./llm');
 
 const prisma = new PrismaClient();
 
 class AIPredictor {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    // OpenAI, an OpenAI-compatible local server or the fixture mock (LLM_PROVIDER)
+    this.llm = createLlmClient();
     
     this.emailSender = new EmailSender();
-    this.confidenceThreshold = 90; // Raised to 90% for high-quality alerts only
+    // The ALERT_CONFIDENCE_THRESHOLD the server reports, checked against the blended confidence
+    this.confidenceThreshold = parseInt(process.env.ALERT_CONFIDENCE_THRESHOLD) || 85;
     
     // Target companies for Voit Commercial Real Estate
     this.targetCompanies = [
@@ -38,24 +46,6 @@ class AIPredictor {
       'Westminster', 'Cypress', 'Los Alamitos', 'Seal Beach', 'La Habra'
     ];
     
-    // Professional corporate entity mappings for Voit
-    this.corporateEntityMap = {
-      'Apple': ['Apple Inc', 'Apple Computer', 'Apple Operations', 'Apple Real Estate', 'Apple Facilities', 'Apple Development'],
-      'Amazon': ['Amazon.com Inc', 'Amazon Development Corp', 'Amazon Real Estate', 'Amazon Operations', 'Amazon Web Services'],
-      'Google': ['Google LLC', 'Alphabet Inc', 'Google Real Estate', 'Google Development', 'Google Operations'],
-      'Meta': ['Meta Platforms Inc', 'Facebook Inc', 'Meta Real Estate', 'Meta Development'],
-      'Microsoft': ['Microsoft Corporation', 'Microsoft Real Estate', 'Microsoft Development', 'Microsoft Operations'],
-      'Tesla': ['Tesla Inc', 'Tesla Motors', 'Tesla Real Estate', 'Tesla Development', 'Tesla Manufacturing'],
-      'Rivian': ['Rivian Automotive', 'Rivian Real Estate', 'Rivian Development'],
-      'Irvine Company': ['Irvine Company LLC', 'Irvine Company Real Estate', 'Irvine Company Development'],
-      'Allergan': ['Allergan Inc', 'Allergan Real Estate', 'Allergan Development'],
-      'Edwards Lifesciences': ['Edwards Lifesciences Corp', 'Edwards Real Estate', 'Edwards Development'],
-      'Boeing': ['Boeing Company', 'Boeing Real Estate', 'Boeing Development', 'Boeing Operations'],
-      'Northrop Grumman': ['Northrop Grumman Corp', 'Northrop Real Estate', 'Northrop Development'],
-      'Kaiser Permanente': ['Kaiser Foundation', 'Kaiser Real Estate', 'Kaiser Development'],
-      'Pacific Life': ['Pacific Life Insurance', 'Pacific Life Real Estate', 'Pacific Life Development']
-    };
-    
     // Property types for Voit Commercial Real Estate
     this.propertyTypes = [
       'office', 'industrial', 'warehouse', 'distribution', 'manufacturing', 'data_center',
@@ -63,18 +53,30 @@ class AIPredictor {
     ];
   }
 
-  async analyzeAndPredict() {
+  // options.propertyTypes limits the permits analyzed (e.g. ['office', 'lab'])
+  async analyzeAndPredict(options = {}) {
     try {
       console.log('🤖 Starting AI analysis and prediction...');
       
+      // Link permit applicants and job companies to known companies (and their parents) first
+      try {
+        await companyResolver.linkRecords();
+      } catch (error) {
+        console.error('⚠️  Company resolution failed:', error.message);
+      }
+      
       // Get recent permits and jobs
       const permits = await prisma.permit.findMany({
         where: {
           date_filed: {
             gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Last 30 days
-          }
+          },
+          ...(options.propertyTypes && options.propertyTypes.length > 0
+            ? { property_type: { in: options.propertyTypes } }
+            : {})
         },
         orderBy: { date_filed: 'desc' },
+        include: { resolved_company: { include: { parent: true } } },
         take: 50
       });
       
@@ -85,6 +87,7 @@ class AIPredictor {
           }
         },
         orderBy: { date_posted: 'desc' },
+        include: { resolved_company: { include: { parent: true } } },
         take: 50
       });
       
@@ -106,53 +109,86 @@ class AIPredictor {
       
       console.log(`🏗️  Found ${realPermits.length} real permits with identifiable applicants`);
       
-      // Create analysis prompt
-      const prompt = this.createAnalysisPrompt(realPermits, jobs);
+      // Hiring velocity from the daily job-posting snapshots, keyed by company
+      let hiringMetrics = new Map();
+      try {
+        hiringMetrics = await hiringVelocity.getAllMetrics();
+      } catch (error) {
+        console.error('⚠️  Could not load hiring velocity metrics:', error.message);
+      }
       
-      // Get AI prediction
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert business intelligence analyst specializing in corporate expansion signals in Orange County, California. Analyze building permits and job postings to identify potential corporate facility expansions.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 2000
-      });
+      // Rule-based baseline per company, shown to the model and blended into its confidence
+      let baselines = [];
+      try {
+        baselines = await expansionScorer.scoreAll();
+      } catch (error) {
+        console.error('⚠️  Could not score expansion baselines:', error.message);
+      }
       
-      const analysis = completion.choices[0].message.content;
-      console.log('📝 AI Analysis completed');
+      // Create analysis prompt
+      const prompt = this.createAnalysisPrompt(realPermits, jobs, hiringMetrics, baselines);
+      
+      // Records the model may cite, by the ids given in the prompt
+      const permitsById = new Map(realPermits.map(permit => [permit.id, permit]));
+      const jobsById = new Map(jobs.map(job => [job.id, job]));
       
-      // Parse predictions from analysis
-      const predictions = this.parsePredictions(analysis);
+      // Get structured predictions (validated; malformed output is retried once, then rejected)
+      const predictions = await this.requestPredictions(prompt, {
+        recordIds: { permit: new Set(permitsById.keys()), job: new Set(jobsById.keys()) }
+      });
+      console.log(`📝 AI Analysis completed: ${predictions.length} predictions returned`);
       
       // Save predictions to database
       const savedPredictions = [];
       const highConfidencePredictions = [];
+      let createdCount = 0;
       
       for (const prediction of predictions) {
         try {
-          const savedPrediction = await prisma.prediction.create({
-            data: {
-              company: prediction.company,
-              confidence_score: prediction.confidence_score,
-              prediction_type: prediction.prediction_type,
-              location: prediction.location,
-              timeline_days: prediction.timeline_days,
-              evidence: prediction.evidence,
-              action_recommendation: prediction.action_recommendation
-            }
-          });
+          const { building_key } = await geocoder.locate(prediction.location);
+          const { company } = await companyResolver.resolve(prediction.company, 'prediction');
+          
+          // The saved confidence blends the model's with the company's rule-based baseline, so it
+          // cannot drift far from the evidence we hold. An unknown company has no baseline and
+          // keeps the model's confidence.
+          const baseline = company
+            ? await expansionScorer.scoreCompany(company.parent_id || company.id)
+            : null;
+          const baselineScore = baseline ? baseline.score : null;
+          const { confidence, disputed } = expansionScorer.blend(prediction.confidence_score, baselineScore);
+          if (disputed) {
+            console.log(`⚖️  ${prediction.company}: model said ${prediction.confidence_score}%, rule-based baseline ${baselineScore}%`);
+          }
+          
+          // An open prediction for the same company, location and property type is revised
+          // rather than saved again
+          const { prediction: savedPrediction, created, previousConfidence } = await predictionStore.save({
+            company: prediction.company,
+            confidence_score: confidence,
+            prediction_type: prediction.property_type,
+            location: prediction.location,
+            timeline_days: prediction.timeline_days,
+            evidence: disputed
+              ? [...prediction.evidence, `Model confidence ${prediction.confidence_score}% disagrees with the rule-based baseline of ${baselineScore}%`]
+              : prediction.evidence,
+            action_recommendation: prediction.action_recommendation,
+            building_key,
+            company_id: company ? company.id : null,
+            llm_confidence: prediction.confidence_score,
+            baseline_score: baselineScore,
+            baseline_signals: baseline ? baseline.signals : []
+          }, this.evidenceLinks(prediction.citations, permitsById, jobsById));
           
           savedPredictions.push(savedPrediction);
+          if (created) {
+            createdCount++;
+          } else {
+            console.log(`🔁 ${savedPrediction.company}: revision ${savedPrediction.revision}, confidence ${previousConfidence}% → ${savedPrediction.confidence_score}%`);
+          }
           
-          if (prediction.confidence_score >= this.confidenceThreshold) {
+          // Alert once: when a prediction is new or first reaches the threshold
+          if (savedPrediction.confidence_score >= this.confidenceThreshold &&
+              (created || previousConfidence < this.confidenceThreshold)) {
             highConfidencePredictions.push(savedPrediction);
           }
           
@@ -163,7 +199,7 @@ class AIPredictor {
       
       // Send consolidated alert if high-confidence predictions found
       if (highConfidencePredictions.length > 0) {
-        console.log(`🚨 HIGH-CONFIDENCE ALERT TRIGGERED: ${highConfidencePredictions.length} predictions ≥90% confidence`);
+        console.log(`🚨 HIGH-CONFIDENCE ALERT TRIGGERED: ${highConfidencePredictions.length} predictions ≥${this.confidenceThreshold}% confidence`);
         console.log('Alert details:', highConfidencePredictions.map(p => `${p.company}: ${p.confidence_score}%`));
         
         try {
@@ -173,14 +209,16 @@ class AIPredictor {
           console.error('❌ Failed to send alert email:', emailError.message);
         }
       } else {
-        console.log('📊 No high-confidence predictions (≥90%) generated - no alerts sent');
+        console.log(`📊 No new high-confidence predictions (≥${this.confidenceThreshold}%) - no alerts sent`);
       }
       
-      console.log(`✅ Analysis complete: ${savedPredictions.length} predictions generated, ${highConfidencePredictions.length} high-confidence`);
+      console.log(`✅ Analysis complete: ${createdCount} new and ${savedPredictions.length - createdCount} revised predictions, ${highConfidencePredictions.length} alerted`);
       
       return {
         success: true,
         count: savedPredictions.length,
+        created: createdCount,
+        revised: savedPredictions.length - createdCount,
         predictions: savedPredictions
       };
       
@@ -190,22 +228,68 @@ class AIPredictor {
     }
   }
 
-  createAnalysisPrompt(permits, jobs) {
+  createAnalysisPrompt(permits, jobs, hiringMetrics = new Map(), baselines = []) {
     const permitsData = permits.map(p => ({
+      id: p.id,
       value: p.value,
-      address: p.address,
+      address: p.address_normalized || p.address,
+      building_key: p.building_key,
+      city: p.city,
       description: p.description,
       applicant: p.applicant,
-      date: p.date_filed
+      resolved_company: p.resolved_company ? p.resolved_company.name : null,
+      parent_company: p.resolved_company && p.resolved_company.parent ? p.resolved_company.parent.name : null,
+      contractor: p.contractor,
+      architect: p.architect,
+      owner: p.owner,
+      square_footage: p.square_footage,
+      use_type: p.use_type,
+      work_class: p.work_class,
+      property_type: p.property_type,
+      status: p.status,
+      date: p.date_filed,
+      issued_date: p.issued_date,
+      finaled_date: p.finaled_date
     }));
 
-    const jobsData = jobs.map(j => ({
-      company: j.company,
-      title: j.title,
-      location: j.location,
-      count: j.count,
-      date: j.date_posted
-    }));
+    const jobsData = jobs.map(j => {
+      const hiring = hiringMetrics.get(companyKey(j.company));
+      return {
+        id: j.id,
+        company: j.company,
+        parent_company: j.resolved_company && j.resolved_company.parent ? j.resolved_company.parent.name : null,
+        title: j.title,
+        location: j.location,
+        count: j.count,
+        date: j.date_posted,
+        hiring: hiring ? {
+          open_postings: hiring.openPostings,
+          week_over_week: hiring.weekOverWeek,
+          accelerating: hiring.accelerating,
+          new_cities: hiring.newCities,
+          new_role_families: hiring.newRoleFamilies
+        } : null
+      };
+    });
+
+    // Company-level velocity signals, including companies without a rollup row in this batch
+    const velocitySignals = Array.from(hiringMetrics.values())
+      .filter(m => m.accelerating || m.newCities.length > 0 || m.newRoleFamilies.length > 0)
+      .map(m => ({
+        company: m.company,
+        open_postings: m.openPostings,
+        week_over_week_change: m.weekOverWeek.change,
+        week_over_week_growth_pct: m.weekOverWeek.growthPct,
+        accelerating: m.accelerating,
+        new_cities: m.newCities,
+        new_role_families: m.newRoleFamilies
+      }));
+
+    // Top baselines with the reasons behind them; the saved confidence is blended with these
+    const baselineData = baselines
+      .filter(b => b.score > 0)
+      .slice(0, 25)
+      .map(b => ({ company: b.company, score: b.score, reasons: b.signals.map(signal => signal.reason) }));
 
     return `Analyze these Orange County business expansion signals for Voit Commercial Real Estate lead generation:
 
@@ -213,6 +297,10 @@ Building Permits: ${JSON.stringify(permitsData, null, 2)}
 
 Job Postings: ${JSON.stringify(jobsData, null, 2)}
 
+Hiring Velocity Signals: ${JSON.stringify(velocitySignals, null, 2)}
+
+Rule-Based Baseline Scores: ${JSON.stringify(baselineData, null, 2)}
+
 Target Companies: ${this.targetCompanies.join(', ')}
 Target Cities: ${this.targetCities.join(', ')}
 
@@ -220,6 +308,7 @@ VOIT COMMERCIAL REAL ESTATE ANALYSIS REQUIREMENTS:
 
 CORPORATE ENTITY ANALYSIS:
 - Identify real corporate entities from permit applicants
+- resolved_company and parent_company are the known company an applicant or job company matched (null when unmatched); trust them over the raw name
 - Cross-reference with target companies and their subsidiaries
 - Look for direct company names: "Apple Inc", "Amazon.com Inc", "Google LLC"
 - Identify subsidiary entities: "Apple Operations LLC", "Amazon Development Corp", "Google Real Estate"
@@ -227,24 +316,32 @@ CORPORATE ENTITY ANALYSIS:
 - Check regional entities: "Apple Operations California", "Amazon West Coast"
 
 PROPERTY TYPE CLASSIFICATION:
-- Office: Corporate headquarters, regional offices, satellite offices
-- Industrial: Manufacturing facilities, assembly plants, R&D centers
-- Warehouse: Distribution centers, fulfillment centers, storage facilities
-- Data Center: Server farms, cloud infrastructure, tech facilities
-- Research Lab: Biotech labs, pharmaceutical research, medical facilities
-- Medical Office: Healthcare facilities, medical centers, clinics
-- Mixed Use: Office/retail combinations, corporate campuses
+- office: Corporate headquarters, regional offices, satellite offices
+- industrial: Manufacturing facilities, assembly plants, data centers
+- warehouse: Distribution centers, fulfillment centers, storage facilities
+- lab: Biotech labs, pharmaceutical research, R&D centers
+- medical: Healthcare facilities, medical office, clinics
+- retail: Stores, showrooms, restaurants
+- mixed_use: Office/retail combinations, corporate campuses
 
 LEAD GENERATION CRITERIA:
 - Minimum permit value: $1M+ for office, $2M+ for industrial
-- Job postings: 50+ positions in same location/company
+- Job postings: accelerating hiring (open postings up sharply week over week), a first posting in a new Orange County city, or a first posting in a space-related role family (construction, real_estate, facilities, warehouse_logistics, manufacturing, lab_research)
 - Timeline: 30-90 days for immediate opportunities
 - Location: Orange County cities with strong commercial real estate market
 - Company size: Fortune 500 or major regional employers
 
+PERMIT FIELDS:
+- work_class: "new" construction, "tenant_improvement" (build-out of leased space) or "addition"
+- property_type: pre-classified from the description and occupancy group (office, industrial, warehouse, lab, medical, retail, mixed_use); null when unclear
+- square_footage and use_type (occupancy classification) indicate the size and kind of space
+- status, issued_date and finaled_date show how far the project has progressed
+- owner, contractor and architect can reveal the company behind a generic applicant entity
+- building_key identifies the building (by parcel when known); permits sharing a key are work on the same building and should be read as one site
+
 EVIDENCE REQUIREMENTS:
 1. PERMITS: Specific corporate entity, property type, value, location
-2. JOBS: Company name, position count, location, timeline
+2. JOBS: Company name, open postings and week-over-week change, new cities or role families, location, timeline
 3. SEC FILINGS: Corporate expansion announcements, facility investments
 4. EXECUTIVE MOVEMENTS: Leadership changes, regional office announcements
 5. REAL ESTATE ACTIVITY: Leasing announcements, property acquisitions
@@ -252,69 +349,120 @@ EVIDENCE REQUIREMENTS:
 ONLY generate predictions for:
 - Verified corporate entities (not generic "Tech Company LLC")
 - High-value permits ($1M+ office, $2M+ industrial)
-- Companies with significant job postings (50+ positions)
+- Companies whose hiring velocity shows acceleration or expansion into a new city or role family
 - Orange County locations with strong commercial real estate demand
 - Property types suitable for Voit's expertise
 
-Format predictions as:
-COMPANY: [Real corporate entity name]
-CONFIDENCE: [75-95% based on evidence strength]
-PROPERTY TYPE: [office/industrial/warehouse/data_center/research_lab/medical_office]
-LOCATION: [Specific Orange County address or area]
-TIMELINE: [30-90 days]
-EVIDENCE: [Specific permit details, job counts, corporate entity verification]
-ACTION: [Voit-specific recommendation for lead generation]`;
+Call submit_predictions with one entry per qualifying expansion:
+- company: the real corporate entity name
+- confidence_score: 75-95 based on evidence strength; when the company has a rule-based baseline score the two are averaged, so justify any large difference in the evidence
+- property_type: one of ${PROPERTY_TYPES.join(', ')}
+- location: specific Orange County address or area
+- timeline_days: 30-90
+- evidence: specific permit details, hiring velocity, corporate entity verification
+- action_recommendation: Voit-specific recommendation for lead generation
+- citations: every permit and job the prediction rests on, by its "id" from the data above (record_type "permit" or "job"), with role "primary" (the main signal), "supporting" (corroborates it) or "context", and a weight from 0 to 1; cite only ids that appear above
+Submit an empty list when no company meets the criteria; do not invent placeholder companies.`;
   }
 
-  async callOpenAI(prompt) {
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert real estate intelligence analyst specializing in corporate expansion detection. You analyze building permits and job postings to predict where major companies are expanding. Return only valid JSON arrays.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 2000
+  // Asks the model to call submit_predictions and validates the arguments against the prediction
+  // schema. Malformed output is sent back with the validation errors for one retry; a second
+  // failure rejects the analysis rather than saving guessed predictions.
+  async requestPredictions(prompt, context = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an expert business intelligence analyst specializing in corporate expansion signals in Orange County, California. Analyze building permits and job postings to identify potential corporate facility expansions. Always answer by calling submit_predictions.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+    
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const message = await this.llm.complete({
+        messages,
+        tools: [{ type: 'function', function: PREDICTION_FUNCTION }],
+        toolChoice: { type: 'function', function: { name: PREDICTION_FUNCTION.name } }
       });
-
-      const content = response.choices[0].message.content;
       
-      // Clean up response and parse JSON
-      let cleanContent = content.trim();
-      if (cleanContent.startsWith('```json')) {
-        cleanContent = cleanContent.replace(/```json\n?/, '').replace(/\n?```$/, '');
-      }
-      if (cleanContent.startsWith('```')) {
-        cleanContent = cleanContent.replace(/```\n?/, '').replace(/\n?```$/, '');
+      const toolCall = (message.tool_calls || []).find(call => call.function && call.function.name === PREDICTION_FUNCTION.name);
+      const result = toolCall
+        ? validatePredictions(toolCall.function.arguments, context)
+        : { valid: false, errors: [`expected a ${PREDICTION_FUNCTION.name} call`] };
+      
+      if (result.valid) {
+        return result.predictions;
       }
-
-      try {
-        const predictions = JSON.parse(cleanContent);
-        return Array.isArray(predictions) ? predictions : [predictions];
-      } catch (parseError) {
-        console.error('❌ Error parsing OpenAI response:', parseError);
-        console.error('Raw response:', content);
-        return [];
+      
+      console.error(`❌ AI response failed validation (attempt ${attempt}/2):`, result.errors.slice(0, 10).join('; '));
+      
+      // Show the model what was wrong and ask again; every tool call needs an answer
+      messages.push(message);
+      if (toolCall) {
+        for (const call of message.tool_calls) {
+          messages.push({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: call === toolCall
+              ? `Rejected: ${result.errors.join('; ')}. Call ${PREDICTION_FUNCTION.name} again with corrected arguments.`
+              : `Unknown function; call ${PREDICTION_FUNCTION.name}.`
+          });
+        }
+      } else {
+        messages.push({
+          role: 'user',
+          content: `Answer by calling ${PREDICTION_FUNCTION.name}; free text is not accepted.`
+        });
       }
+    }
+    
+    throw new Error('AI response failed prediction schema validation twice; no predictions saved');
+  }
 
-    } catch (error) {
-      console.error('❌ Error calling OpenAI:', error);
+  // PredictionEvidence rows for a prediction's citations, strongest first; a record cited twice
+  // keeps its heaviest citation
+  evidenceLinks(citations, permitsById, jobsById) {
+    const links = new Map();
+    
+    for (const citation of citations) {
+      const key = `${citation.record_type}:${citation.id}`;
+      if (links.has(key) && links.get(key).weight >= citation.weight) continue;
+      
+      const summary = citation.record_type === 'permit'
+        ? this.describePermit(permitsById.get(citation.id))
+        : this.describeJob(jobsById.get(citation.id));
       
-      // Return empty array - no fake data
-      return [];
+      links.set(key, {
+        permit_id: citation.record_type === 'permit' ? citation.id : null,
+        job_id: citation.record_type === 'job' ? citation.id : null,
+        role: citation.role,
+        weight: citation.weight,
+        summary
+      });
     }
+    
+    return Array.from(links.values()).sort((a, b) => b.weight - a.weight);
+  }
+  
+  describePermit(permit) {
+    const value = permit.value ? `$${(permit.value / 1000000).toFixed(1)}M` : null;
+    return [
+      `Permit ${permit.permit_id || permit.id}: ${permit.address_normalized || permit.address}`,
+      permit.city,
+      value,
+      permit.work_class && permit.work_class.replace('_', ' ')
+    ].filter(Boolean).join(', ');
+  }
+  
+  describeJob(job) {
+    return `${job.company}: ${job.count || 1} open ${job.count === 1 ? 'posting' : 'postings'} in ${job.location} (${job.title})`;
   }
 
   async getPredictionHistory() {
     return await prisma.prediction.findMany({
-      orderBy: { created_at: 'desc' },
+      orderBy: { last_seen_at: 'desc' },
       take: 100
     });
   }
@@ -326,86 +474,10 @@ ACTION: [Voit-specific recommendation for lead generation]`;
           gte: this.confidenceThreshold
         }
       },
-      orderBy: { created_at: 'desc' },
+      orderBy: { last_seen_at: 'desc' },
       take: 50
     });
   }
-
-  parsePredictions(analysis) {
-    try {
-      // Extract predictions from AI analysis
-      const predictions = [];
-      
-      // Look for prediction patterns in the analysis
-      const predictionBlocks = analysis.split(/PREDICTION|prediction/i);
-      
-      for (const block of predictionBlocks) {
-        if (block.trim().length < 50) continue; // Skip short blocks
-        
-        // Extract company name
-        const companyMatch = block.match(/company[:\s]+([A-Za-z\s,\.&]+)/i) ||
-                           block.match(/([A-Za-z\s,\.&]+(?:LLC|Inc|Corp|Corporation|Company|Co\.|Ltd))/i);
-        
-        // Extract confidence score
-        const confidenceMatch = block.match(/confidence[:\s]*(\d+)/i) ||
-                              block.match(/(\d+)%?\s*confidence/i);
-        
-        // Extract location
-        const locationMatch = block.match(/location[:\s]+([A-Za-z\s\d,]+(?:St|Ave|Blvd|Dr|Rd|Way|Ct|Ln))/i) ||
-                            block.match(/([A-Za-z\s\d,]+(?:St|Ave|Blvd|Dr|Rd|Way|Ct|Ln))/i);
-        
-        // Extract timeline
-        const timelineMatch = block.match(/timeline[:\s]*(\d+)\s*days/i) ||
-                            block.match(/(\d+)\s*days/i);
-        
-        // Extract evidence
-        const evidenceMatches = block.match(/evidence[:\s]*([^]*?)(?=action|recommendation|$)/i);
-        
-        if (companyMatch) {
-          const prediction = {
-            company: companyMatch[1].trim(),
-            confidence_score: confidenceMatch ? parseInt(confidenceMatch[1]) : 75,
-            prediction_type: 'commercial_facility',
-            location: locationMatch ? locationMatch[1].trim() : 'Orange County, CA',
-            timeline_days: timelineMatch ? parseInt(timelineMatch[1]) : 30,
-            evidence: evidenceMatches ? [evidenceMatches[1].trim()] : ['Analysis based on permit and job data'],
-            action_recommendation: 'Monitor for additional expansion signals and verify with local authorities'
-          };
-          
-          predictions.push(prediction);
-        }
-      }
-      
-      // If no structured predictions found, create one based on analysis
-      if (predictions.length === 0) {
-        const defaultPrediction = {
-          company: 'Corporate Entity (Analysis Required)',
-          confidence_score: 60,
-          prediction_type: 'commercial_facility',
-          location: 'Orange County, CA',
-          timeline_days: 30,
-          evidence: [analysis.substring(0, 500)],
-          action_recommendation: 'Further investigation needed to identify specific corporate entities'
-        };
-        
-        predictions.push(defaultPrediction);
-      }
-      
-      return predictions;
-      
-    } catch (error) {
-      console.error('Error parsing predictions:', error);
-      return [{
-        company: 'Analysis Error',
-        confidence_score: 50,
-        prediction_type: 'commercial_facility',
-        location: 'Orange County, CA',
-        timeline_days: 30,
-        evidence: ['Error parsing AI analysis'],
-        action_recommendation: 'Review analysis manually'
-      }];
-    }
-  }
 }
 
 module.exports = AIPredictor; 
\ No newline at end of file
@@ -0,0 +1,85 @@
+// Company name normalization and similarity used by the company resolver. Names are compared in
+// normalized form: lowercase words with legal forms and punctuation removed.
+
+// Legal-form words dropped before comparing names ("Edwards Lifesciences Corp" = "Edwards Lifesciences")
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'llc', 'lp', 'llp', 'ltd', 'limited', 'plc', 'pc'
+]);
+
+// Words a subsidiary or property entity adds to its parent's name ("Apple Operations LLC",
+// "Google Real Estate"): a name that is a company's name plus only these still matches it
+const ENTITY_WORDS = new Set([
+  'real', 'estate', 'realty', 'development', 'developments', 'operations', 'facilities', 'properties',
+  'property', 'holdings', 'group', 'international', 'usa', 'us', 'america', 'americas', 'california',
+  'west', 'coast', 'services', 'ventures', 'investments', 'enterprises', 'global', 'campus'
+]);
+
+// Placeholders scrapers and the predictor use when no name is known
+const VAGUE_NAMES = new Set([
+  'applicant not specified', 'unknown applicant', 'unknown', 'not specified', 'n a', 'none',
+  'confidential', 'tech company', 'corporate entity analysis required'
+]);
+
+// "Amazon.com, Inc." -> "amazon"; "Edwards Lifesciences Corp." -> "edwards lifesciences"
+function normalizeCompanyName(name) {
+  const tokens = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\b([a-z0-9-]+)\.(com|net|org|io|ai|co)\b/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  // Strip legal forms from the end (and a leading "the"), keeping at least one word
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+  if (tokens.length > 1 && tokens[0] === 'the') tokens.shift();
+
+  return tokens.join(' ');
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+function dice(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Scores how well a normalized name matches one normalized company form, 0-1:
+ * - 1 for the same name
+ * - 0.92 when the name is a multi-word company name followed only by entity words
+ *   ("edwards lifesciences real estate"); 0.85 for a one-word name ("target realty group"), which
+ *   is as likely an unrelated local firm, so it goes to review instead of linking on its own
+ * - otherwise the better of word overlap and (discounted) character-trigram overlap, which
+ *   catches misspellings and dropped letters
+ */
+function scoreNames(name, form) {
+  if (name === form) return 1;
+
+  const nameTokens = name.split(' ');
+  const formTokens = form.split(' ');
+  const extra = nameTokens.slice(formTokens.length);
+  const startsWithForm = formTokens.every((token, i) => nameTokens[i] === token);
+  if (startsWithForm && extra.length > 0 && extra.every(token => ENTITY_WORDS.has(token))) {
+    return formTokens.length > 1 ? 0.92 : 0.85;
+  }
+
+  return Math.max(
+    dice(new Set(nameTokens), new Set(formTokens)),
+    0.9 * dice(trigrams(name), trigrams(form))
+  );
+}
+
+module.exports = {
+  VAGUE_NAMES,
+  normalizeCompanyName,
+  scoreNames
+};
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { VAGUE_NAMES, normalizeCompanyName, scoreNames } = require('./company-names');
+
+const DEFAULT_SEED_PATH = path.join(__dirname, '../../config/companies.json');
+
+// Records that carry a company name, and the field it is in
+const LINKED_RECORDS = [
+  { source: 'permit', model: 'permit', field: 'applicant' },
+  { source: 'job', model: 'job', field: 'company' },
+  { source: 'prediction', model: 'prediction', field: 'company' }
+];
+
+/**
+ * Resolves the company names on permits (applicant), jobs and predictions to Company rows.
+ *
+ * Names scoring COMPANY_AUTO_LINK_SCORE (0.9) or more against a company's name or an alias are
+ * linked; names scoring COMPANY_REVIEW_SCORE (0.6) or more go to the review queue with the best
+ * candidate. Below that, a job or prediction names a company we have not seen, which is created;
+ * a permit applicant (often a person, developer or contractor) is left unlinked.
+ *
+ * Companies are seeded from config/companies.json (COMPANIES_SEED_PATH): names, aliases, domains
+ * and the parent each subsidiary belongs to. The file is merged into the table, never pruned.
+ */
+class CompanyResolver {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.seedPath = process.env.COMPANIES_SEED_PATH
+      ? path.resolve(process.env.COMPANIES_SEED_PATH)
+      : DEFAULT_SEED_PATH;
+    this.autoLinkScore = parseFloat(process.env.COMPANY_AUTO_LINK_SCORE) || 0.9;
+    this.reviewScore = parseFloat(process.env.COMPANY_REVIEW_SCORE) || 0.6;
+    this.seeded = false;
+    this.index = null;
+  }
+
+  // Entries of the seed file: the companies we track on purpose (empty when there is no file)
+  seedEntries() {
+    if (!fs.existsSync(this.seedPath)) return [];
+    return JSON.parse(fs.readFileSync(this.seedPath, 'utf8')).companies || [];
+  }
+
+  // Upserts the seed file's companies, adding aliases and domains the table does not have yet
+  async seed() {
+    const companies = this.seedEntries();
+    const ids = new Map();
+
+    for (const entry of companies) {
+      const existing = await this.prisma.company.findUnique({ where: { name: entry.name } });
+      const aliases = [...new Set([...(existing ? existing.aliases : []), ...(entry.aliases || [])])];
+      const domains = [...new Set([...(existing ? existing.domains : []), ...(entry.domains || [])])];
+
+      const company = existing
+        ? await this.prisma.company.update({ where: { id: existing.id }, data: { aliases, domains } })
+        : await this.prisma.company.create({ data: { name: entry.name, aliases, domains } });
+      ids.set(entry.name, company.id);
+    }
+
+    // Parents may be listed after their subsidiaries, so link once every company exists
+    for (const entry of companies.filter(entry => entry.parent)) {
+      if (!ids.has(entry.parent)) {
+        logger.warn('Company seed names an unknown parent', { company: entry.name, parent: entry.parent });
+        continue;
+      }
+      await this.prisma.company.update({
+        where: { id: ids.get(entry.name) },
+        data: { parent_id: ids.get(entry.parent) }
+      });
+    }
+
+    this.seeded = true;
+    this.index = null;
+    logger.info('Company seed loaded', { path: this.seedPath, companies: companies.length });
+    return companies.length;
+  }
+
+  // Normalized name and alias forms of every company, with an exact-match lookup
+  async loadIndex() {
+    if (this.index) return this.index;
+
+    const companies = await this.prisma.company.findMany();
+    const forms = [];
+    const exact = new Map();
+    const domains = new Map();
+
+    for (const company of companies) {
+      for (const text of [company.name, ...company.aliases]) {
+        const form = normalizeCompanyName(text);
+        if (!form) continue;
+        forms.push({ form, company });
+        if (!exact.has(form)) exact.set(form, company);
+      }
+      for (const domain of company.domains) {
+        domains.set(domain.toLowerCase().replace(/^www\./, ''), company);
+      }
+    }
+
+    this.index = { forms, exact, domains };
+    return this.index;
+  }
+
+  // Best { company, score } for a name, or null when nothing scores at all
+  async bestMatch(name) {
+    const { forms, exact, domains } = await this.loadIndex();
+    const normalized = normalizeCompanyName(name);
+
+    if (exact.has(normalized)) {
+      return { company: exact.get(normalized), score: 1 };
+    }
+
+    // A name carrying a web domain ("Amazon.com Services LLC") matches the company owning it
+    const domain = String(name).toLowerCase().match(/\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|ai|co)\b/);
+    if (domain && domains.has(domain[0])) {
+      return { company: domains.get(domain[0]), score: 0.98 };
+    }
+
+    let best = null;
+    for (const { form, company } of forms) {
+      const score = scoreNames(normalized, form);
+      if (!best || score > best.score) best = { company, score };
+    }
+    return best && best.score > 0 ? best : null;
+  }
+
+  /**
+   * Resolves one name seen on a record of the given source. Returns { status, company, score }
+   * where status is linked, created, queued (waiting in the review queue), dismissed (a reviewer
+   * rejected the match), unmatched or skipped (empty or placeholder name). options.occurrences is
+   * the number of records carrying the name, shown in the review queue.
+   */
+  async resolve(name, source, options = {}) {
+    const key = normalizeCompanyName(name);
+    if (!key || VAGUE_NAMES.has(key)) {
+      return { status: 'skipped', company: null, score: null };
+    }
+
+    if (!this.seeded) await this.seed();
+
+    const match = await this.bestMatch(name);
+    if (match && match.score >= this.autoLinkScore) {
+      return { status: 'linked', company: match.company, score: match.score };
+    }
+
+    // A name already in the queue stays there until a reviewer decides
+    const review = await this.prisma.companyMatchReview.findUnique({ where: { name_key: key } });
+    if (review) {
+      if (review.status === 'pending' && options.occurrences) {
+        await this.prisma.companyMatchReview.update({
+          where: { id: review.id },
+          data: { occurrences: options.occurrences }
+        });
+      }
+      return { status: review.status === 'pending' ? 'queued' : 'dismissed', company: null, score: review.score };
+    }
+
+    if (match && match.score >= this.reviewScore) {
+      await this.prisma.companyMatchReview.create({
+        data: {
+          name: name.trim(),
+          name_key: key,
+          source,
+          occurrences: options.occurrences || 1,
+          candidate_id: match.company.id,
+          score: Math.round(match.score * 100) / 100
+        }
+      });
+      logger.info('Company match queued for review', { name, source, candidate: match.company.name, score: match.score });
+      return { status: 'queued', company: null, score: match.score };
+    }
+
+    if (source === 'permit') {
+      return { status: 'unmatched', company: null, score: match ? match.score : null };
+    }
+
+    const company = await this.prisma.company.upsert({
+      where: { name: name.trim() },
+      update: {},
+      create: { name: name.trim(), aliases: [], domains: [] }
+    });
+    this.index = null;
+    return { status: 'created', company, score: null };
+  }
+
+  /**
+   * Links permits, jobs and predictions without a company (every row with options.all) by
+   * resolving each distinct name once. Returns counts of records per outcome.
+   */
+  async linkRecords(options = {}) {
+    if (!this.seeded) await this.seed();
+
+    const report = { linked: 0, created: 0, queued: 0, unmatched: 0, skipped: 0, dismissed: 0 };
+
+    for (const { source, model, field } of LINKED_RECORDS) {
+      const rows = await this.prisma[model].findMany({
+        where: {
+          [field]: { not: null },
+          ...(options.all ? {} : { company_id: null })
+        },
+        select: { [field]: true }
+      });
+
+      const counts = new Map();
+      for (const row of rows) counts.set(row[field], (counts.get(row[field]) || 0) + 1);
+
+      for (const [name, occurrences] of counts) {
+        const result = await this.resolve(name, source, { occurrences });
+        report[result.status] += occurrences;
+
+        if (result.company) {
+          await this.prisma[model].updateMany({
+            where: { [field]: name },
+            data: { company_id: result.company.id }
+          });
+        }
+      }
+    }
+
+    logger.info('Company resolution pass complete', report);
+    return report;
+  }
+
+  /**
+   * Settles a queued name: 'link' adds it as an alias of companyId (default: the candidate),
+   * 'create' makes it a company of its own (optionally under parentId), 'dismiss' leaves its
+   * records unlinked. Linking and creating re-run the resolver so the records pick it up.
+   */
+  async resolveReview(reviewId, { action, companyId, parentId } = {}) {
+    const review = await this.prisma.companyMatchReview.findUnique({ where: { id: reviewId } });
+    if (!review) return null;
+    if (review.status !== 'pending') {
+      throw new Error(`Review ${reviewId} is already ${review.status}`);
+    }
+
+    let company = null;
+    if (action === 'link') {
+      company = await this.prisma.company.findUnique({ where: { id: companyId || review.candidate_id } });
+      if (!company) throw new Error(`Company ${companyId || review.candidate_id} not found`);
+      if (!company.aliases.includes(review.name)) {
+        company = await this.prisma.company.update({
+          where: { id: company.id },
+          data: { aliases: [...company.aliases, review.name] }
+        });
+      }
+    } else if (action === 'create') {
+      company = await this.prisma.company.create({
+        data: { name: review.name, aliases: [], domains: [], parent_id: parentId || null }
+      });
+    } else if (action !== 'dismiss') {
+      throw new Error(`Unknown review action: ${action}`);
+    }
+
+    const resolved = await this.prisma.companyMatchReview.update({
+      where: { id: review.id },
+      data: {
+        status: action === 'link' ? 'linked' : action === 'create' ? 'created' : 'dismissed',
+        company_id: company ? company.id : null,
+        resolved_at: new Date()
+      }
+    });
+
+    if (company) {
+      this.index = null;
+      await this.linkRecords();
+    }
+    return resolved;
+  }
+}
+
+// Create singleton instance
+const companyResolver = new CompanyResolver();
+
+module.exports = companyResolver;
+module.exports.normalizeCompanyName = normalizeCompanyName;
+module.exports.scoreNames = scoreNames;
@@ -0,0 +1,185 @@
+// The rules behind the expansion scorer's baseline (src/analysis/expansion-scorer.js). Each rule
+// looks at one company's evidence and returns a readable reason when it fires.
+
+const { SPACE_ROLE_FAMILIES } = require('./role-family');
+
+const LEADERSHIP_TITLE = /\b(?:director|head of|vice president|vp|general manager|site lead|site manager|plant manager)\b/i;
+const EXPANSION_LANGUAGE = /new (?:facility|location|office|site|campus)|grand opening|opening (?:our|a) new|build[\s-]?out|relocat|ground[\s-]?up|startup of/i;
+// facility_roles: this many more open postings in the space-related role families than a week ago
+const FACILITY_ROLES_MIN_CHANGE = 3;
+
+function money(value) {
+  return value >= 1000000 ? `$${(value / 1000000).toFixed(1)}M` : `$${Math.round(value / 1000)}K`;
+}
+
+// "Irvine, CA 92618" and "Irvine" -> "irvine", so permit cities and job locations compare
+function cityName(location) {
+  return String(location || '')
+    .split(',')[0]
+    .replace(/\s+\d{5}(?:-\d{4})?\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function describePermit(permit) {
+  const parts = [permit.address_normalized || permit.address];
+  if (permit.value) parts.push(money(permit.value));
+  if (permit.square_footage) parts.push(`${permit.square_footage.toLocaleString('en-US')} sq ft`);
+  return parts.join(', ');
+}
+
+/**
+ * Rules of the baseline score. Each gets the company's evidence and returns a reason when it
+ * fires, or null. Weights are points out of 100 and can be changed in config/expansion-rules.json.
+ * Evidence: { company, tracked, watchlisted, permits, jobs, postings, hiring, hiringCities }, where
+ * hiringCities holds the cityName() of each job and posting location.
+ */
+const RULES = [
+  {
+    id: 'permit_new_construction',
+    weight: 20,
+    evaluate: ({ permits }) => {
+      const permit = permits.find(p => p.work_class === 'new');
+      return permit ? `New construction permit: ${describePermit(permit)}` : null;
+    }
+  },
+  {
+    id: 'permit_tenant_improvement',
+    weight: 15,
+    evaluate: ({ permits }) => {
+      const permit = permits.find(p => p.work_class === 'tenant_improvement');
+      return permit ? `Tenant improvement permit: ${describePermit(permit)}` : null;
+    }
+  },
+  {
+    id: 'permit_high_value',
+    weight: 10,
+    evaluate: ({ permits }) => {
+      const permit = permits.find(p => p.value >= 1000000);
+      return permit ? `Permit valued at ${money(permit.value)} (${permit.city || 'Orange County'})` : null;
+    }
+  },
+  {
+    id: 'permit_large_space',
+    weight: 10,
+    evaluate: ({ permits }) => {
+      const permit = permits.find(p => p.square_footage >= 20000);
+      return permit ? `Permit covers ${permit.square_footage.toLocaleString('en-US')} sq ft` : null;
+    }
+  },
+  {
+    id: 'permit_issued',
+    weight: 5,
+    evaluate: ({ permits }) => {
+      const permit = permits.find(p => ['issued', 'finaled'].includes(p.status_stage));
+      return permit ? `Permit ${permit.permit_id || describePermit(permit)} is ${permit.status_stage}` : null;
+    }
+  },
+  {
+    id: 'hiring_acceleration',
+    weight: 15,
+    evaluate: ({ hiring }) => {
+      const accelerating = hiring.find(metrics => metrics.accelerating);
+      if (!accelerating) return null;
+      const { previous, current, growthPct } = accelerating.weekOverWeek;
+      return `Open postings rose from ${previous} to ${current} in a week${growthPct !== null ? ` (+${growthPct}%)` : ''}`;
+    }
+  },
+  {
+    id: 'new_city_presence',
+    weight: 10,
+    evaluate: ({ hiring }) => {
+      const cities = [...new Set(hiring.flatMap(metrics => metrics.newCities))];
+      return cities.length > 0 ? `First job postings in ${cities.join(', ')}` : null;
+    }
+  },
+  {
+    id: 'new_role_family',
+    weight: 10,
+    evaluate: ({ hiring }) => {
+      const families = [...new Set(hiring.flatMap(metrics => metrics.newRoleFamilies))]
+        .filter(family => SPACE_ROLE_FAMILIES.includes(family));
+      return families.length > 0 ? `First ${families.join(', ').replace(/_/g, ' ')} postings` : null;
+    }
+  },
+  {
+    id: 'facility_roles',
+    weight: 10,
+    evaluate: ({ hiring }) => {
+      // Week-over-week change in the space-related families; null where there is no week-old snapshot
+      const families = hiring
+        .flatMap(metrics => metrics.byRoleFamily)
+        .filter(family => SPACE_ROLE_FAMILIES.includes(family.role_family) && family.change !== null);
+      const change = families.reduce((total, family) => total + family.change, 0);
+      if (change < FACILITY_ROLES_MIN_CHANGE) return null;
+      const previous = families.reduce((total, family) => total + family.previous, 0);
+      return `Space-related open postings rose from ${previous} to ${previous + change} in a week`;
+    }
+  },
+  {
+    id: 'construction_buildout_roles',
+    weight: 10,
+    evaluate: ({ postings }) => {
+      const posting = postings.find(p => ['construction', 'real_estate'].includes(p.role_family));
+      return posting ? `Hiring for ${posting.title} (${posting.location})` : null;
+    }
+  },
+  {
+    id: 'site_leadership_roles',
+    weight: 5,
+    evaluate: ({ postings }) => {
+      const posting = postings.find(p => p.facility_role && LEADERSHIP_TITLE.test(p.title));
+      return posting ? `Hiring site leadership: ${posting.title} (${posting.location})` : null;
+    }
+  },
+  {
+    id: 'expansion_language',
+    weight: 5,
+    evaluate: ({ postings }) => {
+      const posting = postings.find(p => EXPANSION_LANGUAGE.test(p.description || ''));
+      return posting ? `Posting "${posting.title}" mentions a new site or build-out` : null;
+    }
+  },
+  {
+    id: 'permit_and_hiring_same_city',
+    weight: 15,
+    evaluate: ({ permits, hiringCities }) => {
+      const permit = permits.find(p => p.city && hiringCities.has(cityName(p.city)));
+      return permit ? `Permit and open postings in the same city (${permit.city})` : null;
+    }
+  },
+  {
+    id: 'tracked_company',
+    weight: 5,
+    evaluate: ({ company, tracked }) => (tracked ? `${company.name} is a tracked target company` : null)
+  },
+  {
+    id: 'watchlisted_company',
+    weight: 5,
+    evaluate: ({ company, watchlisted }) => (watchlisted ? `${company.name} is on the job-feed watchlist` : null)
+  }
+];
+
+// Sums the weights of the rules that fire, capped at maxScore. weights maps rule IDs to points;
+// a rule with no weight (or 0) is skipped. Returns { score, signals: [{ rule, weight, reason }] }.
+function evaluateRules(evidence, { weights, maxScore }) {
+  const signals = [];
+
+  for (const rule of RULES) {
+    const weight = weights.get(rule.id);
+    if (!weight) continue;
+
+    const reason = rule.evaluate(evidence);
+    if (reason) signals.push({ rule: rule.id, weight, reason });
+  }
+
+  const total = signals.reduce((sum, signal) => sum + signal.weight, 0);
+  return { score: Math.min(total, maxScore), signals };
+}
+
+module.exports = {
+  RULES,
+  evaluateRules,
+  cityName
+};
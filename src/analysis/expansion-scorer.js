@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const hiringVelocity = require('./hiring-velocity');
+const { companyKey } = require('./hiring-velocity');
+const { RULES, evaluateRules, cityName } = require('./expansion-rules');
+const companyResolver = require('./company-resolver');
+const jobWatchlist = require('../scrapers/job-watchlist');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../../config/expansion-rules.json');
+const DAY = 24 * 60 * 60 * 1000;
+
+// Permits filed within this many days count as current activity
+const PERMIT_WINDOW_DAYS = 90;
+
+/**
+ * Deterministic, explainable expansion score per company. The score is the sum of the weights of
+ * the rules that fire, capped at maxScore (95), computed from the company's permits of the last 90
+ * days, its open postings and job rollup rows, hiring velocity and whether we track it. A
+ * subsidiary's records count toward its parent.
+ *
+ * The AI predictor blends the model's confidence with this baseline (see blend()), so a
+ * prediction's confidence moves only as far from the evidence as EXPANSION_LLM_WEIGHT allows.
+ * A company that does not resolve has no baseline and keeps the model's confidence.
+ */
+class ExpansionScorer {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.rulesPath = process.env.EXPANSION_RULES_PATH
+      ? path.resolve(process.env.EXPANSION_RULES_PATH)
+      : DEFAULT_RULES_PATH;
+    this.llmWeight = this.parseWeight(process.env.EXPANSION_LLM_WEIGHT, 0.5);
+    this.maxDeviation = parseInt(process.env.EXPANSION_MAX_DEVIATION) || 30;
+    this.config = null;
+  }
+
+  parseWeight(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 && parsed <= 1 ? parsed : fallback;
+  }
+
+  // Rule weights and the cap, with config/expansion-rules.json applied over the defaults
+  getConfig() {
+    if (this.config) return this.config;
+
+    const weights = new Map(RULES.map(rule => [rule.id, rule.weight]));
+    let maxScore = 95;
+
+    if (fs.existsSync(this.rulesPath)) {
+      const raw = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+      for (const [id, weight] of Object.entries(raw.weights || {})) {
+        if (!weights.has(id)) {
+          throw new Error(`Unknown expansion rule in ${this.rulesPath}: ${id}`);
+        }
+        if (typeof weight !== 'number' || weight < 0) {
+          throw new Error(`Weight for expansion rule ${id} must be a non-negative number`);
+        }
+        weights.set(id, weight);
+      }
+      if (raw.maxScore !== undefined) maxScore = raw.maxScore;
+    }
+
+    this.config = { weights, maxScore };
+    return this.config;
+  }
+
+  // Everything the rules look at for one company (and its subsidiaries)
+  async gatherEvidence(company) {
+    const subsidiaries = await this.prisma.company.findMany({ where: { parent_id: company.id } });
+    const ids = [company.id, ...subsidiaries.map(subsidiary => subsidiary.id)];
+
+    const [permits, jobs] = await Promise.all([
+      this.prisma.permit.findMany({
+        where: {
+          company_id: { in: ids },
+          date_filed: { gte: new Date(Date.now() - PERMIT_WINDOW_DAYS * DAY) }
+        },
+        orderBy: { value: 'desc' }
+      }),
+      this.prisma.job.findMany({ where: { company_id: { in: ids } } })
+    ]);
+
+    // Postings and snapshots carry the name as posted, which the rollup rows link to the company
+    const names = [...new Set([company.name, ...subsidiaries.map(s => s.name), ...jobs.map(job => job.company)])];
+    const postings = await this.prisma.jobPosting.findMany({
+      where: { closed_at: null, company: { in: names } }
+    });
+
+    const hiring = [];
+    for (const key of new Set(names.map(companyKey))) {
+      const metrics = await hiringVelocity.getCompanyHiring(key);
+      if (metrics) hiring.push(metrics);
+    }
+
+    const trackedNames = new Set(companyResolver.seedEntries().map(entry => entry.name));
+    const watchlistKeys = new Set(jobWatchlist.getCompanies().map(entry => companyKey(entry.name)));
+
+    return {
+      company,
+      tracked: names.some(name => trackedNames.has(name)),
+      watchlisted: names.some(name => watchlistKeys.has(companyKey(name))),
+      permits,
+      jobs,
+      postings,
+      hiring,
+      hiringCities: new Set([
+        ...jobs.map(job => cityName(job.location)),
+        ...postings.map(posting => cityName(posting.location))
+      ])
+    };
+  }
+
+  // Applies every rule to the evidence: { score, signals: [{ rule, weight, reason }] }
+  evaluate(evidence) {
+    return evaluateRules(evidence, this.getConfig());
+  }
+
+  // Baseline for one company ID, or null when there is no such company
+  async scoreCompany(companyId) {
+    const company = await this.prisma.company.findUnique({ where: { id: companyId } });
+    if (!company) return null;
+
+    const { score, signals } = this.evaluate(await this.gatherEvidence(company));
+    return { companyId: company.id, company: company.name, score, signals };
+  }
+
+  // Baselines for every company with a recent permit or a job rollup row, highest first.
+  // Subsidiaries are scored under their parent.
+  async scoreAll() {
+    const [permits, jobs] = await Promise.all([
+      this.prisma.permit.findMany({
+        where: {
+          company_id: { not: null },
+          date_filed: { gte: new Date(Date.now() - PERMIT_WINDOW_DAYS * DAY) }
+        },
+        select: { resolved_company: { select: { id: true, parent_id: true } } }
+      }),
+      this.prisma.job.findMany({
+        where: { company_id: { not: null } },
+        select: { resolved_company: { select: { id: true, parent_id: true } } }
+      })
+    ]);
+
+    const ids = new Set(
+      [...permits, ...jobs]
+        .map(row => row.resolved_company)
+        .filter(Boolean)
+        .map(company => company.parent_id || company.id)
+    );
+
+    const scores = [];
+    for (const id of ids) {
+      const score = await this.scoreCompany(id);
+      if (score) scores.push(score);
+    }
+
+    logger.info('Expansion baselines scored', { companies: scores.length });
+    return scores.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Blends the model's confidence with the baseline: llmWeight x model + (1 - llmWeight) x baseline.
+   * disputed is set when the two differ by more than EXPANSION_MAX_DEVIATION (30) points. With no
+   * baseline (the company did not resolve) the model's confidence is kept as it is.
+   */
+  blend(llmConfidence, baselineScore) {
+    if (baselineScore === null || baselineScore === undefined) {
+      return { confidence: llmConfidence, disputed: false };
+    }
+
+    const confidence = Math.round(this.llmWeight * llmConfidence + (1 - this.llmWeight) * baselineScore);
+    return {
+      confidence,
+      disputed: Math.abs(llmConfidence - baselineScore) > this.maxDeviation
+    };
+  }
+}
+
+// Create singleton instance
+const expansionScorer = new ExpansionScorer();
+
+module.exports = expansionScorer;
+module.exports.RULES = RULES;
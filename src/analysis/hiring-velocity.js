@@ -0,0 +1,201 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { SPACE_ROLE_FAMILIES } = require('./role-family');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "Acme Robotics, Inc." -> "acme-robotics-inc"
+function companyKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Snapshot dates are calendar days (UTC midnight)
+function snapshotDay(date) {
+  return new Date(new Date(date).toISOString().slice(0, 10));
+}
+
+function sumOpen(rows) {
+  return rows.reduce((total, row) => total + row.open_postings, 0);
+}
+
+function change(current, previous) {
+  return {
+    current,
+    previous,
+    change: previous === null ? null : current - previous,
+    growthPct: previous ? Math.round(((current - previous) / previous) * 100) : null
+  };
+}
+
+/**
+ * Hiring velocity from daily snapshots of open job postings per company x city x role family.
+ *
+ * - weekOverWeek: open postings now versus the latest snapshot at least 7 days older. A snapshot
+ *   only has rows for companies with postings, so a company missing from that day's snapshot had 0
+ * - newRoleFamilies / newCities: families and OC cities with postings in the last 7 days that
+ *   never appeared in the company's earlier snapshots (only reported once there is a week of
+ *   history to compare against)
+ * - accelerating: at least HIRING_ACCELERATION_MIN_CHANGE (3) more open postings than a week ago and,
+ *   when there were any a week ago, growth of HIRING_ACCELERATION_MIN_GROWTH_PCT (50%) or more
+ */
+class HiringVelocity {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.windowDays = 42;
+    this.minChange = parseInt(process.env.HIRING_ACCELERATION_MIN_CHANGE) || 3;
+    this.minGrowthPct = parseInt(process.env.HIRING_ACCELERATION_MIN_GROWTH_PCT) || 50;
+  }
+
+  // Counts open postings (and postings opened or closed today) per company/city/family and
+  // replaces the day's snapshot, so the last job run of the day is the one that sticks
+  async takeSnapshot(date = new Date()) {
+    const day = snapshotDay(date);
+    const nextDay = new Date(day.getTime() + DAY);
+    const select = { company: true, location: true, role_family: true, first_seen_at: true };
+
+    const [open, closed] = await Promise.all([
+      this.prisma.jobPosting.findMany({ where: { closed_at: null }, select }),
+      this.prisma.jobPosting.findMany({ where: { closed_at: { gte: day, lt: nextDay } }, select })
+    ]);
+
+    const groups = new Map();
+    const groupFor = (posting) => {
+      const key = [companyKey(posting.company), posting.location, posting.role_family || 'other'].join('|');
+      if (!groups.has(key)) {
+        groups.set(key, {
+          snapshot_date: day,
+          company: posting.company,
+          company_key: companyKey(posting.company),
+          city: posting.location,
+          role_family: posting.role_family || 'other',
+          open_postings: 0,
+          new_postings: 0,
+          closed_postings: 0
+        });
+      }
+      return groups.get(key);
+    };
+
+    for (const posting of open) {
+      const group = groupFor(posting);
+      group.open_postings++;
+      if (posting.first_seen_at >= day) group.new_postings++;
+    }
+    for (const posting of closed) {
+      groupFor(posting).closed_postings++;
+    }
+
+    const rows = Array.from(groups.values());
+    await this.prisma.$transaction([
+      this.prisma.hiringSnapshot.deleteMany({ where: { snapshot_date: day } }),
+      this.prisma.hiringSnapshot.createMany({ data: rows })
+    ]);
+
+    logger.info('Hiring snapshot taken', { date: day.toISOString().slice(0, 10), groups: rows.length, openPostings: open.length });
+    return rows;
+  }
+
+  // Metrics for one company, or null when it has no snapshots in the window
+  async getCompanyHiring(key, options = {}) {
+    const days = options.days || this.windowDays;
+    const since = new Date(Date.now() - days * DAY);
+    const [rows, snapshots] = await Promise.all([
+      this.prisma.hiringSnapshot.findMany({
+        where: { company_key: key, snapshot_date: { gte: since } },
+        orderBy: { snapshot_date: 'asc' }
+      }),
+      this.prisma.hiringSnapshot.findMany({
+        where: { snapshot_date: { gte: since } },
+        distinct: ['snapshot_date'],
+        select: { snapshot_date: true }
+      })
+    ]);
+
+    return rows.length > 0 ? this.computeMetrics(rows, snapshots.map(row => row.snapshot_date)) : null;
+  }
+
+  // Metrics for every company with snapshots in the window, keyed by company key
+  async getAllMetrics(options = {}) {
+    const days = options.days || this.windowDays;
+    const rows = await this.prisma.hiringSnapshot.findMany({
+      where: { snapshot_date: { gte: new Date(Date.now() - days * DAY) } },
+      orderBy: { snapshot_date: 'asc' }
+    });
+
+    const byCompany = new Map();
+    for (const row of rows) {
+      if (!byCompany.has(row.company_key)) byCompany.set(row.company_key, []);
+      byCompany.get(row.company_key).push(row);
+    }
+
+    const snapshotDates = rows.map(row => row.snapshot_date);
+    const metrics = new Map();
+    for (const [key, companyRows] of byCompany) {
+      metrics.set(key, this.computeMetrics(companyRows, snapshotDates));
+    }
+    return metrics;
+  }
+
+  // rows: one company's snapshots, any order; snapshotDates: the days a snapshot was taken for any
+  // company (defaults to the company's own), so a day the company is missing from counts as 0
+  computeMetrics(rows, snapshotDates = rows.map(row => row.snapshot_date)) {
+    const time = row => new Date(row.snapshot_date).getTime();
+    const dates = [...new Set(rows.map(time))].sort((a, b) => a - b);
+    const latest = dates[dates.length - 1];
+    const taken = [...new Set(snapshotDates.map(date => new Date(date).getTime()))].sort((a, b) => a - b);
+    const weekAgo = taken.filter(date => date <= latest - 7 * DAY).pop() ?? null;
+    const recentSince = latest - 7 * DAY;
+
+    const at = date => rows.filter(row => time(row) === date);
+    const current = at(latest);
+    const previous = weekAgo === null ? null : at(weekAgo);
+
+    // Cities and families with postings before the last week, for first-appearance checks
+    const earlier = rows.filter(row => time(row) <= recentSince && row.open_postings > 0);
+    const recent = rows.filter(row => time(row) > recentSince && row.open_postings > 0);
+    const hasBaseline = earlier.length > 0;
+    const firstSeen = field => hasBaseline
+      ? [...new Set(recent.map(row => row[field]))].filter(value => !earlier.some(row => row[field] === value))
+      : [];
+
+    const breakdown = (field) => {
+      const values = [...new Set([...current, ...(previous || [])].map(row => row[field]))];
+      return values
+        .map(value => ({
+          [field]: value,
+          ...change(
+            sumOpen(current.filter(row => row[field] === value)),
+            previous === null ? null : sumOpen(previous.filter(row => row[field] === value))
+          )
+        }))
+        .sort((a, b) => b.current - a.current);
+    };
+
+    const weekOverWeek = change(sumOpen(current), previous === null ? null : sumOpen(previous));
+    const accelerating = weekOverWeek.change !== null &&
+      weekOverWeek.change >= this.minChange &&
+      (weekOverWeek.growthPct === null || weekOverWeek.growthPct >= this.minGrowthPct);
+
+    return {
+      company: current[0] ? current[0].company : rows[rows.length - 1].company,
+      companyKey: rows[0].company_key,
+      asOf: new Date(latest).toISOString().slice(0, 10),
+      openPostings: weekOverWeek.current,
+      newPostingsToday: current.reduce((total, row) => total + row.new_postings, 0),
+      weekOverWeek,
+      accelerating,
+      newRoleFamilies: firstSeen('role_family'),
+      newCities: firstSeen('city'),
+      byCity: breakdown('city'),
+      byRoleFamily: breakdown('role_family'),
+      series: dates.map(date => ({ date: new Date(date).toISOString().slice(0, 10), open: sumOpen(at(date)) }))
+    };
+  }
+}
+
+// Create singleton instance
+const hiringVelocity = new HiringVelocity();
+
+module.exports = hiringVelocity;
+module.exports.companyKey = companyKey;
+module.exports.SPACE_ROLE_FAMILIES = SPACE_ROLE_FAMILIES;
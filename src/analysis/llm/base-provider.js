@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../../fixtures/llm');
+
+// Fixture file name for a request: the messages and tools decide the answer, the model and
+// sampling settings do not, so one recording serves every model configuration
+function requestKey(request) {
+  const content = JSON.stringify({ messages: request.messages, tools: request.tools || null });
+  return crypto.createHash('sha1').update(content).digest('hex').substring(0, 16);
+}
+
+/**
+ * A chat-completion backend. Providers take and return OpenAI-style chat messages:
+ *
+ *   const message = await provider.complete({ messages, tools, toolChoice });
+ *   // { role: 'assistant', content, tool_calls: [{ id, type: 'function', function: { name, arguments } }] }
+ *
+ * complete() applies the configured model, temperature and max tokens (a request may override
+ * them) and, with LLM_FIXTURE_MODE=record, saves every answer under LLM_FIXTURE_DIR for the mock
+ * provider to replay. Subclasses implement chat(request) and declare a static type.
+ */
+class LlmProvider {
+  static type = null;
+
+  constructor(config = {}) {
+    this.model = config.model;
+    this.temperature = config.temperature;
+    this.maxTokens = config.maxTokens;
+    this.fixtureDir = config.fixtureDir || DEFAULT_FIXTURE_DIR;
+    this.recording = config.fixtureMode === 'record';
+  }
+
+  async complete(request) {
+    const fullRequest = {
+      model: this.model,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      ...request
+    };
+
+    const message = await this.chat(fullRequest);
+
+    if (this.recording) {
+      this.saveFixture(fullRequest, message);
+    }
+    return message;
+  }
+
+  async chat(request) {
+    throw new Error(`${this.constructor.name} must implement chat()`);
+  }
+
+  saveFixture(request, message) {
+    const key = requestKey(request);
+    fs.mkdirSync(this.fixtureDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.fixtureDir, `${key}.json`),
+      JSON.stringify({ model: request.model, message }, null, 2)
+    );
+    logger.info('LLM fixture recorded', { key, dir: this.fixtureDir });
+  }
+
+  describe() {
+    return {
+      provider: this.constructor.type,
+      model: this.model,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens
+    };
+  }
+}
+
+module.exports = LlmProvider;
+module.exports.requestKey = requestKey;
+module.exports.DEFAULT_FIXTURE_DIR = DEFAULT_FIXTURE_DIR;
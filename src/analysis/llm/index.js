@@ -0,0 +1,81 @@
+const path = require('path');
+const logger = require('../../utils/logger');
+const OpenAIProvider = require('./openai');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const MockProvider = require('./mock');
+
+const PROVIDERS = new Map(
+  [OpenAIProvider, OpenAICompatibleProvider, MockProvider].map(Provider => [Provider.type, Provider])
+);
+
+// Model used when LLM_MODEL is not set; a local server has no sensible default
+const DEFAULT_MODELS = {
+  openai: 'gpt-4',
+  'openai-compatible': null,
+  mock: 'mock'
+};
+
+function numberFrom(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Builds the LLM client the analysis uses. Settings come from options, then the environment:
+ *
+ * - LLM_PROVIDER: openai (default), openai-compatible or mock
+ * - LLM_MODEL (gpt-4 for openai), LLM_TEMPERATURE (0.3), LLM_MAX_TOKENS (2000)
+ * - LLM_BASE_URL and LLM_API_KEY for openai-compatible servers
+ * - LLM_FIXTURE_DIR (fixtures/llm) and LLM_FIXTURE_MODE=record to save answers for the mock
+ *
+ * The mock answers unrecorded prompts with a demo prediction, so outside NODE_ENV=test it is only
+ * built when LLM_PROVIDER=mock asks for it, and then with a warning.
+ */
+function createLlmClient(options = {}) {
+  const type = (options.provider || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const Provider = PROVIDERS.get(type);
+  if (!Provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${type}" (expected ${listProviderTypes().join(', ')})`);
+  }
+
+  if (type === MockProvider.type) {
+    assertMockAllowed();
+  }
+
+  const model = options.model || process.env.LLM_MODEL || DEFAULT_MODELS[type];
+  if (!model) {
+    throw new Error(`LLM_MODEL is required for the ${type} provider`);
+  }
+
+  const provider = new Provider({
+    model,
+    temperature: numberFrom(options.temperature ?? process.env.LLM_TEMPERATURE, 0.3),
+    maxTokens: Math.round(numberFrom(options.maxTokens ?? process.env.LLM_MAX_TOKENS, 2000)),
+    baseURL: options.baseURL || process.env.LLM_BASE_URL,
+    apiKey: options.apiKey || process.env.LLM_API_KEY,
+    timeout: options.timeout,
+    fixtureDir: options.fixtureDir || (process.env.LLM_FIXTURE_DIR ? path.resolve(process.env.LLM_FIXTURE_DIR) : undefined),
+    fixtureMode: (options.fixtureMode || process.env.LLM_FIXTURE_MODE || 'off').toLowerCase()
+  });
+
+  logger.info('LLM client configured', provider.describe());
+  return provider;
+}
+
+function assertMockAllowed() {
+  if (process.env.NODE_ENV === 'test') return;
+
+  if ((process.env.LLM_PROVIDER || '').toLowerCase() !== MockProvider.type) {
+    throw new Error('The mock LLM provider is only used in tests (NODE_ENV=test) or when LLM_PROVIDER=mock is set');
+  }
+  logger.warn('LLM_PROVIDER=mock: predictions come from recorded fixtures or the demo prediction in default.json, not a model');
+}
+
+function listProviderTypes() {
+  return Array.from(PROVIDERS.keys());
+}
+
+module.exports = {
+  createLlmClient,
+  listProviderTypes
+};
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const LlmProvider = require('./base-provider');
+const { requestKey } = require('./base-provider');
+
+/**
+ * Deterministic offline backend for development, demos and repeatable runs. Answers each request
+ * with LLM_FIXTURE_DIR/<key>.json, the recording of that exact request (see LLM_FIXTURE_MODE=record),
+ * or with default.json when there is none. A fixture holds { "message": <assistant message> }.
+ */
+class MockProvider extends LlmProvider {
+  static type = 'mock';
+
+  async chat(request) {
+    const key = requestKey(request);
+    const file = [`${key}.json`, 'default.json']
+      .map(name => path.join(this.fixtureDir, name))
+      .find(candidate => fs.existsSync(candidate));
+
+    if (!file) {
+      throw new Error(`No LLM fixture for request ${key} and no default.json in ${this.fixtureDir}`);
+    }
+
+    const { message } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return message;
+  }
+}
+
+module.exports = MockProvider;
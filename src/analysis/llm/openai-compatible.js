@@ -0,0 +1,22 @@
+const OpenAIProvider = require('./openai');
+
+// Any server speaking the OpenAI chat completions API: Ollama, vLLM, LM Studio, llama.cpp, ...
+// LLM_BASE_URL points at it (e.g. http://localhost:11434/v1); most local servers ignore the key.
+// Function calling needs a model and server that support tools.
+class OpenAICompatibleProvider extends OpenAIProvider {
+  static type = 'openai-compatible';
+
+  clientOptions(config) {
+    if (!config.baseURL) {
+      throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+    }
+
+    return {
+      baseURL: config.baseURL,
+      apiKey: config.apiKey || 'not-needed',
+      timeout: config.timeout
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
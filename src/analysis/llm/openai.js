@@ -0,0 +1,34 @@
+const OpenAI = require('openai');
+const LlmProvider = require('./base-provider');
+
+// OpenAI's hosted chat completions API (OPENAI_API_KEY)
+class OpenAIProvider extends LlmProvider {
+  static type = 'openai';
+
+  constructor(config = {}) {
+    super(config);
+    this.client = new OpenAI(this.clientOptions(config));
+  }
+
+  clientOptions(config) {
+    return {
+      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+      timeout: config.timeout
+    };
+  }
+
+  async chat(request) {
+    const completion = await this.client.chat.completions.create({
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(request.tools ? { tools: request.tools } : {}),
+      ...(request.tools && request.toolChoice ? { tool_choice: request.toolChoice } : {})
+    });
+
+    return completion.choices[0].message;
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,142 @@
+// The shape the AI analysis must return its predictions in. The model is asked to call the
+// submit_predictions function, whose parameters are this JSON schema, and the arguments are
+// checked against the same schema before anything is saved.
+
+const { PROPERTY_TYPES } = require('./property-classifier');
+
+const CITATION_ROLES = ['primary', 'supporting', 'context'];
+
+// One cited record: a permit or job id exactly as given in the prompt data
+const CITATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    record_type: { type: 'string', enum: ['permit', 'job'] },
+    id: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: CITATION_ROLES, description: 'primary: the main signal; supporting: corroborates it; context: background' },
+    weight: { type: 'number', minimum: 0, maximum: 1, description: 'How much the prediction rests on this record' }
+  },
+  required: ['record_type', 'id', 'role', 'weight'],
+  additionalProperties: false
+};
+
+const PREDICTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    company: { type: 'string', minLength: 2, description: 'Real corporate entity name, not a placeholder' },
+    confidence_score: { type: 'integer', minimum: 0, maximum: 100, description: 'Confidence in percent, based on evidence strength' },
+    property_type: { type: 'string', enum: PROPERTY_TYPES },
+    location: { type: 'string', minLength: 2, description: 'Specific Orange County address, or city when no address is known' },
+    timeline_days: { type: 'integer', minimum: 1, maximum: 365, description: 'Days until the company is expected to need the space' },
+    evidence: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', minLength: 1 },
+      description: 'Specific permit details, hiring velocity and corporate entity verification, one point per item'
+    },
+    action_recommendation: { type: 'string', minLength: 1, description: 'Voit-specific recommendation for lead generation' },
+    citations: {
+      type: 'array',
+      items: CITATION_SCHEMA,
+      description: 'The permits and jobs from the data this prediction rests on, by their id'
+    }
+  },
+  required: ['company', 'confidence_score', 'property_type', 'location', 'timeline_days', 'evidence', 'action_recommendation', 'citations'],
+  additionalProperties: false
+};
+
+const PREDICTION_FUNCTION = {
+  name: 'submit_predictions',
+  description: 'Submit the expansion predictions supported by the data. Submit an empty list when nothing qualifies.',
+  parameters: {
+    type: 'object',
+    properties: {
+      predictions: { type: 'array', items: PREDICTION_SCHEMA }
+    },
+    required: ['predictions'],
+    additionalProperties: false
+  }
+};
+
+// Checks one value against the subset of JSON schema used above; returns error strings
+function check(value, schema, at) {
+  const errors = [];
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${at} must be an object`];
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (!schema.properties[key]) {
+        if (schema.additionalProperties === false) errors.push(`${at}.${key} is not allowed`);
+        continue;
+      }
+      if (item !== undefined && item !== null) errors.push(...check(item, schema.properties[key], `${at}.${key}`));
+    }
+    return errors;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return [`${at} must be an array`];
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at} needs at least ${schema.minItems} item(s)`);
+    value.forEach((item, i) => errors.push(...check(item, schema.items, `${at}[${i}]`)));
+    return errors;
+  }
+
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') return [`${at} must be a string`];
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${at} is too short`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (schema.type === 'integer' ? !Number.isInteger(value) : typeof value !== 'number' || !Number.isFinite(value)) {
+      return [`${at} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`];
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+    return errors;
+  }
+
+  return errors;
+}
+
+/**
+ * Validates submit_predictions arguments (a JSON string or parsed object). With
+ * context.recordIds ({ permit: Set, job: Set }), citations must name records that were in the
+ * prompt. Returns { valid, errors, predictions }; predictions is only set when valid.
+ */
+function validatePredictions(args, context = {}) {
+  let parsed = args;
+  if (typeof args === 'string') {
+    try {
+      parsed = JSON.parse(args);
+    } catch (error) {
+      return { valid: false, errors: [`arguments are not valid JSON: ${error.message}`], predictions: null };
+    }
+  }
+
+  const errors = check(parsed, PREDICTION_FUNCTION.parameters, 'arguments');
+
+  if (errors.length === 0 && context.recordIds) {
+    parsed.predictions.forEach((prediction, i) => {
+      prediction.citations.forEach((citation, j) => {
+        if (!context.recordIds[citation.record_type].has(citation.id)) {
+          errors.push(`arguments.predictions[${i}].citations[${j}] cites unknown ${citation.record_type} id ${citation.id}`);
+        }
+      });
+    });
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, predictions: null }
+    : { valid: true, errors: [], predictions: parsed.predictions };
+}
+
+module.exports = {
+  CITATION_ROLES,
+  PREDICTION_SCHEMA,
+  PREDICTION_FUNCTION,
+  validatePredictions
+};
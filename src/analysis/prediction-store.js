@@ -0,0 +1,235 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const { companyKey } = require('./hiring-velocity');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "Irvine, CA 92618" -> "irvine"; used when the location does not resolve to a building
+function locationKey(location) {
+  const text = String(location || '')
+    .replace(/,?\s*\b(?:ca|california)\b\.?(?:\s+\d{5}(?:-\d{4})?)?\s*$/i, '')
+    .replace(/\s+\d{5}(?:-\d{4})?\s*$/, '');
+  return companyKey(text);
+}
+
+// company|location|property type. The company is its resolved ID when there is one, and the
+// location its building key when the address resolves to a building.
+function predictionKey({ companyId, company, buildingKey, location, propertyType }) {
+  return [
+    companyId || `name:${companyKey(company)}`,
+    buildingKey || locationKey(location),
+    propertyType
+  ].join('|');
+}
+
+/**
+ * Saves predictions so that repeated analysis runs update one row instead of adding another.
+ *
+ * A prediction is keyed on company + location + property type. While it is open, a run that makes
+ * the same prediction replaces its confidence, baseline, timeline and recommendation, adds any new
+ * evidence and cited records, and bumps its revision. Each revision's confidence is kept in
+ * prediction_revisions. A prediction expires once its timeline_days pass (PREDICTION_OPEN_DAYS,
+ * 90, when it has none) without a run confirming it; the next run that makes it starts a new row.
+ * A prediction made before its company resolved is found under the name key and moves to the
+ * company's ID.
+ */
+class PredictionStore {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.defaultOpenDays = parseInt(process.env.PREDICTION_OPEN_DAYS) || 90;
+  }
+
+  isLapsed(prediction, now = new Date()) {
+    const days = prediction.timeline_days || this.defaultOpenDays;
+    return new Date(prediction.last_seen_at).getTime() + days * DAY < now.getTime();
+  }
+
+  // The open prediction for a key; one that has lapsed is marked expired and not returned.
+  // client is the transaction the lookup belongs to.
+  async findOpen(key, client = this.prisma) {
+    const prediction = await client.prediction.findFirst({
+      where: { prediction_key: key, status: 'open' },
+      orderBy: { last_seen_at: 'desc' },
+      include: { evidence_links: true }
+    });
+    if (!prediction) return null;
+
+    if (this.isLapsed(prediction)) {
+      await client.prediction.update({ where: { id: prediction.id }, data: { status: 'expired' } });
+      logger.info('Prediction expired', { id: prediction.id, key, lastSeenAt: prediction.last_seen_at });
+      return null;
+    }
+
+    return prediction;
+  }
+
+  /**
+   * data: the Prediction fields of this run; links: PredictionEvidence rows for its citations.
+   * Returns { prediction, created, previousConfidence } with the saved row, including its
+   * evidence links and their permits and jobs.
+   *
+   * Two runs saving the same key at once (a manual and a scheduled analysis) would both miss the
+   * open row and create one each, so saves of a key are serialized on a transaction-scoped
+   * advisory lock: the second waits, then finds the first one's row and revises it.
+   */
+  async save(data, links = []) {
+    const fields = {
+      company: data.company,
+      buildingKey: data.building_key,
+      location: data.location,
+      propertyType: data.prediction_type
+    };
+    const key = predictionKey({ companyId: data.company_id, ...fields });
+    // Made while the company was still unresolved, the same prediction was keyed on its name
+    const nameKey = predictionKey(fields);
+    const keys = [...new Set([key, nameKey])].sort();
+
+    return await this.prisma.$transaction(async (tx) => {
+      for (const lockKey of keys) {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+      }
+      return await this.saveLocked(tx, key, nameKey, data, links);
+    });
+  }
+
+  async saveLocked(tx, key, nameKey, data, links) {
+    const include = { evidence_links: { include: { permit: true, job: true } } };
+    const existing = await this.findOpen(key, tx) || (nameKey !== key ? await this.findOpen(nameKey, tx) : null);
+
+    if (!existing) {
+      const prediction = await tx.prediction.create({
+        data: {
+          ...data,
+          prediction_key: key,
+          evidence_links: { create: links },
+          revisions: {
+            create: {
+              revision: 1,
+              confidence_score: data.confidence_score,
+              llm_confidence: data.llm_confidence,
+              baseline_score: data.baseline_score,
+              timeline_days: data.timeline_days,
+              added_evidence: data.evidence
+            }
+          }
+        },
+        include
+      });
+      return { prediction, created: true, previousConfidence: null };
+    }
+
+    // Evidence accumulates across runs; the revision records which lines this run added
+    const addedEvidence = data.evidence.filter(item => !existing.evidence.includes(item));
+    const linked = new Set(existing.evidence_links.map(link => link.permit_id || link.job_id));
+    const revision = existing.revision + 1;
+    const previousConfidence = existing.confidence_score;
+
+    const prediction = await tx.prediction.update({
+      where: { id: existing.id },
+      data: {
+        company: data.company,
+        company_id: data.company_id || existing.company_id,
+        prediction_key: key,
+        confidence_score: data.confidence_score,
+        timeline_days: data.timeline_days,
+        evidence: [...existing.evidence, ...addedEvidence],
+        action_recommendation: data.action_recommendation,
+        building_key: existing.building_key || data.building_key,
+        llm_confidence: data.llm_confidence,
+        baseline_score: data.baseline_score,
+        baseline_signals: data.baseline_signals,
+        revision,
+        last_seen_at: new Date(),
+        evidence_links: {
+          create: links.filter(link => !linked.has(link.permit_id || link.job_id))
+        },
+        revisions: {
+          create: {
+            revision,
+            confidence_score: data.confidence_score,
+            llm_confidence: data.llm_confidence,
+            baseline_score: data.baseline_score,
+            timeline_days: data.timeline_days,
+            added_evidence: addedEvidence
+          }
+        }
+      },
+      include
+    });
+
+    logger.info('Prediction revised', {
+      id: prediction.id,
+      key,
+      revision,
+      from: previousConfidence,
+      to: prediction.confidence_score
+    });
+
+    return { prediction, created: false, previousConfidence };
+  }
+
+  /**
+   * Keys predictions saved before prediction_key existed, and moves predictions keyed on a company
+   * name onto the company ID once the company has resolved. Where that leaves several open
+   * predictions under one key, the one seen last stays open and the rest are marked superseded.
+   */
+  async backfillKeys() {
+    const report = { scanned: 0, keyed: 0, rekeyed: 0, superseded: 0 };
+    const predictions = await this.prisma.prediction.findMany({
+      where: {
+        OR: [
+          { prediction_key: null },
+          { company_id: { not: null }, prediction_key: { startsWith: 'name:' } }
+        ]
+      }
+    });
+    const touched = new Set();
+
+    for (const prediction of predictions) {
+      report.scanned++;
+      const key = predictionKey({
+        companyId: prediction.company_id,
+        company: prediction.company,
+        buildingKey: prediction.building_key,
+        location: prediction.location,
+        propertyType: prediction.prediction_type
+      });
+      if (key === prediction.prediction_key) continue;
+
+      await this.prisma.prediction.update({ where: { id: prediction.id }, data: { prediction_key: key } });
+      if (prediction.prediction_key) report.rekeyed++; else report.keyed++;
+      touched.add(key);
+    }
+
+    for (const key of touched) {
+      const open = await this.prisma.prediction.findMany({
+        where: { prediction_key: key, status: 'open' },
+        orderBy: [{ last_seen_at: 'desc' }, { created_at: 'desc' }],
+        select: { id: true }
+      });
+      const stale = open.slice(1).map(prediction => prediction.id);
+      if (stale.length === 0) continue;
+
+      await this.prisma.prediction.updateMany({ where: { id: { in: stale } }, data: { status: 'superseded' } });
+      report.superseded += stale.length;
+    }
+
+    logger.info('Prediction keys backfilled', report);
+    return report;
+  }
+
+  // Confidence over time for one prediction, oldest revision first
+  async getHistory(predictionId) {
+    return await this.prisma.predictionRevision.findMany({
+      where: { prediction_id: predictionId },
+      orderBy: { revision: 'asc' }
+    });
+  }
+}
+
+// Create singleton instance
+const predictionStore = new PredictionStore();
+
+module.exports = predictionStore;
+module.exports.predictionKey = predictionKey;
+module.exports.locationKey = locationKey;
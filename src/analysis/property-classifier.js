@@ -0,0 +1,119 @@
+// Labels a permit with the kind of space it builds. Keywords in the description are weighed
+// against the building-code occupancy group (B, F-1, S-2, ...) when the portal reports one.
+
+const PROPERTY_TYPES = ['office', 'industrial', 'warehouse', 'lab', 'medical', 'retail', 'mixed_use'];
+
+const RULES = {
+  lab: {
+    keywords: /\blab(?:oratory|oratories|s)?\b|\bR&D\b|research\s+(?:lab|facility|and\s+development)|clean\s?room|biotech|life\s+science|vivarium/i,
+    codes: ['H-[1-5]', 'H']
+  },
+  medical: {
+    keywords: /medical|clinic|hospital|surg(?:ery|ical)|dental|health\s?care|imaging|urgent\s+care|physician|outpatient/i,
+    codes: ['I-2']
+  },
+  industrial: {
+    keywords: /industrial|manufactur|assembly\s+(?:plant|line)|fabricat|machine\s+shop|production\s+facility|factory|\bplant\b/i,
+    codes: ['F-[12]', 'F']
+  },
+  warehouse: {
+    keywords: /warehouse|distribution|fulfil?ment|logistics|cold\s+storage|storage\s+building|high[\s-]?pile/i,
+    codes: ['S-[12]', 'S']
+  },
+  office: {
+    keywords: /\boffices?\b|corporate|headquarters|\bhq\b|call\s+center|co-?working|business\s+park/i,
+    codes: [],
+    // Group B also covers labs and outpatient clinics, so it only decides when nothing else does
+    weakCodes: ['B']
+  },
+  retail: {
+    keywords: /retail|\bstores?\b|restaurant|shopping|showroom|supermarket|grocery|mercantile/i,
+    codes: ['M', 'A-2']
+  }
+};
+
+// Ties go to the more specialised space, which is also the rarer and more telling signal
+const PRECEDENCE = ['lab', 'medical', 'industrial', 'warehouse', 'office', 'retail'];
+
+const KEYWORD_WEIGHT = 2;
+const CODE_WEIGHT = 3;
+const WEAK_CODE_WEIGHT = 1;
+
+// Occupancy groups appear as "B - Business", "Group F-1", "S-1/S-2"
+function matchesCode(useType, code) {
+  return new RegExp(`(?:^|group\\s*|[,;/(]\\s*)${code}(?![A-Z0-9-])`, 'i').test(useType);
+}
+
+function scoreTypes(permit) {
+  const text = [permit.description, permit.use_type, permit.applicant].filter(Boolean).join(' ');
+  const useType = (permit.use_type || '').trim();
+  const scores = {};
+
+  for (const [type, rule] of Object.entries(RULES)) {
+    let score = 0;
+    if (rule.keywords.test(text)) score += KEYWORD_WEIGHT;
+    if (useType && rule.codes.some(code => matchesCode(useType, code))) score += CODE_WEIGHT;
+    if (score > 0) scores[type] = score;
+  }
+
+  if (Object.keys(scores).length === 0 && useType) {
+    for (const [type, rule] of Object.entries(RULES)) {
+      if ((rule.weakCodes || []).some(code => matchesCode(useType, code))) scores[type] = WEAK_CODE_WEIGHT;
+    }
+  }
+
+  return scores;
+}
+
+// Returns one of PROPERTY_TYPES, or null when nothing in the permit points at a type
+function classifyProperty(permit) {
+  const text = [permit.description, permit.use_type].filter(Boolean).join(' ');
+  if (/mixed[\s-]?use/i.test(text)) return 'mixed_use';
+
+  const scores = scoreTypes(permit);
+  const ranked = PRECEDENCE
+    .filter(type => scores[type])
+    .sort((a, b) => scores[b] - scores[a] || PRECEDENCE.indexOf(a) - PRECEDENCE.indexOf(b));
+
+  if (ranked.length === 0) return null;
+
+  // Retail ground floor under offices (or the reverse) with equal weight is a mixed-use project
+  const [top, runnerUp] = ranked;
+  if (runnerUp && scores[top] === scores[runnerUp] &&
+      [top, runnerUp].includes('retail') && [top, runnerUp].includes('office')) {
+    return 'mixed_use';
+  }
+
+  return top;
+}
+
+// Office-like space uses the office minimum, industrial-like space the industrial one.
+// Unclassified permits fall back to the flat minimum value.
+const THRESHOLD_GROUPS = {
+  office: 'office',
+  medical: 'office',
+  retail: 'office',
+  mixed_use: 'office',
+  industrial: 'industrial',
+  warehouse: 'industrial',
+  lab: 'industrial'
+};
+
+// overrides may name a group ("office", "industrial") or a single type ("lab")
+function buildPropertyThresholds({ office, industrial, fallback, overrides = {} }) {
+  const groups = { office, industrial };
+  const thresholds = { default: overrides.minValue ?? fallback };
+
+  for (const type of PROPERTY_TYPES) {
+    const group = THRESHOLD_GROUPS[type];
+    thresholds[type] = overrides[type] ?? overrides[group] ?? groups[group] ?? thresholds.default;
+  }
+
+  return thresholds;
+}
+
+module.exports = {
+  PROPERTY_TYPES,
+  classifyProperty,
+  buildPropertyThresholds
+};
@@ -0,0 +1,46 @@
+// Groups job postings into role families so hiring can be tracked per kind of work. A company
+// that starts posting warehouse or lab roles somewhere is adding a different kind of space,
+// which says more than another engineering req at an office it already has.
+
+const ROLE_FAMILIES = [
+  'construction', 'real_estate', 'facilities', 'warehouse_logistics', 'manufacturing',
+  'lab_research', 'healthcare', 'engineering', 'sales', 'operations', 'corporate', 'other'
+];
+
+// Families that mean new or different space, as opposed to more heads in existing space
+const SPACE_ROLE_FAMILIES = ['construction', 'real_estate', 'facilities', 'warehouse_logistics', 'manufacturing', 'lab_research'];
+
+// Checked in order; the first family whose pattern matches the title (or, failing that, the
+// department) wins, so the narrow space-related families come before broad ones like operations.
+// Space-family words that also name desk jobs only count in their space sense: "Property &
+// Casualty", "Inventory Accountant", "Distribution Platform", "Data Scientist" and "Market
+// Research" are not real estate, warehouse or lab roles.
+const RULES = [
+  ['construction', /construction|build[\s-]?out|tenant\s+improvement|superintendent|estimator|\bcapital\s+projects?\b/i],
+  ['real_estate', /real\s+estate|leasing|\bproperty\b(?!\s*(?:&|and)\s*casualty)|space\s+plann|tenant\s+coordinator|site\s+selection/i],
+  ['facilities', /facilit|workplace|maintenance|\bhvac\b|building\s+(?:engineer|services)/i],
+  ['warehouse_logistics', /warehouse|\bdistribution\s+(?:center|centre|manager|supervisor|associate|operations|specialist|lead|clerk|driver)\b|(?:director|head|vp)\s+of\s+distribution\b|logistics|supply\s+chain|fulfil?ment|shipping|receiving|inventory(?!\s+(?:accountant|accounting))|forklift|material\s+handl/i],
+  ['manufacturing', /manufactur|production|\bplant\b|assembl|machinist|fabricat|quality\s+(?:technician|inspector)|process\s+technician/i],
+  ['lab_research', /\blab(?:oratory)?\b|\b(?:research|bench|analytical|formulation|process|cell|molecular|protein|materials?)\s+scientist\b|\bscientist\b.*\b(?:assay|biolog|chemist|formulation|analytical|molecular|r\s?&\s?d)|(?<!\b(?:market|marketing|user|ux|customer|equity|investment|policy)\s)research\s+(?:associate|scientist|technician|assistant)\b|assay|clinical\s+research|\br\s?&\s?d\b|\b(?:chemist|biologist|microbiologist)\b/i],
+  ['healthcare', /nurse|\brn\b|physician|clinical|medical\s+assistant|therapist|pharmac|patient/i],
+  ['engineering', /engineer|developer|software|firmware|devops|data\s+scien|architect/i],
+  ['sales', /sales|account\s+(?:executive|manager)|business\s+development|marketing|customer\s+success/i],
+  ['operations', /operations|general\s+manager|branch\s+manager|(?:regional|area|district|site|store)\s+manager|site\s+(?:lead|supervisor)/i],
+  ['corporate', /financ|accountant|accounting|payroll|human\s+resources|\bhr\b|recruit|legal|counsel|administrative|executive\s+assistant|paralegal/i]
+];
+
+// Returns one of ROLE_FAMILIES; 'other' when neither title nor department matches
+function classifyRoleFamily(title, department = null) {
+  for (const text of [title, department]) {
+    if (!text) continue;
+    const match = RULES.find(([, pattern]) => pattern.test(text));
+    if (match) return match[0];
+  }
+  return 'other';
+}
+
+module.exports = {
+  ROLE_FAMILIES,
+  SPACE_ROLE_FAMILIES,
+  classifyRoleFamily
+};
@@ -4,6 +4,11 @@ const MultiCityPermitsScraper = require('./scrapers/multi-city-permits'); // NEW
 const JobMonitor = require('./scrapers/job-monitor');
 const AIPredictor = require('./analysis/ai-predictor');
 const EmailSender = require('./alerts/email-sender');
+const cityConfig = require('./scrapers/city-config');
+const permitStatusTracker = require('./scrapers/permit-status-tracker');
+const circuitBreakers = require('./utils/circuit-breaker');
+
+const JOB_BOARD_SOURCE = 'jobs:indeed';
 
 class Scheduler {
   constructor() {
@@ -17,8 +22,24 @@ class Scheduler {
       permits: false,
       multiCityPermits: false, // NEW
       jobs: false,
-      analysis: false
+      analysis: false,
+      permitStatus: false
     };
+    
+    // Cron tasks for cities that declare their own schedule in config/cities.json
+    this.cityTasks = [];
+    
+    // Cities being scraped right now, so a city's own tick and the shared run never overlap on
+    // the same city but do not block each other otherwise
+    this.runningCities = new Set();
+    
+    // Significant permit status changes waiting to be alerted on and analyzed
+    this.pendingStatusEvents = [];
+    this.statusEventTimer = null;
+    this.permitStatusSchedule = process.env.PERMIT_STATUS_RECHECK_CRON || '30 */6 * * *';
+    
+    // Set when new data asks for analysis while a run is in progress; that run starts one more
+    this.analysisQueued = false;
   }
 
   start() {
@@ -44,12 +65,26 @@ class Scheduler {
       await this.healthCheck();
     });
     
+    // Every 6 hours (default): Re-check open permits for status changes
+    cron.schedule(this.permitStatusSchedule, async () => {
+      await this.runPermitStatusRecheck();
+    });
+    
+    // Status transitions from scrapes and re-checks are events of their own
+    permitStatusTracker.on('statusChange', (event) => this.handlePermitStatusChange(event));
+    
+    // Per-city schedules follow config/cities.json, including edits made while running
+    this.scheduleCityJobs();
+    cityConfig.on('reload', () => this.scheduleCityJobs());
+    
+    const enabledCities = Object.values(cityConfig.getCities()).filter(city => city.enabled);
     console.log('✅ Scheduler started with the following schedule:');
     console.log('  📋 Multi-City Permits & Jobs: Every 4 hours');
     console.log('  🧠 AI Analysis: Every 8 hours');
     console.log('  📊 Daily Report: 9:00 AM daily');
     console.log('  💓 Health Check: Every 30 minutes');
-    console.log('  🏙️  Cities: Irvine, Newport Beach, Tustin, Anaheim');
+    console.log(`  🔄 Permit Status Re-check: ${this.permitStatusSchedule}`);
+    console.log(`  🏙️  Cities: ${enabledCities.map(city => city.schedule ? `${city.name} (${city.schedule})` : city.name).join(', ')}`);
     
     // Run initial data collection
     setTimeout(() => {
@@ -57,13 +92,33 @@ class Scheduler {
     }, 5000);
   }
 
+  scheduleCityJobs() {
+    this.cityTasks.forEach(task => task.stop());
+    this.cityTasks = [];
+    
+    for (const [cityKey, city] of Object.entries(cityConfig.getCities())) {
+      if (!city.enabled || !city.schedule) continue;
+      
+      this.cityTasks.push(cron.schedule(city.schedule, async () => {
+        await this.runMultiCityPermitsCollection([cityKey]);
+      }));
+      console.log(`  🏛️  ${city.name} permits scheduled: ${city.schedule}`);
+    }
+  }
+
+  // Cities without their own schedule are collected on the shared 4-hour tick
+  getDefaultScheduleCities() {
+    const cities = cityConfig.getCities();
+    return Object.keys(cities).filter(cityKey => cities[cityKey].enabled && !cities[cityKey].schedule);
+  }
+
   async runMultiCityDataCollection() { // NEW METHOD
     console.log('🏙️  Starting multi-city data collection...');
     
     try {
       // Run permits and jobs in parallel for better performance
       const [permitsResult, jobsResult] = await Promise.allSettled([
-        this.runMultiCityPermitsCollection(),
+        this.runMultiCityPermitsCollection(this.getDefaultScheduleCities()),
         this.runJobsCollection()
       ]);
       
@@ -94,17 +149,39 @@ class Scheduler {
     }
   }
 
-  async runMultiCityPermitsCollection() { // NEW METHOD
-    if (this.isRunning.multiCityPermits) {
-      console.log('⏭️  Multi-city permits collection already running, skipping...');
-      return 0;
+  async runMultiCityPermitsCollection(cityKeys) { // NEW METHOD
+    const busyCities = cityKeys.filter(cityKey => this.runningCities.has(cityKey));
+    if (busyCities.length > 0) {
+      console.log(`⏭️  Permits collection already running for ${busyCities.join(', ')}, skipping them...`);
+    }
+    
+    // Cities whose circuit is open are skipped until their cool-down ends
+    const openCities = cityKeys
+      .filter(cityKey => !busyCities.includes(cityKey))
+      .filter(cityKey => !circuitBreakers.canRun(`permits:${cityKey}`));
+    if (openCities.length > 0) {
+      console.log(`⛔ Circuit open, skipping: ${openCities.join(', ')}`);
     }
+    const runnableCities = cityKeys.filter(cityKey => !busyCities.includes(cityKey) && !openCities.includes(cityKey));
+    if (runnableCities.length === 0) return 0;
     
+    runnableCities.forEach(cityKey => this.runningCities.add(cityKey));
     this.isRunning.multiCityPermits = true;
+    const reported = new Set();
     
     try {
       console.log('📋 Scraping permits from multiple cities...');
-      const permits = await this.multiCityPermitsScraper.scrapeAllCities();
+      const permits = await this.multiCityPermitsScraper.scrapeAllCities({
+        cities: runnableCities,
+        onCityResult: (cityKey, error) => {
+          reported.add(cityKey);
+          if (error) {
+            circuitBreakers.recordFailure(`permits:${cityKey}`, error);
+          } else {
+            circuitBreakers.recordSuccess(`permits:${cityKey}`);
+          }
+        }
+      });
       
       console.log(`📊 Multi-city permits summary:`);
       
@@ -128,7 +205,12 @@ class Scheduler {
       console.error('❌ Multi-city permits collection error:', error);
       throw error;
     } finally {
-      this.isRunning.multiCityPermits = false;
+      // A run that died before reaching a city says nothing about it; free any probe it held
+      runnableCities
+        .filter(cityKey => !reported.has(cityKey))
+        .forEach(cityKey => circuitBreakers.releaseProbe(`permits:${cityKey}`));
+      runnableCities.forEach(cityKey => this.runningCities.delete(cityKey));
+      this.isRunning.multiCityPermits = this.runningCities.size > 0;
     }
   }
 
@@ -138,18 +220,45 @@ class Scheduler {
       return 0;
     }
     
+    // Indeed and each watchlist company's ATS feed have their own breaker
+    const sources = this.jobMonitor.listSources();
+    const openSources = sources.filter(source => !circuitBreakers.canRun(source));
+    if (openSources.length > 0) {
+      console.log(`⛔ Circuit open, skipping: ${openSources.join(', ')}`);
+    }
+    const runnableSources = sources.filter(source => !openSources.includes(source));
+    if (runnableSources.length === 0) return 0;
+    
     this.isRunning.jobs = true;
+    const reported = new Set();
     
     try {
       console.log('💼 Monitoring job postings...');
-      const jobs = await this.jobMonitor.monitorJobs();
+      const jobs = await this.jobMonitor.monitorJobs({
+        sources: runnableSources,
+        onSourceResult: (source, error) => {
+          reported.add(source);
+          if (error) {
+            circuitBreakers.recordFailure(source, error);
+          } else {
+            circuitBreakers.recordSuccess(source);
+          }
+        }
+      });
       
       return jobs.length;
       
     } catch (error) {
       console.error('❌ Jobs collection error:', error);
+      if (runnableSources.includes(JOB_BOARD_SOURCE) && !reported.has(JOB_BOARD_SOURCE)) {
+        reported.add(JOB_BOARD_SOURCE);
+        circuitBreakers.recordFailure(JOB_BOARD_SOURCE, error);
+      }
       throw error;
     } finally {
+      runnableSources
+        .filter(source => !reported.has(source))
+        .forEach(source => circuitBreakers.releaseProbe(source));
       this.isRunning.jobs = false;
     }
   }
@@ -197,9 +306,63 @@ class Scheduler {
     }
   }
 
+  async runPermitStatusRecheck(options = {}) {
+    if (this.isRunning.permitStatus) {
+      console.log('⏭️  Permit status re-check already running, skipping...');
+      return { checked: 0, unavailable: 0, changes: [] };
+    }
+    
+    this.isRunning.permitStatus = true;
+    
+    try {
+      console.log('🔄 Re-checking open permits for status changes...');
+      const result = await permitStatusTracker.recheckOpenPermits(options);
+      
+      console.log(`✅ Permit status re-check: ${result.checked} checked, ${result.unavailable} without a status, ${result.changes.length} changed`);
+      return result;
+      
+    } catch (error) {
+      console.error('❌ Permit status re-check error:', error);
+      throw error;
+    } finally {
+      this.isRunning.permitStatus = false;
+    }
+  }
+
+  // A large permit reaching "issued" or "finaled" is treated like new data: alert, then analyze.
+  // Events arriving together (one scrape or re-check) are batched into a single alert.
+  handlePermitStatusChange(event) {
+    if (!event.significant) return;
+    
+    console.log(`🏗️  ${event.permit.permit_id}: ${event.change.from_status} → ${event.change.to_status}`);
+    this.pendingStatusEvents.push(event);
+    
+    if (this.statusEventTimer) return;
+    this.statusEventTimer = setTimeout(() => {
+      this.statusEventTimer = null;
+      this.processPermitStatusEvents();
+    }, 2000);
+  }
+
+  async processPermitStatusEvents() {
+    const events = this.pendingStatusEvents.splice(0);
+    if (events.length === 0) return;
+    
+    console.log(`🚨 ${events.length} significant permit status change(s) detected`);
+    
+    if (process.env.ENABLE_STATUS_CHANGE_ALERTS !== 'false') {
+      await this.emailSender.sendPermitStatusAlert(events);
+    }
+    
+    await this.runAnalysis();
+  }
+
+  // A request that arrives during a run is not dropped: the data it brings in may have been read
+  // too late for the current run, so one more run follows (requests while busy collapse into one)
   async runAnalysis() {
     if (this.isRunning.analysis) {
-      console.log('⏸️  Analysis already running, skipping...');
+      console.log('⏸️  Analysis already running, queued another run for when it finishes');
+      this.analysisQueued = true;
       return;
     }
     
@@ -209,12 +372,12 @@ class Scheduler {
     try {
       this.isRunning.analysis = true;
       
-      const predictions = await this.aiPredictor.analyzeAndPredict();
+      const result = await this.aiPredictor.analyzeAndPredict();
       
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.log(`✅ Analysis complete in ${duration}s: ${predictions.count} predictions`);
+      console.log(`✅ Analysis complete in ${duration}s: ${result.count} predictions`);
       
-      const highConfidence = predictions.filter(p => p.confidence_score >= 80);
+      const highConfidence = result.predictions.filter(p => p.confidence_score >= 80);
       if (highConfidence.length > 0) {
         console.log(`🚨 ${highConfidence.length} high-confidence predictions generated!`);
       }
@@ -223,6 +386,11 @@ class Scheduler {
       console.error('❌ Error in analysis:', error);
     } finally {
       this.isRunning.analysis = false;
+      
+      if (this.analysisQueued) {
+        this.analysisQueued = false;
+        await this.runAnalysis();
+      }
     }
   }
 
@@ -320,6 +488,8 @@ class Scheduler {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      runningCities: Array.from(this.runningCities),
+      circuitBreakers: circuitBreakers.getStats(),
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
       timestamp: new Date().toISOString()
@@ -335,15 +505,36 @@ class Scheduler {
     return await this.jobMonitor.monitorJobs();
   }
 
-  async triggerAnalysis() {
+  async triggerPermitStatusRecheck(options = {}) {
+    return await this.runPermitStatusRecheck(options);
+  }
+
+  // options.propertyTypes limits the permits analyzed to those property types
+  // Manual runs share the scheduled runs' guard, so two analyses never save predictions side by
+  // side. Returns null without running when an analysis is already in progress.
+  async triggerAnalysis(options = {}) {
+    if (this.isRunning.analysis) {
+      console.log('⏸️  Analysis already running, manual run not started');
+      return null;
+    }
+    
+    this.isRunning.analysis = true;
     try {
       console.log('🧠 Triggering AI analysis...');
-      const predictions = await this.aiPredictor.analyzeAndPredict();
-      console.log(`✅ Analysis complete: ${predictions.count} predictions generated`);
-      return predictions;
+      const result = await this.aiPredictor.analyzeAndPredict(options);
+      console.log(`✅ Analysis complete: ${result.count} predictions generated`);
+      return result;
     } catch (error) {
       console.error('❌ Error in analysis:', error);
       throw error;
+    } finally {
+      this.isRunning.analysis = false;
+      
+      // Not awaited: the caller gets its result while the queued run goes ahead
+      if (this.analysisQueued) {
+        this.analysisQueued = false;
+        this.runAnalysis();
+      }
     }
   }
 }
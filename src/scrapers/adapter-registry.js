@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * File-based adapter registry shared by the permit portal and job source adapters. Every module
+ * in `directory` (and in the directory named by the `envDir` environment variable, if set) that
+ * exports a `baseClass` subclass with a static `type` is registered under that type. Adapters
+ * are loaded on first use; `label` ("permit", "job") names them in errors and logs.
+ */
+function createAdapterRegistry({ baseClass, directory, envDir, label }) {
+  const registry = new Map();
+  const Label = label.charAt(0).toUpperCase() + label.slice(1);
+  let loaded = false;
+
+  function registerAdapter(AdapterClass) {
+    if (!AdapterClass || !(AdapterClass.prototype instanceof baseClass)) {
+      throw new Error(`${Label} adapters must extend ${baseClass.name}`);
+    }
+    if (!AdapterClass.type) {
+      throw new Error(`${Label} adapter ${AdapterClass.name} is missing a static type`);
+    }
+    if (registry.has(AdapterClass.type)) {
+      logger.warn(`Replacing ${label} adapter for type: ${AdapterClass.type}`);
+    }
+    registry.set(AdapterClass.type, AdapterClass);
+  }
+
+  function loadAdaptersFrom(adapterDirectory) {
+    if (!fs.existsSync(adapterDirectory)) {
+      logger.warn(`${Label} adapter directory not found: ${adapterDirectory}`);
+      return;
+    }
+
+    fs.readdirSync(adapterDirectory)
+      .filter(file => file.endsWith('.js') && file !== 'index.js' && file !== 'base-adapter.js')
+      .forEach(file => {
+        try {
+          registerAdapter(require(path.join(adapterDirectory, file)));
+        } catch (error) {
+          logger.error(`Failed to load ${label} adapter ${file}`, { error: error.message });
+        }
+      });
+  }
+
+  function loadAdapters() {
+    if (loaded) return;
+    loaded = true;
+
+    loadAdaptersFrom(directory);
+    if (process.env[envDir]) {
+      loadAdaptersFrom(path.resolve(process.env[envDir]));
+    }
+
+    logger.info(`${Label} adapters registered`, { types: Array.from(registry.keys()) });
+  }
+
+  function getAdapter(type, options = {}) {
+    loadAdapters();
+    const AdapterClass = registry.get(type);
+    return AdapterClass ? new AdapterClass(options) : null;
+  }
+
+  function listAdapterTypes() {
+    loadAdapters();
+    return Array.from(registry.keys());
+  }
+
+  return { registerAdapter, getAdapter, listAdapterTypes };
+}
+
+module.exports = {
+  createAdapterRegistry
+};
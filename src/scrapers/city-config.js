@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { listAdapterTypes } = require('./permit-adapters');
+const { OPEN_DATA_FIELDS } = require('../utils/permit-fields');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/cities.json');
+
+class CityConfig extends EventEmitter {
+  constructor() {
+    super();
+    this.configPath = process.env.CITY_CONFIG_PATH
+      ? path.resolve(process.env.CITY_CONFIG_PATH)
+      : DEFAULT_CONFIG_PATH;
+    this.cities = null;
+    this.loadedAt = null;
+    this.isWatching = false;
+  }
+
+  // Returns the validated city map, loading it on first use. Loading also starts watching the
+  // file, so every process that reads the configuration picks up edits to it.
+  getCities() {
+    if (!this.cities) {
+      this.cities = this.load();
+      this.watch();
+    }
+    return this.cities;
+  }
+
+  getCity(cityKey) {
+    return this.getCities()[cityKey] || null;
+  }
+
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const cities = this.validate(raw);
+    this.loadedAt = new Date();
+
+    logger.info('City configuration loaded', {
+      path: this.configPath,
+      cities: Object.keys(cities),
+      enabled: Object.keys(cities).filter(key => cities[key].enabled)
+    });
+
+    return cities;
+  }
+
+  // Re-read the file; a broken edit keeps the last good configuration in place
+  reload() {
+    try {
+      this.cities = this.load();
+      this.emit('reload', this.cities);
+      return true;
+    } catch (error) {
+      logger.error('City configuration reload failed, keeping previous configuration', {
+        path: this.configPath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  watch(interval = 5000) {
+    if (this.isWatching) return;
+    this.isWatching = true;
+
+    // unref() so the watcher never keeps a one-off script from exiting
+    fs.watchFile(this.configPath, { interval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.info('City configuration changed on disk, reloading', { path: this.configPath });
+        this.reload();
+      }
+    }).unref();
+  }
+
+  unwatch() {
+    if (!this.isWatching) return;
+    fs.unwatchFile(this.configPath);
+    this.isWatching = false;
+  }
+
+  validate(raw) {
+    if (!raw || typeof raw.cities !== 'object' || Array.isArray(raw.cities)) {
+      throw new Error('City configuration must contain a "cities" object');
+    }
+
+    const defaults = raw.defaults || {};
+    const adapterTypes = listAdapterTypes();
+    const errors = [];
+    const cities = {};
+
+    for (const [key, city] of Object.entries(raw.cities)) {
+      const prefix = `cities.${key}`;
+
+      if (!/^[a-z0-9-]+$/.test(key)) {
+        errors.push(`${prefix}: key must be lowercase letters, digits and dashes`);
+      }
+      if (!city.name || typeof city.name !== 'string') {
+        errors.push(`${prefix}.name is required`);
+      }
+      try {
+        new URL(city.baseUrl);
+      } catch (error) {
+        errors.push(`${prefix}.baseUrl must be a valid URL`);
+      }
+      if (!adapterTypes.includes(city.type)) {
+        errors.push(`${prefix}.type "${city.type}" has no adapter (available: ${adapterTypes.join(', ')})`);
+      }
+      if (city.enabled !== undefined && typeof city.enabled !== 'boolean') {
+        errors.push(`${prefix}.enabled must be true or false`);
+      }
+      if (city.schedule !== undefined && !cron.validate(city.schedule)) {
+        errors.push(`${prefix}.schedule "${city.schedule}" is not a valid cron expression`);
+      }
+      if (city.credentialsRef !== undefined && !/^[A-Z][A-Z0-9_]*$/.test(city.credentialsRef)) {
+        errors.push(`${prefix}.credentialsRef must be an environment variable prefix like IRVINE_ACA`);
+      }
+
+      const thresholds = { ...(defaults.thresholds || {}), ...(city.thresholds || {}) };
+      for (const [name, value] of Object.entries(thresholds)) {
+        if (typeof value !== 'number' || value < 0) {
+          errors.push(`${prefix}.thresholds.${name} must be a non-negative number`);
+        }
+      }
+
+      const selectors = { ...(defaults.selectors || {}), ...(city.selectors || {}) };
+      for (const [name, value] of Object.entries(selectors)) {
+        if (typeof value !== 'string') {
+          errors.push(`${prefix}.selectors.${name} must be a CSS selector string`);
+        }
+      }
+
+      if (city.landmarks !== undefined &&
+          (!Array.isArray(city.landmarks) || city.landmarks.some(selector => typeof selector !== 'string'))) {
+        errors.push(`${prefix}.landmarks must be an array of CSS selectors`);
+      }
+
+      // Adapter-specific search settings (e.g. Accela record types and date window)
+      const search = { ...(defaults.search || {}), ...(city.search || {}) };
+      if (search.recordTypes !== undefined &&
+          (!Array.isArray(search.recordTypes) || search.recordTypes.some(type => typeof type !== 'string'))) {
+        errors.push(`${prefix}.search.recordTypes must be an array of strings`);
+      }
+      for (const name of ['lookbackDays', 'maxPages', 'maxRecords']) {
+        if (search[name] !== undefined && (!Number.isInteger(search[name]) || search[name] < 1)) {
+          errors.push(`${prefix}.search.${name} must be a positive integer`);
+        }
+      }
+
+      // Published permit export (CSV file/URL or Socrata endpoint) for the open-data importer
+      const openData = city.openData;
+      if (openData !== undefined) {
+        if (!['csv', 'socrata'].includes(openData.format)) {
+          errors.push(`${prefix}.openData.format must be "csv" or "socrata"`);
+        }
+        if (openData.url !== undefined) {
+          try {
+            new URL(openData.url);
+          } catch (error) {
+            errors.push(`${prefix}.openData.url must be a valid URL`);
+          }
+        }
+        for (const [field, column] of Object.entries(openData.columns || {})) {
+          if (!OPEN_DATA_FIELDS.includes(field)) {
+            errors.push(`${prefix}.openData.columns.${field} is not a permit field (available: ${OPEN_DATA_FIELDS.join(', ')})`);
+          } else if (typeof column !== 'string') {
+            errors.push(`${prefix}.openData.columns.${field} must be a column name`);
+          }
+        }
+        for (const name of ['where', 'recordUrl']) {
+          if (openData[name] !== undefined && typeof openData[name] !== 'string') {
+            errors.push(`${prefix}.openData.${name} must be a string`);
+          }
+        }
+      }
+
+      cities[key] = {
+        name: city.name,
+        baseUrl: city.baseUrl,
+        type: city.type,
+        enabled: city.enabled !== false,
+        schedule: city.schedule || null,
+        thresholds,
+        selectors,
+        search,
+        landmarks: city.landmarks || null,
+        credentialsRef: city.credentialsRef || null,
+        openData: openData ? { columns: {}, ...openData } : null
+      };
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid city configuration (${this.configPath}):\n  ${errors.join('\n  ')}`);
+    }
+
+    return cities;
+  }
+
+  // Credentials never live in the config file; credentialsRef names the env vars that hold them
+  resolveCredentials(cityConfig) {
+    if (!cityConfig.credentialsRef) return null;
+
+    const username = process.env[`${cityConfig.credentialsRef}_USERNAME`];
+    const password = process.env[`${cityConfig.credentialsRef}_PASSWORD`];
+    if (!username || !password) {
+      logger.warn(`Credentials not set for ${cityConfig.name}`, { credentialsRef: cityConfig.credentialsRef });
+      return null;
+    }
+
+    return { username, password };
+  }
+
+  // Public view of the configuration - reports whether credentials are present, never their values
+  describe() {
+    const cities = this.getCities();
+    return {
+      file: path.basename(this.configPath),
+      loadedAt: this.loadedAt,
+      watching: this.isWatching,
+      cities: Object.fromEntries(Object.entries(cities).map(([key, city]) => [key, {
+        ...city,
+        credentialsConfigured: city.credentialsRef
+          ? Boolean(process.env[`${city.credentialsRef}_USERNAME`] && process.env[`${city.credentialsRef}_PASSWORD`])
+          : null
+      }]))
+    };
+  }
+}
+
+// Create singleton instance
+const cityConfig = new CityConfig();
+
+module.exports = cityConfig;
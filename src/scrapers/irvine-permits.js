@@ -1,17 +1,26 @@
-const puppeteer = require('puppeteer');
 const { PrismaClient } = require('@prisma/client');
+const { getAdapter } = require('./permit-adapters');
+const cityConfig = require('./city-config');
+const scraperFixtures = require('../utils/scraper-fixtures');
+const browserPool = require('../utils/browser-pool');
+const { toPermitRecord } = require('../utils/permit-fields');
+const geocoder = require('../utils/geocoder');
+const permitStatusTracker = require('./permit-status-tracker');
+const scraperDiagnostics = require('./scraper-diagnostics');
+const { buildPropertyThresholds } = require('../analysis/property-classifier');
 
 const prisma = new PrismaClient();
 
 class IrvinePermitsScraper {
   constructor() {
     this.baseUrl = 'https://aca-prod.accela.com/IRVINE/';
-    this.minValue = 1000000; // $1M minimum
+    this.minValue = 1000000; // $1M minimum for permits the classifier can't place
+    this.minOfficeValue = parseInt(process.env.MIN_OFFICE_PERMIT_VALUE) || 300000; // $300K
+    this.minIndustrialValue = parseInt(process.env.MIN_INDUSTRIAL_PERMIT_VALUE) || 500000; // $500K
   }
 
   async scrape() {
     console.log('🏗️  Starting Irvine permits scrape...');
-    let browser;
     
     try {
       // Log scraping attempt
@@ -23,49 +32,35 @@ class IrvinePermitsScraper {
         }
       });
 
-      browser = await puppeteer.launch({ 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      // Run the Accela General Search for Irvine (record types and date window come from config/cities.json).
+      // The adapter classifies each permit and keeps those above their property type's minimum.
+      const highValuePermits = await browserPool.executeWithBrowser(async (browser) => {
+        const page = await browserPool.createPage(browser);
+        try {
+          await scraperFixtures.attach(page, 'permits/irvine');
+          return await this.scrapePermitsFromPage(page);
+        } finally {
+          await page.close();
+        }
       });
       
-      const page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      
-      // Navigate to Irvine permits portal
-      await page.goto(this.baseUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-      
-      // Look for permits search or recent permits
-      // This is a basic implementation - may need adjustment based on actual site structure
-      const permits = await this.scrapePermitsFromPage(page);
-      
-      // Filter permits by value
-      const highValuePermits = permits.filter(permit => 
-        permit.value && permit.value >= this.minValue
-      );
-      
-      console.log(`📋 Found ${permits.length} permits, ${highValuePermits.length} high-value`);
+      console.log(`📋 Found ${highValuePermits.length} high-value permits`);
       
       // Save to database
       for (const permit of highValuePermits) {
         try {
+          const location = await geocoder.locate(permit.address, permit.city);
+          const data = toPermitRecord({ ...permit, ...location });
+          const previous = await prisma.permit.findUnique({
+            where: { permit_id: permit.permit_id },
+            select: { status: true, status_stage: true }
+          });
           await prisma.permit.upsert({
-            where: { permit_id: permit.permit_id || permit.id },
-            update: {
-              value: permit.value,
-              address: permit.address,
-              description: permit.description,
-              applicant: permit.applicant,
-              date_filed: permit.date_filed
-            },
-            create: {
-              permit_id: permit.permit_id || permit.id,
-              value: permit.value,
-              address: permit.address,
-              description: permit.description,
-              applicant: permit.applicant,
-              date_filed: permit.date_filed
-            }
+            where: { permit_id: permit.permit_id },
+            update: data,
+            create: { permit_id: permit.permit_id, ...data }
           });
+          await permitStatusTracker.recordStatus(previous, { ...permit, ...data }, 'scrape');
         } catch (error) {
           console.error('Error saving permit:', error);
         }
@@ -96,148 +91,38 @@ class IrvinePermitsScraper {
       });
       
       throw error;
-    } finally {
-      if (browser) {
-        await browser.close();
-      }
     }
   }
 
   async scrapePermitsFromPage(page) {
     try {
-      // Wait for page to load
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      // Try to find and click on "Building Permits" or similar link
-      const buildingLink = await page.$('a[href*="building"], a[href*="permit"], .building-permits, .permits');
-      if (buildingLink) {
-        await buildingLink.click();
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-      
-      // Look for search functionality or recent permits
-      const searchButton = await page.$('input[type="submit"][value*="Search"], button[type="submit"], .search-button');
-      if (searchButton) {
-        await searchButton.click();
-        await new Promise(resolve => setTimeout(resolve, 3000));
-      }
-      
-      // Try to find permit records table or list
-      const permitTable = await page.$('table, .records-table, .permits-table, .data-table');
-      if (!permitTable) {
-        console.log('⚠️  No permit table found, trying alternative selectors...');
-      }
-      
-      // Extract permit data from the page with improved parsing
-      const permits = await page.evaluate(() => {
-        // Try multiple selectors for permit records
-        const selectors = [
-          'tr[data-permit]',
-          '.permit-row',
-          '.record-row', 
-          'tr:has(td)',
-          '.permit-item',
-          '.record-item'
-        ];
-        
-        let permitElements = [];
-        for (const selector of selectors) {
-          const elements = document.querySelectorAll(selector);
-          if (elements.length > 0) {
-            permitElements = Array.from(elements);
-            break;
-          }
-        }
-        
-        const permits = [];
-        
-        permitElements.forEach((element, index) => {
-          const text = element.innerText || element.textContent || '';
-          
-          // Enhanced permit value extraction
-          const valuePatterns = [
-            /\$?([\d,]+(?:\.\d{2})?)/g,
-            /value[:\s]*\$?([\d,]+(?:\.\d{2})?)/i,
-            /amount[:\s]*\$?([\d,]+(?:\.\d{2})?)/i
-          ];
-          
-          let value = null;
-          for (const pattern of valuePatterns) {
-            const matches = text.match(pattern);
-            if (matches && matches.length > 0) {
-              // Get the largest value found
-              const values = matches.map(m => parseFloat(m.replace(/[$,]/g, ''))).filter(v => !isNaN(v));
-              if (values.length > 0) {
-                value = Math.max(...values);
-                break;
-              }
-            }
-          }
-          
-          // Enhanced address extraction
-          const addressPatterns = [
-            /(\d+\s+[A-Za-z\s]+(?:St|Ave|Blvd|Dr|Rd|Way|Ct|Ln))/i,
-            /address[:\s]*([A-Za-z\s\d,]+(?:St|Ave|Blvd|Dr|Rd|Way|Ct|Ln))/i,
-            /location[:\s]*([A-Za-z\s\d,]+(?:St|Ave|Blvd|Dr|Rd|Way|Ct|Ln))/i
-          ];
-          
-          let address = null;
-          for (const pattern of addressPatterns) {
-            const match = text.match(pattern);
-            if (match) {
-              address = match[1].trim();
-              break;
-            }
-          }
-          
-          // Enhanced applicant name extraction
-          const applicantPatterns = [
-            /applicant[:\s]+([A-Za-z\s,\.&]+?)(?:\s|$)/i,
-            /owner[:\s]+([A-Za-z\s,\.&]+?)(?:\s|$)/i,
-            /company[:\s]+([A-Za-z\s,\.&]+?)(?:\s|$)/i,
-            /contractor[:\s]+([A-Za-z\s,\.&]+?)(?:\s|$)/i,
-            /([A-Za-z\s,\.&]+(?:LLC|Inc|Corp|Corporation|Company|Co\.|Ltd|LP|LLP))/i,
-            /([A-Za-z\s,\.&]+(?:Real Estate|Development|Properties|Investments))/i
-          ];
-          
-          let applicant = null;
-          for (const pattern of applicantPatterns) {
-            const match = text.match(pattern);
-            if (match) {
-              applicant = match[1].trim();
-              // Clean up the applicant name
-              applicant = applicant.replace(/^[:\s]+/, '').replace(/[:\s]+$/, '');
-              break;
-            }
-          }
-          
-          // Only create permit if we have meaningful data
-          if (value && value >= 1000000) { // Only high-value permits
-            const permit = {
-              id: `permit_${Date.now()}_${index}`,
-              value: value,
-              address: address || 'Address not specified',
-              description: text.substring(0, 200),
-              applicant: applicant || 'Applicant not specified',
-              date_filed: new Date()
-            };
-            
-            permits.push(permit);
-          }
-        });
-        
-        return permits;
+      const city = this.getCityConfig();
+      const adapter = getAdapter('accela', {
+        thresholds: buildPropertyThresholds({
+          office: this.minOfficeValue,
+          industrial: this.minIndustrialValue,
+          fallback: this.minValue,
+          overrides: city.thresholds
+        })
       });
-      
+      const permits = await adapter.scrape(page, city);
+      await scraperDiagnostics.assess('permits:irvine', adapter.lastRun, permits.length);
       return permits;
-      
     } catch (error) {
       console.error('Error parsing permits page:', error);
+      await scraperDiagnostics.recordError('permits:irvine', error);
       
       // Return empty array instead of test data
       return [];
     }
   }
+
+  getCityConfig() {
+    const irvine = cityConfig.getCity('irvine');
+    return irvine
+      ? { key: 'irvine', ...irvine }
+      : { key: 'irvine', name: 'Irvine', baseUrl: this.baseUrl, thresholds: {}, selectors: {}, search: {} };
+  }
 }
 
 module.exports = IrvinePermitsScraper; 
\ No newline at end of file
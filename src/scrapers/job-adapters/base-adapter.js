@@ -0,0 +1,186 @@
+const browserPool = require('../../utils/browser-pool');
+const scraperFixtures = require('../../utils/scraper-fixtures');
+
+// Cities postings are kept for. ATS feeds list a company's openings everywhere, so anything
+// that doesn't name one of these (or Orange County itself) is dropped.
+const ORANGE_COUNTY_CITIES = [
+  'Irvine', 'Newport Beach', 'Costa Mesa', 'Santa Ana', 'Anaheim', 'Orange', 'Tustin',
+  'Garden Grove', 'Huntington Beach', 'Fountain Valley', 'Westminster', 'Cypress',
+  'Los Alamitos', 'Seal Beach', 'La Habra', 'Fullerton', 'Brea', 'Buena Park', 'Placentia',
+  'Yorba Linda', 'La Palma', 'Stanton', 'Villa Park', 'Lake Forest', 'Foothill Ranch',
+  'Aliso Viejo', 'Mission Viejo', 'Laguna Hills', 'Laguna Niguel', 'Laguna Beach',
+  'Laguna Woods', 'Rancho Santa Margarita', 'Ladera Ranch', 'San Juan Capistrano',
+  'San Clemente', 'Dana Point'
+];
+
+// Title/description words that mark a facility, operations or real estate role
+const FACILITY_KEYWORDS = [
+  'facility', 'facilities', 'site', 'operations', 'manager', 'director',
+  'warehouse', 'distribution', 'manufacturing', 'plant', 'construction',
+  'project', 'regional', 'branch', 'location', 'real estate', 'property'
+];
+
+// Title/description words that say the role comes with a new or growing site
+const EXPANSION_KEYWORDS = [
+  'new facility', 'new location', 'opening', 'expansion', 'startup',
+  'build-out', 'construction', 'relocation', 'establish', 'launch'
+];
+
+// Most Orange County city names exist elsewhere too (Cypress, TX; Orange, TX; Westminster, CO;
+// Irvine, Scotland), so a location naming another state or a country is never a match
+const OTHER_US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CO: 'Colorado', CT: 'Connecticut',
+  DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho',
+  IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+  MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+  MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+  NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+  OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico'
+};
+
+const COUNTRIES = [
+  'Canada', 'Mexico', 'United Kingdom', 'UK', 'England', 'Scotland', 'Wales', 'Northern Ireland',
+  'Ireland', 'Germany', 'France', 'Netherlands', 'Belgium', 'Switzerland', 'Spain', 'Italy',
+  'Poland', 'Sweden', 'Denmark', 'Israel', 'India', 'China', 'Japan', 'Singapore', 'Philippines',
+  'Australia', 'New Zealand', 'Brazil', 'Costa Rica', 'South Africa'
+];
+
+// A state code only counts after a comma or hyphen ("Cypress, TX", "US-TX-Cypress"), so "La" in
+// "La Habra" or "in" in "Irvine, in office" is not read as Louisiana or Indiana
+const OTHER_STATE_CODE = new RegExp(`[,-]\\s*(?:${Object.keys(OTHER_US_STATES).join('|')})(?=\\s*(?:$|[,;)-]|\\d))`, 'i');
+const OTHER_REGION_NAME = new RegExp(`\\b(?:${[...Object.values(OTHER_US_STATES), ...COUNTRIES].join('|').replace(/ /g, '\\s+')})\\b`, 'i');
+
+function namesOtherRegion(text) {
+  return OTHER_STATE_CODE.test(text) || OTHER_REGION_NAME.test(text);
+}
+
+// "Irvine, CA", "US-CA-Irvine" or "Orange County" -> "Irvine, CA" / "Orange County, CA".
+// Multi-location strings ("Austin, TX; Irvine, CA") are checked one location at a time.
+function matchOrangeCountyLocation(text, cities = ORANGE_COUNTY_CITIES) {
+  const locations = String(text || '').split(/\s*(?:[;|\n/]|\bor\b)\s*/i).filter(Boolean);
+
+  for (const value of locations) {
+    if (namesOtherRegion(value)) continue;
+
+    for (const city of cities) {
+      // "Orange" on its own is the city; "Orange County" is handled below
+      const pattern = new RegExp(`\\b${city.replace(/\s+/g, '[\\s-]+')}\\b${city === 'Orange' ? '(?![\\s-]+county)' : ''}`, 'i');
+      if (pattern.test(value)) return `${city}, CA`;
+    }
+    if (/\borange[\s-]+county\b/i.test(value)) return 'Orange County, CA';
+  }
+  return null;
+}
+
+// "Just posted", "Posted yesterday", "Active 3 days ago" -> Date. Open-ended ages such as
+// "30+ days ago" don't give a posting date and return null.
+function parsePostedDate(text, now = new Date()) {
+  const value = String(text || '').toLowerCase();
+  const day = 24 * 60 * 60 * 1000;
+
+  if (/\+\s*days?/.test(value)) return null;
+  if (/just posted|today|hours? ago|minutes? ago/.test(value)) return new Date(now);
+  if (/yesterday/.test(value)) return new Date(now.getTime() - day);
+
+  const days = value.match(/(\d+)\s+days?\s+ago/);
+  return days ? new Date(now.getTime() - parseInt(days[1]) * day) : null;
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Strip markup from ATS job descriptions (Greenhouse sends escaped HTML)
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Base class for job-source adapters. fetchPostings(target, context) returns postings in the
+// shape JobMonitor.savePostings stores in job_postings: source, external_id (the source's own
+// posting ID), company, title, location, description, url and date_posted. Browser-driven
+// sources (Indeed) set usesBrowser and receive context.browser; feed sources fetch directly.
+class JobSourceAdapter {
+  static usesBrowser = false;
+
+  constructor(options = {}) {
+    this.timeout = options.timeout || 60000; // 60 seconds
+  }
+
+  // Circuit breaker / log source for a target, e.g. jobs:indeed or jobs:greenhouse:acme-robotics
+  sourceKey(target) {
+    return `jobs:${this.constructor.type}`;
+  }
+
+  // Fixture scope the target's responses are recorded under, e.g. ats/greenhouse/acme-robotics
+  fixtureScope(target) {
+    return `ats/${this.sourceKey(target).replace(/^jobs:/, '').replace(/:/g, '/')}`;
+  }
+
+  async fetchPostings(target, context = {}) {
+    return [];
+  }
+
+  // Whether the last fetchPostings(target) returned every open posting the target has. Postings
+  // missing from a complete listing are closed straight away; searches and truncated listings
+  // can miss live postings, so theirs are only closed once they go stale.
+  listedEverything(target) {
+    return false;
+  }
+
+  // GET/POST a JSON feed through the host governor, or from fixtures when replaying
+  async fetchJson(target, url, options = {}) {
+    const response = await scraperFixtures.fetch(
+      this.fixtureScope(target),
+      url,
+      {
+        ...options,
+        headers: { Accept: 'application/json', ...(options.body ? { 'Content-Type': 'application/json' } : {}), ...options.headers }
+      },
+      (requestUrl, requestOptions) => browserPool.request(requestUrl, requestOptions)
+    );
+
+    if (!response.ok) {
+      throw new Error(`${this.constructor.type} feed returned ${response.status} for ${url}`);
+    }
+    return await response.json();
+  }
+
+  // Target-level location filter: an explicit `locations` list in the watchlist entry narrows
+  // or widens the Orange County city list
+  matchLocation(text, target = {}) {
+    return matchOrangeCountyLocation(text, target.locations || ORANGE_COUNTY_CITIES);
+  }
+
+  posting(target, { id, title, location, description, url, datePosted, department }) {
+    return {
+      id: `${this.constructor.type}:${id}`,
+      source: this.constructor.type,
+      external_id: String(id),
+      company: target.name,
+      title,
+      location,
+      description: description || '',
+      url: url || null,
+      department: department || null,
+      count: 1,
+      date_posted: datePosted ? new Date(datePosted) : null,
+      isTargetCompany: true
+    };
+  }
+}
+
+module.exports = JobSourceAdapter;
+module.exports.ORANGE_COUNTY_CITIES = ORANGE_COUNTY_CITIES;
+module.exports.FACILITY_KEYWORDS = FACILITY_KEYWORDS;
+module.exports.EXPANSION_KEYWORDS = EXPANSION_KEYWORDS;
+module.exports.matchOrangeCountyLocation = matchOrangeCountyLocation;
+module.exports.parsePostedDate = parsePostedDate;
+module.exports.slugify = slugify;
+module.exports.htmlToText = htmlToText;
@@ -0,0 +1,47 @@
+const JobSourceAdapter = require('./base-adapter');
+const { slugify, htmlToText } = require('./base-adapter');
+
+// Greenhouse job board API. A watchlist entry names the board token from the company's
+// careers URL (boards.greenhouse.io/<board>): { "source": "greenhouse", "board": "acme" }
+class GreenhouseAdapter extends JobSourceAdapter {
+  static type = 'greenhouse';
+
+  sourceKey(target) {
+    return `jobs:greenhouse:${slugify(target.board)}`;
+  }
+
+  // The board feed lists every open job
+  listedEverything() {
+    return true;
+  }
+
+  async fetchPostings(target) {
+    const url = `https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(target.board)}/jobs?content=true`;
+    const { jobs = [] } = await this.fetchJson(target, url);
+    const postings = [];
+
+    for (const job of jobs) {
+      // A job lists one location string and can be attached to several offices
+      const candidates = [
+        job.location && job.location.name,
+        ...(job.offices || []).map(office => office.location || office.name)
+      ];
+      const location = candidates.map(text => this.matchLocation(text, target)).find(Boolean);
+      if (!location) continue;
+
+      postings.push(this.posting(target, {
+        id: job.id,
+        title: job.title,
+        location,
+        description: htmlToText(job.content),
+        url: job.absolute_url,
+        datePosted: job.first_published || job.updated_at,
+        department: (job.departments || []).map(department => department.name).join(', ')
+      }));
+    }
+
+    return postings;
+  }
+}
+
+module.exports = GreenhouseAdapter;
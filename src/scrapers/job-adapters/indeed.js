@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const scraperFixtures = require('../../utils/scraper-fixtures');
+const browserPool = require('../../utils/browser-pool');
+const JobSourceAdapter = require('./base-adapter');
+const { FACILITY_KEYWORDS, EXPANSION_KEYWORDS, parsePostedDate } = require('./base-adapter');
+
+// Indeed keyword search. A target is one { jobTitle, location } cell of JobMonitor's search
+// matrix; results are scraped from the result cards and filtered to facility/expansion roles.
+class IndeedAdapter extends JobSourceAdapter {
+  static type = 'indeed';
+  static usesBrowser = true;
+
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = 'https://www.indeed.com/jobs';
+    this.expansionKeywords = options.expansionKeywords || EXPANSION_KEYWORDS;
+
+    // Cache results (including negative results) to improve hit rate
+    this.searchCache = new Map();
+    this.cacheTimeout = 60 * 60 * 1000; // 1 hour cache
+  }
+
+  // Every search shares one breaker: a block hits all of them at once
+  sourceKey() {
+    return 'jobs:indeed';
+  }
+
+  fixtureScope() {
+    return 'jobs';
+  }
+
+  async fetchPostings({ jobTitle, location }, { browser }) {
+    // Check cache first (including negative results)
+    const cacheKey = `${jobTitle}_${location}`;
+    const cached = this.searchCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      console.log(`📄 Cache hit for ${jobTitle} in ${location}`);
+      return cached.results;
+    }
+
+    const page = await browserPool.createPage(browser);
+
+    try {
+      // Enhanced page configuration
+      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+      await page.setExtraHTTPHeaders({
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+      });
+      await scraperFixtures.attach(page, this.fixtureScope());
+
+      // Use broader search terms for better results
+      const searchTerm = this.optimizeSearchTerm(jobTitle, location);
+      const searchUrl = `${this.baseUrl}?q=${encodeURIComponent(searchTerm)}&l=${encodeURIComponent(location)}&sort=date`;
+
+      // Navigate through the host governor (robots.txt, crawl delay, backoff on 429/503)
+      await browserPool.navigate(page, searchUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.timeout
+      });
+
+      // Wait for results with timeout
+      try {
+        await page.waitForSelector('.jobsearch-SerpJobCard, [data-jk], .job_seen_beacon, .result', { timeout: 10000 });
+      } catch (waitError) {
+        console.log(`📭 No job results found for ${jobTitle} in ${location}`);
+        // Cache negative result to prevent repeated searches
+        this.searchCache.set(cacheKey, {
+          results: [],
+          timestamp: Date.now()
+        });
+        return [];
+      }
+
+      // Additional wait for dynamic content
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      // Extract job data with improved filtering
+      const jobs = await page.evaluate((searchJobTitle, jobLocation, expansionKeywords, facilityKeywords) => {
+        try {
+          const jobElements = document.querySelectorAll('[data-jk], .job_seen_beacon, .jobsearch-SerpJobCard, .result');
+          const jobs = [];
+
+          jobElements.forEach((element) => {
+            const titleElement = element.querySelector('h2 a, .jobTitle a, [data-testid="job-title"] a, .jobTitle-color-purple a');
+            const companyElement = element.querySelector('.companyName, [data-testid="company-name"], .company');
+            const locationElement = element.querySelector('[data-testid="job-location"], .companyLocation');
+            const descriptionElement = element.querySelector('.job-snippet, .summary, [data-testid="job-snippet"]');
+            const dateElement = element.querySelector('.date, [data-testid="myJobsStateDate"]');
+            const keyElement = element.matches('[data-jk]') ? element : element.querySelector('[data-jk]');
+
+            if (titleElement && companyElement) {
+              const title = titleElement.textContent.trim();
+              const company = companyElement.textContent.trim();
+              const location = locationElement ? locationElement.textContent.trim() : jobLocation;
+              const description = descriptionElement ? descriptionElement.textContent.trim() : '';
+
+              // More flexible filtering - look for facility/operations keywords
+              const combinedText = (title + ' ' + description).toLowerCase();
+
+              // Check for expansion indicators
+              const hasExpansionKeywords = expansionKeywords.some(keyword =>
+                combinedText.includes(keyword.toLowerCase())
+              );
+
+              // Include if it has facility keywords OR expansion keywords
+              if (facilityKeywords.some(keyword => combinedText.includes(keyword)) || hasExpansionKeywords) {
+                jobs.push({
+                  jobKey: keyElement ? keyElement.getAttribute('data-jk') : null,
+                  company: company,
+                  title: title,
+                  location: location,
+                  description: description,
+                  postedText: dateElement ? dateElement.textContent.trim() : '',
+                  searchTitle: searchJobTitle,
+                  hasExpansionKeywords: hasExpansionKeywords
+                });
+              }
+            }
+          });
+
+          return jobs;
+        } catch (evalError) {
+          console.error('Error in page evaluation:', evalError);
+          return [];
+        }
+      }, jobTitle, location, this.expansionKeywords, FACILITY_KEYWORDS);
+      const postings = (jobs || []).map(job => this.toPosting(job));
+
+      // Cache results (positive or negative)
+      this.searchCache.set(cacheKey, {
+        results: postings,
+        timestamp: Date.now()
+      });
+
+      return postings;
+
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        // Cache timeout errors to prevent repeated failures
+        this.searchCache.set(cacheKey, {
+          results: [],
+          timestamp: Date.now()
+        });
+        throw new Error(`Navigation timeout for ${jobTitle} in ${location}`);
+      }
+      throw error;
+    } finally {
+      try {
+        await page.close();
+      } catch (closeError) {
+        console.error('Error closing page:', closeError);
+      }
+    }
+  }
+
+  // Cards carry Indeed's job key in data-jk; the rare card without one is identified by its content
+  toPosting({ jobKey, postedText, ...job }) {
+    const externalId = jobKey ||
+      `h-${crypto.createHash('sha1').update(`${job.company}|${job.title}|${job.location}`).digest('hex').substring(0, 16)}`;
+
+    return {
+      id: `indeed:${externalId}`,
+      source: 'indeed',
+      external_id: externalId,
+      ...job,
+      url: jobKey ? `https://www.indeed.com/viewjob?jk=${jobKey}` : null,
+      count: 1,
+      date_posted: parsePostedDate(postedText)
+    };
+  }
+
+  // Optimize search terms for better results
+  optimizeSearchTerm(jobTitle, location) {
+    // Use broader terms that are more likely to return results
+    const broaderTerms = {
+      'Facility Manager': 'facilities OR operations manager',
+      'Site Manager': 'site OR location manager',
+      'Plant Manager': 'plant OR manufacturing manager',
+      'Warehouse Manager': 'warehouse OR distribution manager',
+      'Construction Manager': 'construction OR project manager',
+      'Regional Manager': 'regional OR area manager',
+      'Real Estate': 'real estate OR property manager',
+      'Property Management': 'property OR facilities management'
+    };
+
+    return broaderTerms[jobTitle] || jobTitle;
+  }
+
+  // Method to clean up old cache entries
+  cleanupCache() {
+    const now = Date.now();
+    const keysToDelete = [];
+
+    this.searchCache.forEach((value, key) => {
+      if (now - value.timestamp > this.cacheTimeout) {
+        keysToDelete.push(key);
+      }
+    });
+
+    keysToDelete.forEach(key => {
+      this.searchCache.delete(key);
+      console.log(`Cleaned up old cache entry for key: ${key}`);
+    });
+  }
+}
+
+module.exports = IndeedAdapter;
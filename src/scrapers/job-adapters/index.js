@@ -0,0 +1,19 @@
+const JobSourceAdapter = require('./base-adapter');
+const { createAdapterRegistry } = require('../adapter-registry');
+
+// Adapters register themselves by file: every module in this directory (and in
+// JOB_ADAPTERS_DIR, if set) that exports a JobSourceAdapter subclass with a
+// static `type` becomes available to watchlist companies with that `source`.
+const { registerAdapter, getAdapter, listAdapterTypes } = createAdapterRegistry({
+  baseClass: JobSourceAdapter,
+  directory: __dirname,
+  envDir: 'JOB_ADAPTERS_DIR',
+  label: 'job'
+});
+
+module.exports = {
+  JobSourceAdapter,
+  registerAdapter,
+  getAdapter,
+  listAdapterTypes
+};
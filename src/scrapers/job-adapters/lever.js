@@ -0,0 +1,44 @@
+const JobSourceAdapter = require('./base-adapter');
+const { slugify } = require('./base-adapter');
+
+// Lever postings API. A watchlist entry names the site from the company's careers URL
+// (jobs.lever.co/<site>): { "source": "lever", "site": "acme" }
+class LeverAdapter extends JobSourceAdapter {
+  static type = 'lever';
+
+  sourceKey(target) {
+    return `jobs:lever:${slugify(target.site)}`;
+  }
+
+  // The board feed lists every open job
+  listedEverything() {
+    return true;
+  }
+
+  async fetchPostings(target) {
+    const url = `https://api.lever.co/v0/postings/${encodeURIComponent(target.site)}?mode=json`;
+    const jobs = await this.fetchJson(target, url);
+    const postings = [];
+
+    for (const job of Array.isArray(jobs) ? jobs : []) {
+      const categories = job.categories || {};
+      const candidates = [categories.location, ...(categories.allLocations || [])];
+      const location = candidates.map(text => this.matchLocation(text, target)).find(Boolean);
+      if (!location) continue;
+
+      postings.push(this.posting(target, {
+        id: job.id,
+        title: job.text,
+        location,
+        description: job.descriptionPlain,
+        url: job.hostedUrl,
+        datePosted: job.createdAt, // epoch milliseconds
+        department: categories.department || categories.team
+      }));
+    }
+
+    return postings;
+  }
+}
+
+module.exports = LeverAdapter;
@@ -0,0 +1,95 @@
+const JobSourceAdapter = require('./base-adapter');
+const { slugify, htmlToText } = require('./base-adapter');
+
+const PAGE_SIZE = 20; // The CXS endpoint rejects larger pages
+
+// Workday career sites through their CXS JSON API. A watchlist entry gives the career site URL,
+// e.g. { "source": "workday", "url": "https://acme.wd5.myworkdayjobs.com/en-US/External" },
+// or its parts: host, tenant (defaults to the first label of the host) and site.
+class WorkdayAdapter extends JobSourceAdapter {
+  static type = 'workday';
+
+  constructor(options = {}) {
+    super(options);
+    this.truncated = new Set(); // Source keys whose last listing stopped at maxPages
+  }
+
+  site(target) {
+    if (target.url) {
+      const { host, pathname } = new URL(target.url);
+      return {
+        host,
+        tenant: target.tenant || host.split('.')[0],
+        site: target.site || pathname.split('/').filter(Boolean).pop()
+      };
+    }
+    return { host: target.host, tenant: target.tenant || target.host.split('.')[0], site: target.site };
+  }
+
+  sourceKey(target) {
+    const { tenant, site } = this.site(target);
+    return `jobs:workday:${slugify(`${tenant}-${site}`)}`;
+  }
+
+  listedEverything(target) {
+    return !this.truncated.has(this.sourceKey(target));
+  }
+
+  async fetchPostings(target) {
+    const { host, tenant, site } = this.site(target);
+    const baseUrl = `https://${host}/wday/cxs/${tenant}/${site}`;
+    const maxPages = target.maxPages || 10;
+    const listed = [];
+    let total = 0;
+
+    // Only the first page reports the total; later pages come back with total 0
+    for (let page = 0; page < maxPages; page++) {
+      const result = await this.fetchJson(target, `${baseUrl}/jobs`, {
+        method: 'POST',
+        body: JSON.stringify({ appliedFacets: {}, limit: PAGE_SIZE, offset: page * PAGE_SIZE, searchText: target.searchText || '' })
+      });
+      if (page === 0) total = result.total || 0;
+
+      const jobPostings = result.jobPostings || [];
+      listed.push(...jobPostings);
+      if (jobPostings.length < PAGE_SIZE || listed.length >= total) break;
+    }
+
+    if (listed.length < total) {
+      this.truncated.add(this.sourceKey(target));
+      console.log(`⚠️  ${target.name}: read ${listed.length} of ${total} Workday postings (maxPages ${maxPages})`);
+    } else {
+      this.truncated.delete(this.sourceKey(target));
+    }
+
+    // The list only has a relative "Posted 3 Days Ago", so postings that may be in Orange
+    // County are opened for their requisition ID, start date and full location list
+    const candidates = listed.filter(job =>
+      this.matchLocation(job.locationsText, target) || /^\d+\s+locations$/i.test(job.locationsText || '')
+    );
+    const postings = [];
+
+    for (const job of candidates) {
+      const { jobPostingInfo: info } = await this.fetchJson(target, `${baseUrl}${job.externalPath}`);
+      if (!info) continue;
+
+      const location = [info.location, ...(info.additionalLocations || [])]
+        .map(text => this.matchLocation(text, target))
+        .find(Boolean);
+      if (!location) continue;
+
+      postings.push(this.posting(target, {
+        id: info.jobReqId || info.id,
+        title: info.title || job.title,
+        location,
+        description: htmlToText(info.jobDescription),
+        url: info.externalUrl || `https://${host}/${site}${job.externalPath}`,
+        datePosted: info.startDate
+      }));
+    }
+
+    return postings;
+  }
+}
+
+module.exports = WorkdayAdapter;
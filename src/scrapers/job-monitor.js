@@ -1,11 +1,18 @@
-const puppeteer = require('puppeteer');
 const { PrismaClient } = require('@prisma/client');
+const browserPool = require('../utils/browser-pool');
+const geocoder = require('../utils/geocoder');
+const jobWatchlist = require('./job-watchlist');
+const { getAdapter } = require('./job-adapters');
+const IndeedAdapter = require('./job-adapters/indeed');
+const { FACILITY_KEYWORDS, EXPANSION_KEYWORDS } = require('./job-adapters/base-adapter');
+const { classifyRoleFamily } = require('../analysis/role-family');
+const hiringVelocity = require('../analysis/hiring-velocity');
+const expansionScorer = require('../analysis/expansion-scorer');
 
 const prisma = new PrismaClient();
 
 class JobMonitor {
   constructor() {
-    this.baseUrl = 'https://www.indeed.com/jobs';
     this.locations = [
       'Irvine, CA',
       'Newport Beach, CA', 
@@ -24,32 +31,7 @@ class JobMonitor {
       'La Habra, CA'
     ];
     this.minJobs = 5; // Lowered since we're looking for specific facility roles
-    
-    // Enhanced browser options for real data scraping
-    this.browserOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding',
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-        '--disable-extensions',
-        '--disable-plugins',
-        '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      ],
-      defaultViewport: {
-        width: 1280,
-        height: 720
-      }
-    };
+    this.staleDays = parseInt(process.env.JOB_POSTING_STALE_DAYS) || 14; // Unseen this long = closed
     
     // Increased timeouts for production
     this.timeout = 60000; // 60 seconds
@@ -78,14 +60,11 @@ class JobMonitor {
     ];
 
     // Expansion indicator keywords to look for in job descriptions
-    this.expansionKeywords = [
-      'new facility', 'new location', 'opening', 'expansion', 'startup',
-      'build-out', 'construction', 'relocation', 'establish', 'launch'
-    ];
+    this.expansionKeywords = EXPANSION_KEYWORDS;
 
-    // Cache results (including negative results) to improve hit rate
-    this.searchCache = new Map();
-    this.cacheTimeout = 60 * 60 * 1000; // 1 hour cache
+    // Indeed search, plus one ATS feed adapter per source type on the watchlist
+    this.indeed = new IndeedAdapter({ timeout: this.timeout, expansionKeywords: this.expansionKeywords });
+    this.feedAdapters = new Map();
     
     // Target companies for cross-referencing (when found in facility roles)
     this.targetCompanies = [
@@ -107,15 +86,35 @@ class JobMonitor {
     ];
   }
 
-  async monitorJobs() {
+  // Breaker/log sources a run covers: jobs:indeed plus one per watchlist company
+  listSources() {
+    return [
+      this.indeed.sourceKey(),
+      ...this.getWatchlistTargets().map(({ company, adapter }) => adapter.sourceKey(company))
+    ];
+  }
+
+  getWatchlistTargets() {
+    return jobWatchlist.getCompanies().map(company => {
+      if (!this.feedAdapters.has(company.source)) {
+        this.feedAdapters.set(company.source, getAdapter(company.source, { timeout: this.timeout }));
+      }
+      return { company, adapter: this.feedAdapters.get(company.source) };
+    });
+  }
+
+  // options.sources limits the run to those source keys (see listSources); options.onSourceResult
+  // is called once per source that ran, with the error that failed it or null
+  async monitorJobs(options = {}) {
     console.log('💼 Starting facility-expansion job monitoring...');
-    let browser;
     const allJobs = [];
     const errors = [];
+    const sources = options.sources || this.listSources();
+    const onSourceResult = options.onSourceResult || (() => {});
     
     try {
       // Clean up old cache entries
-      this.cleanupCache();
+      this.indeed.cleanupCache();
       
       // Log scraping attempt
       await prisma.scrapingLog.create({
@@ -126,76 +125,34 @@ class JobMonitor {
         }
       });
 
-      browser = await puppeteer.launch(this.browserOptions);
-      
-      // Search for facility-expansion jobs by title + location instead of company + location
-      const batchSize = 2; // Reduced from 3 to limit concurrent requests
-      const jobTitles = this.facilityExpansionJobs.slice(0, 12); // Reduced from 20 to top 12 most promising titles
-      const locations = this.locations.slice(0, 6); // Reduced from 8 to top 6 OC locations
-      
-      console.log(`🔍 Monitoring ${jobTitles.length} facility job titles across ${locations.length} locations...`);
-      
-      // Process in batches to prevent timeouts
-      for (let i = 0; i < jobTitles.length; i += batchSize) {
-        const batch = jobTitles.slice(i, i + batchSize);
+      if (sources.includes(this.indeed.sourceKey())) {
+        const indeedJobs = [];
+        const { searches, failed } = await this.searchIndeed(indeedJobs, errors);
         
-        await Promise.allSettled(
-          batch.map(async (jobTitle) => {
-            for (const location of locations) {
-              try {
-                const jobs = await this.searchFacilityJobsWithRetry(browser, jobTitle, location);
-                if (jobs && jobs.length > 0) {
-                  allJobs.push(...jobs);
-                  console.log(`✅ ${jobTitle} in ${location}: ${jobs.length} jobs`);
-                }
-              } catch (error) {
-                console.error(`❌ Error searching ${jobTitle} in ${location}:`, error.message);
-                errors.push({ jobTitle, location, error: error.message });
-              }
-            }
-          })
-        );
+        // Searches only see part of the board, so Indeed postings close when they go stale
+        await this.savePostings(indeedJobs.map(job => ({ ...job, facility_role: true })), errors);
+        allJobs.push(...indeedJobs);
         
-        // Rate limiting between batches
-        if (i + batchSize < jobTitles.length) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        }
+        // Every search failing means the board is down or blocking us, not that nobody is hiring
+        onSourceResult(this.indeed.sourceKey(), searches > 0 && failed === searches
+          ? new Error(`All ${searches} job searches failed`)
+          : null);
       }
       
-      console.log(`📊 Total facility jobs found: ${allJobs.length}`);
+      await this.collectWatchlistPostings(sources, allJobs, errors, onSourceResult);
+      await this.closeStalePostings();
       
-      // Filter and enhance jobs with company detection
-      const validJobs = await this.processAndFilterJobs(allJobs);
+      console.log(`📊 Total job postings found: ${allJobs.length}`);
       
-      // Save valid jobs to database
-      for (const job of validJobs) {
-        try {
-          await prisma.job.upsert({
-            where: {
-              company_location_unique: {
-                company: job.company,
-                location: job.location
-              }
-            },
-            update: {
-              count: job.count,
-              description: job.description,
-              date_posted: job.date_posted,
-              title: job.title
-            },
-            create: {
-              company: job.company,
-              title: job.title,
-              location: job.location,
-              description: job.description,
-              count: job.count,
-              date_posted: job.date_posted
-            }
-          });
-        } catch (error) {
-          console.error('Error saving job:', error);
-          errors.push({ error: `Database save failed: ${error.message}` });
-        }
+      // Rebuild the company/location rollup from every open posting, not just this run's
+      const validJobs = await this.refreshJobRollup(errors);
+      
+      // Snapshot open postings per company/city/role family for the hiring-velocity series
+      try {
+        await hiringVelocity.takeSnapshot();
+      } catch (error) {
+        console.error('❌ Error taking hiring snapshot:', error.message);
+        errors.push(`Hiring snapshot: ${error.message}`);
       }
       
       // Log successful monitoring
@@ -225,17 +182,49 @@ class JobMonitor {
       });
       
       throw error;
-    } finally {
-      if (browser) {
-        try {
-          await browser.close();
-        } catch (closeError) {
-          console.error('Error closing browser:', closeError);
-        }
-      }
     }
   }
 
+  // Indeed keyword search across the title x location matrix
+  async searchIndeed(allJobs, errors) {
+    const batchSize = 2; // Reduced from 3 to limit concurrent requests
+    const jobTitles = this.facilityExpansionJobs.slice(0, 12); // Reduced from 20 to top 12 most promising titles
+    const locations = this.locations.slice(0, 6); // Reduced from 8 to top 6 OC locations
+    let failed = 0;
+    
+    console.log(`🔍 Monitoring ${jobTitles.length} facility job titles across ${locations.length} locations...`);
+    
+    // Process in batches to prevent timeouts; pacing against Indeed is left to the host governor.
+    // Each search leases its own browser, so permit runs queued behind the matrix only wait out
+    // one search instead of the whole run.
+    for (let i = 0; i < jobTitles.length; i += batchSize) {
+      const batch = jobTitles.slice(i, i + batchSize);
+      
+      await Promise.allSettled(
+        batch.map(async (jobTitle) => {
+          for (const location of locations) {
+            try {
+              const jobs = await browserPool.executeWithBrowser(
+                browser => this.searchFacilityJobsWithRetry(browser, jobTitle, location)
+              );
+              if (jobs && jobs.length > 0) {
+                allJobs.push(...jobs);
+                console.log(`✅ ${jobTitle} in ${location}: ${jobs.length} jobs`);
+              }
+            } catch (error) {
+              console.error(`❌ Error searching ${jobTitle} in ${location}:`, error.message);
+              errors.push({ jobTitle, location, error: error.message });
+              failed++;
+            }
+          }
+        })
+      );
+    }
+    
+    this.lastRun = { searches: jobTitles.length * locations.length, failed };
+    return this.lastRun;
+  }
+
   async searchFacilityJobsWithRetry(browser, jobTitle, location) {
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
@@ -253,149 +242,190 @@ class JobMonitor {
     }
   }
 
+  // One job title x location cell of the Indeed search matrix
   async searchFacilityJobs(browser, jobTitle, location) {
-    const page = await browser.newPage();
-    
-    try {
-      // Check cache first (including negative results)
-      const cacheKey = `${jobTitle}_${location}`;
-      const cached = this.searchCache.get(cacheKey);
-      if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log(`📄 Cache hit for ${jobTitle} in ${location}`);
-        return cached.results;
-      }
+    return await this.indeed.fetchPostings({ jobTitle, location }, { browser });
+  }
 
-      // Enhanced page configuration
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      await page.setExtraHTTPHeaders({
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-      });
-      
-      // Use broader search terms for better results
-      const searchTerm = this.optimizeSearchTerm(jobTitle, location);
-      const searchUrl = `${this.baseUrl}?q=${encodeURIComponent(searchTerm)}&l=${encodeURIComponent(location)}&sort=date`;
+  // Every Orange County posting from each watchlist company's ATS feed is stored; the facility
+  // and expansion roles among them are flagged for the rollup
+  async collectWatchlistPostings(sources, allJobs, errors, onSourceResult) {
+    for (const { company, adapter } of this.getWatchlistTargets()) {
+      const source = adapter.sourceKey(company);
+      if (!sources.includes(source)) continue;
       
-      // Navigate with extended timeout and better error handling
-      await page.goto(searchUrl, { 
-        waitUntil: 'domcontentloaded',
-        timeout: this.timeout 
-      });
-      
-      // Wait for results with timeout
       try {
-        await page.waitForSelector('.jobsearch-SerpJobCard, [data-jk], .job_seen_beacon, .result', { timeout: 10000 });
-      } catch (waitError) {
-        console.log(`📭 No job results found for ${jobTitle} in ${location}`);
-        // Cache negative result to prevent repeated searches
-        this.searchCache.set(cacheKey, {
-          results: [],
-          timestamp: Date.now()
+        const postings = (await adapter.fetchPostings(company)).map(posting => {
+          const hasExpansionKeywords = this.hasExpansionKeywords(posting);
+          return { ...posting, hasExpansionKeywords, facility_role: hasExpansionKeywords || this.isFacilityRole(posting) };
         });
-        return [];
+        
+        const seenAt = await this.savePostings(postings, errors);
+        if (adapter.listedEverything(company)) {
+          await this.closeMissingPostings(adapter.constructor.type, company.name, postings, seenAt);
+        }
+        
+        allJobs.push(...postings);
+        console.log(`✅ ${company.name} (${company.source}): ${postings.filter(posting => posting.facility_role).length} of ${postings.length} Orange County postings are facility roles`);
+        onSourceResult(source, null);
+      } catch (error) {
+        console.error(`❌ Error reading ${company.source} feed for ${company.name}:`, error.message);
+        errors.push({ company: company.name, source, error: error.message });
+        onSourceResult(source, error);
       }
-      
-      // Additional wait for dynamic content
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Extract job data with improved filtering
-      const jobs = await page.evaluate((searchJobTitle, jobLocation, expansionKeywords) => {
-        try {
-          const jobElements = document.querySelectorAll('[data-jk], .job_seen_beacon, .jobsearch-SerpJobCard, .result');
-          const jobs = [];
-          
-          jobElements.forEach((element, index) => {
-            const titleElement = element.querySelector('h2 a, .jobTitle a, [data-testid="job-title"] a, .jobTitle-color-purple a');
-            const companyElement = element.querySelector('.companyName, [data-testid="company-name"], .company');
-            const locationElement = element.querySelector('[data-testid="job-location"], .companyLocation');
-            const descriptionElement = element.querySelector('.job-snippet, .summary, [data-testid="job-snippet"]');
-            
-            if (titleElement && companyElement) {
-              const title = titleElement.textContent.trim();
-              const company = companyElement.textContent.trim();
-              const location = locationElement ? locationElement.textContent.trim() : jobLocation;
-              const description = descriptionElement ? descriptionElement.textContent.trim() : '';
-              
-              // More flexible filtering - look for facility/operations keywords
-              const combinedText = (title + ' ' + description).toLowerCase();
-              const facilityKeywords = [
-                'facility', 'facilities', 'site', 'operations', 'manager', 'director',
-                'warehouse', 'distribution', 'manufacturing', 'plant', 'construction',
-                'project', 'regional', 'branch', 'location', 'real estate', 'property'
-              ];
-              
-              // Check for expansion indicators
-              const hasExpansionKeywords = expansionKeywords.some(keyword => 
-                combinedText.includes(keyword.toLowerCase())
-              );
-              
-              // Include if it has facility keywords OR expansion keywords
-              if (facilityKeywords.some(keyword => combinedText.includes(keyword)) || hasExpansionKeywords) {
-                jobs.push({
-                  id: `${company}_${location}_${Date.now()}_${index}`,
-                  company: company,
-                  title: title,
-                  location: location,
-                  description: description,
-                  count: 1,
-                  date_posted: new Date(),
-                  searchTitle: searchJobTitle,
-                  hasExpansionKeywords: hasExpansionKeywords
-                });
-              }
+    }
+  }
+
+  // Upsert postings by source + posting ID. A posting seen again is re-opened if it had been
+  // closed; first_seen_at keeps the run it first appeared in. Returns the run's seen-at time.
+  async savePostings(postings, errors) {
+    const seenAt = new Date();
+    const unique = new Map(postings.map(posting => [`${posting.source}:${posting.external_id}`, posting]));
+    
+    for (const posting of unique.values()) {
+      try {
+        // Most postings only name a city; a street address links the posting to a building
+        const { building_key } = await geocoder.locate(posting.location);
+        const fields = {
+          company: posting.company,
+          title: posting.title,
+          location: posting.location,
+          description: posting.description,
+          department: posting.department || null,
+          url: posting.url || null,
+          facility_role: posting.facility_role,
+          role_family: classifyRoleFamily(posting.title, posting.department),
+          building_key
+        };
+        
+        await prisma.jobPosting.upsert({
+          where: {
+            source_posting_unique: {
+              source: posting.source,
+              external_id: posting.external_id
             }
-          });
-          
-          return jobs;
-        } catch (evalError) {
-          console.error('Error in page evaluation:', evalError);
-          return [];
-        }
-      }, jobTitle, location, this.expansionKeywords);
-      
-      // Cache results (positive or negative)
-      this.searchCache.set(cacheKey, {
-        results: jobs || [],
-        timestamp: Date.now()
-      });
-      
-      return jobs || [];
-      
-    } catch (error) {
-      if (error.name === 'TimeoutError') {
-        // Cache timeout errors to prevent repeated failures
-        const cacheKey = `${jobTitle}_${location}`;
-        this.searchCache.set(cacheKey, {
-          results: [],
-          timestamp: Date.now()
+          },
+          update: {
+            ...fields,
+            // A search result's relative "3 days ago" drifts between runs; keep the first reading
+            ...(posting.source !== this.indeed.constructor.type && posting.date_posted ? { date_posted: posting.date_posted } : {}),
+            last_seen_at: seenAt,
+            closed_at: null
+          },
+          create: {
+            ...fields,
+            source: posting.source,
+            external_id: posting.external_id,
+            date_posted: posting.date_posted,
+            first_seen_at: seenAt,
+            last_seen_at: seenAt
+          }
         });
-        throw new Error(`Navigation timeout for ${jobTitle} in ${location}`);
+      } catch (error) {
+        console.error('Error saving job posting:', error);
+        errors.push({ error: `Database save failed: ${error.message}` });
       }
-      throw error;
-    } finally {
+    }
+    
+    return seenAt;
+  }
+
+  // A complete feed no longer listing a posting means it was filled or taken down
+  async closeMissingPostings(source, company, postings, seenAt) {
+    const { count } = await prisma.jobPosting.updateMany({
+      where: {
+        source,
+        company,
+        closed_at: null,
+        external_id: { notIn: postings.map(posting => posting.external_id) }
+      },
+      data: { closed_at: seenAt }
+    });
+    
+    if (count > 0) console.log(`📪 ${company} (${source}): ${count} postings closed`);
+  }
+
+  // Postings nobody has seen for JOB_POSTING_STALE_DAYS are closed: Indeed results that dropped
+  // out of the searches, and feeds that failed or left the watchlist
+  async closeStalePostings() {
+    const { count } = await prisma.jobPosting.updateMany({
+      where: {
+        closed_at: null,
+        last_seen_at: { lt: new Date(Date.now() - this.staleDays * 24 * 60 * 60 * 1000) }
+      },
+      data: { closed_at: new Date() }
+    });
+    
+    if (count > 0) console.log(`📪 ${count} stale job postings closed`);
+  }
+
+  // The jobs table is derived: one row per company/location with enough open facility-role
+  // postings, replacing whatever the previous run left there
+  async refreshJobRollup(errors = []) {
+    const openPostings = await prisma.jobPosting.findMany({
+      where: { closed_at: null, facility_role: true }
+    });
+    
+    const validJobs = await this.processAndFilterJobs(openPostings.map(posting => ({
+      company: posting.company,
+      title: posting.title,
+      location: posting.location,
+      description: posting.description || '',
+      date_posted: posting.date_posted || posting.first_seen_at,
+      isTargetCompany: posting.source !== this.indeed.constructor.type // watchlist feeds
+    })));
+    
+    for (const job of validJobs) {
       try {
-        await page.close();
-      } catch (closeError) {
-        console.error('Error closing page:', closeError);
+        const { building_key } = await geocoder.locate(job.location);
+        await prisma.job.upsert({
+          where: {
+            company_location_unique: {
+              company: job.company,
+              location: job.location
+            }
+          },
+          update: {
+            count: job.count,
+            description: job.description,
+            date_posted: job.date_posted,
+            title: job.title,
+            building_key
+          },
+          create: {
+            company: job.company,
+            title: job.title,
+            location: job.location,
+            description: job.description,
+            count: job.count,
+            date_posted: job.date_posted,
+            building_key
+          }
+        });
+      } catch (error) {
+        console.error('Error saving job:', error);
+        errors.push({ error: `Database save failed: ${error.message}` });
       }
     }
+    
+    // Groups whose postings closed or fell under the threshold drop out of the rollup
+    await prisma.job.deleteMany({
+      where: {
+        NOT: { OR: validJobs.map(job => ({ company: job.company, location: job.location })) }
+      }
+    });
+    
+    return validJobs;
   }
 
-  // Optimize search terms for better results
-  optimizeSearchTerm(jobTitle, location) {
-    // Use broader terms that are more likely to return results
-    const broaderTerms = {
-      'Facility Manager': 'facilities OR operations manager',
-      'Site Manager': 'site OR location manager', 
-      'Plant Manager': 'plant OR manufacturing manager',
-      'Warehouse Manager': 'warehouse OR distribution manager',
-      'Construction Manager': 'construction OR project manager',
-      'Regional Manager': 'regional OR area manager',
-      'Real Estate': 'real estate OR property manager',
-      'Property Management': 'property OR facilities management'
-    };
-    
-    return broaderTerms[jobTitle] || jobTitle;
+  isFacilityRole(job) {
+    const text = `${job.title} ${job.description}`.toLowerCase();
+    return FACILITY_KEYWORDS.some(keyword => text.includes(keyword));
+  }
+
+  hasExpansionKeywords(job) {
+    const text = `${job.title} ${job.description}`.toLowerCase();
+    return this.expansionKeywords.some(keyword => text.includes(keyword.toLowerCase()));
   }
 
   // Process and filter jobs, grouping by company and detecting target companies
@@ -426,12 +456,13 @@ class JobMonitor {
     
     companyJobMap.forEach((companyData, key) => {
       // Only include if company has minimum facility jobs or is a target company
-      const isTargetCompany = this.targetCompanies.some(target => 
-        companyData.company.toLowerCase().includes(target.toLowerCase())
-      );
+      // (watchlist companies' feed postings arrive already marked as targets)
+      const isTargetCompany = companyData.jobs.some(job => job.isTargetCompany) ||
+        this.targetCompanies.some(target => 
+          companyData.company.toLowerCase().includes(target.toLowerCase())
+        );
       
       if (companyData.totalCount >= this.minJobs || isTargetCompany) {
-        const representativeJob = companyData.jobs[0];
         const allTitles = Array.from(companyData.titles).join(', ');
         const allDescriptions = companyData.jobs.map(j => j.description).join(' ');
         
@@ -441,7 +472,7 @@ class JobMonitor {
           location: companyData.location,
           description: `${companyData.totalCount} facility-related positions: ${allDescriptions.substring(0, 300)}...`,
           count: companyData.totalCount,
-          date_posted: new Date(),
+          date_posted: new Date(Math.max(...companyData.jobs.map(job => new Date(job.date_posted || Date.now()).getTime()))),
           isTargetCompany: isTargetCompany
         });
       }
@@ -450,87 +481,25 @@ class JobMonitor {
     return validJobs;
   }
 
-  // Enhanced method to check if jobs indicate expansion
+  // Expansion signals for the companies behind these rollup rows, from the rule-based scorer
+  // (hiring velocity, facility and build-out roles, permits and company attributes)
   async analyzeJobTrends(jobs) {
+    const companyIds = [...new Set(jobs.map(job => job.company_id).filter(Boolean))];
     const expansionIndicators = [];
     
-    for (const job of jobs) {
-      const indicators = this.identifyExpansionSignals(job);
-      if (indicators.length > 0) {
+    for (const companyId of companyIds) {
+      const baseline = await expansionScorer.scoreCompany(companyId);
+      if (baseline && baseline.signals.length > 0) {
         expansionIndicators.push({
-          company: job.company,
-          location: job.location,
-          jobCount: job.count,
-          indicators: indicators,
-          confidence: this.calculateExpansionConfidence(job, indicators)
+          company: baseline.company,
+          locations: [...new Set(jobs.filter(job => job.company_id === companyId).map(job => job.location))],
+          indicators: baseline.signals,
+          confidence: baseline.score
         });
       }
     }
     
-    return expansionIndicators;
-  }
-
-  identifyExpansionSignals(job) {
-    const indicators = [];
-    const description = job.description.toLowerCase();
-    const title = job.title.toLowerCase();
-    
-    // Multiple facility roles indicates significant expansion
-    if (job.count >= 3) {
-      indicators.push('multiple_facility_roles');
-    }
-    
-    // Facility-related positions (now all jobs should be facility-related)
-    indicators.push('facility_related_roles');
-    
-    // Leadership positions suggest new operations
-    if (title.includes('director') || title.includes('manager') || 
-        title.includes('head of') || description.includes('startup') ||
-        description.includes('new facility') || description.includes('opening')) {
-      indicators.push('leadership_and_expansion');
-    }
-    
-    // Target company bonus
-    if (job.isTargetCompany) {
-      indicators.push('target_company');
-    }
-    
-    // Construction/build-out roles are highest confidence
-    if (title.includes('construction') || title.includes('build') || 
-        title.includes('tenant improvement') || title.includes('project manager')) {
-      indicators.push('construction_buildout');
-    }
-    
-    return indicators;
-  }
-
-  calculateExpansionConfidence(job, indicators) {
-    let confidence = 30; // Base confidence for facility roles
-    
-    // Indicator bonuses
-    if (indicators.includes('multiple_facility_roles')) confidence += 25;
-    if (indicators.includes('leadership_and_expansion')) confidence += 20;
-    if (indicators.includes('target_company')) confidence += 15;
-    if (indicators.includes('construction_buildout')) confidence += 30;
-    
-    return Math.min(confidence, 95); // Cap at 95%
-  }
-
-  // Method to clean up old cache entries
-  cleanupCache() {
-    const now = Date.now();
-    const keysToDelete = [];
-
-    this.searchCache.forEach((value, key) => {
-      if (now - value.timestamp > this.cacheTimeout) {
-        keysToDelete.push(key);
-      }
-    });
-
-    keysToDelete.forEach(key => {
-      this.searchCache.delete(key);
-      console.log(`Cleaned up old cache entry for key: ${key}`);
-    });
+    return expansionIndicators.sort((a, b) => b.confidence - a.confidence);
   }
 }
 
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { listAdapterTypes } = require('./job-adapters');
+
+const DEFAULT_WATCHLIST_PATH = path.join(__dirname, '../../config/job-watchlist.json');
+
+// Fields each ATS source needs to find a company's feed
+const REQUIRED_FIELDS = {
+  greenhouse: ['board'],
+  lever: ['site']
+};
+
+/**
+ * Companies whose own ATS job feeds are polled alongside the Indeed search, declared in
+ * config/job-watchlist.json (override the path with JOB_WATCHLIST_PATH). Each entry names the
+ * company and the adapter that reads its feed, e.g.
+ *
+ *   { "name": "Acme Robotics", "source": "greenhouse", "board": "acmerobotics" }
+ */
+class JobWatchlist {
+  constructor() {
+    this.watchlistPath = process.env.JOB_WATCHLIST_PATH
+      ? path.resolve(process.env.JOB_WATCHLIST_PATH)
+      : DEFAULT_WATCHLIST_PATH;
+    this.companies = null;
+  }
+
+  // Enabled companies, loading the file on first use. A missing file means an empty watchlist.
+  getCompanies() {
+    if (!this.companies) {
+      this.companies = fs.existsSync(this.watchlistPath) ? this.load() : [];
+    }
+    return this.companies.filter(company => company.enabled);
+  }
+
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.watchlistPath, 'utf8'));
+    const companies = this.validate(raw);
+
+    logger.info('Job watchlist loaded', {
+      path: this.watchlistPath,
+      companies: companies.filter(company => company.enabled).map(company => `${company.name} (${company.source})`)
+    });
+
+    return companies;
+  }
+
+  reload() {
+    this.companies = null;
+    return this.getCompanies();
+  }
+
+  validate(raw) {
+    if (!raw || !Array.isArray(raw.companies)) {
+      throw new Error('Job watchlist must contain a "companies" array');
+    }
+
+    const adapterTypes = listAdapterTypes().filter(type => type !== 'indeed');
+    const errors = [];
+
+    raw.companies.forEach((company, index) => {
+      const prefix = `companies[${index}]`;
+
+      if (!company.name || typeof company.name !== 'string') {
+        errors.push(`${prefix}.name is required`);
+      }
+      if (!adapterTypes.includes(company.source)) {
+        errors.push(`${prefix}.source "${company.source}" has no adapter (available: ${adapterTypes.join(', ')})`);
+      }
+      for (const field of REQUIRED_FIELDS[company.source] || []) {
+        if (!company[field] || typeof company[field] !== 'string') {
+          errors.push(`${prefix}.${field} is required for ${company.source}`);
+        }
+      }
+      if (company.source === 'workday') {
+        if (company.url !== undefined) {
+          try {
+            new URL(company.url);
+          } catch (error) {
+            errors.push(`${prefix}.url must be a valid URL`);
+          }
+        } else if (!company.host || !company.site) {
+          errors.push(`${prefix} needs a career site url, or host and site, for workday`);
+        }
+      }
+      if (company.enabled !== undefined && typeof company.enabled !== 'boolean') {
+        errors.push(`${prefix}.enabled must be true or false`);
+      }
+      if (company.locations !== undefined &&
+          (!Array.isArray(company.locations) || company.locations.some(city => typeof city !== 'string'))) {
+        errors.push(`${prefix}.locations must be an array of city names`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid job watchlist (${this.watchlistPath}):\n  ${errors.join('\n  ')}`);
+    }
+
+    return raw.companies.map(company => ({ ...company, enabled: company.enabled !== false }));
+  }
+}
+
+// Create singleton instance
+const jobWatchlist = new JobWatchlist();
+
+module.exports = jobWatchlist;
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const cacheManager = require('../utils/cache');
+const cityConfig = require('./city-config');
+const MultiCityPermitsScraper = require('./multi-city-permits');
+const { PermitPortalAdapter } = require('./permit-adapters');
+const { parseCsv } = require('../utils/csv');
+const { OPEN_DATA_FIELDS, parseMoney, parseDate, parseSquareFootage, classifyWorkClass } = require('../utils/permit-fields');
+
+const DEFAULT_IMPORT_DIR = path.join(__dirname, '../../data/open-data');
+
+// Column names common in city permit exports, used for any field a city's mapping leaves out
+// (matched case-insensitively, ignoring spaces and punctuation)
+const DEFAULT_COLUMNS = {
+  record_number: ['permit_number', 'permitnumber', 'permit_no', 'permitno', 'record_number', 'recordnumber', 'record_id', 'application_number', 'permit_num', 'permitnum'],
+  value: ['valuation', 'job_value', 'jobvalue', 'project_value', 'declared_valuation', 'total_valuation', 'estimated_cost', 'value'],
+  address: ['address', 'site_address', 'siteaddress', 'project_address', 'original_address', 'location_address', 'street_address'],
+  description: ['description', 'work_description', 'project_description', 'scope_of_work', 'permit_description'],
+  applicant: ['applicant', 'applicant_name', 'applicantname'],
+  contractor: ['contractor', 'contractor_name', 'contractorname', 'contractor_company'],
+  architect: ['architect', 'architect_name', 'designer'],
+  owner: ['owner', 'owner_name', 'ownername', 'property_owner'],
+  square_footage: ['square_footage', 'squarefootage', 'square_feet', 'sq_ft', 'sqft', 'total_sqft', 'building_area'],
+  use_type: ['use_type', 'occupancy', 'occupancy_type', 'occupancy_group', 'use_code', 'proposed_use'],
+  work_class: ['work_class', 'workclass', 'work_type', 'permit_subtype', 'permit_type', 'record_type'],
+  status: ['status', 'permit_status', 'current_status', 'record_status'],
+  date_filed: ['applied_date', 'application_date', 'date_applied', 'filed_date', 'date_filed', 'submitted_date', 'open_date'],
+  issued_date: ['issued_date', 'issue_date', 'date_issued'],
+  finaled_date: ['finaled_date', 'final_date', 'finalized_date', 'completed_date', 'date_finaled']
+};
+
+const SOCRATA_PAGE_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 20;
+
+function columnKey(name) {
+  return name.toString().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Bulk importer for cities that publish their permits as open data - a CSV export or a
+ * Socrata-style JSON endpoint. Rows are mapped through the city's openData.columns
+ * (config/cities.json), normalized like scraped permits and saved through
+ * savePermitsToDatabase, so re-importing the same file updates rows instead of adding them.
+ */
+class OpenDataImporter {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.permitsScraper = new MultiCityPermitsScraper();
+    this.importDir = process.env.OPEN_DATA_DIR
+      ? path.resolve(process.env.OPEN_DATA_DIR)
+      : DEFAULT_IMPORT_DIR;
+    this.timeout = 60000; // 60 seconds
+  }
+
+  // Only files inside the import directory can be named, so the /manual endpoint cannot read
+  // arbitrary paths on the server
+  resolveImportFile(file) {
+    const resolved = path.resolve(this.importDir, file);
+    if (!resolved.startsWith(this.importDir + path.sep)) {
+      throw new Error(`Import files must live in ${this.importDir}`);
+    }
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Import file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Import one city's permits. options:
+   *   file     - CSV or JSON file (relative to the import directory) instead of openData.url
+   *   url      - another endpoint on the host of the configured openData.url (CLI only; the
+   *              /manual/import-open-data endpoint does not pass it)
+   *   since    - only rows filed on or after this date
+   *   limit    - stop after this many rows
+   *   minValue - replace every property-type threshold; 0 imports every row
+   *   dryRun   - map and report without writing
+   */
+  async importCity(cityKey, options = {}) {
+    const startTime = Date.now();
+    const city = cityConfig.getCity(cityKey);
+    if (!city) {
+      throw new Error(`Unknown city: ${cityKey}`);
+    }
+
+    const source = options.file || this.resolveSourceUrl(city, options.url);
+    if (!source) {
+      throw new Error(`${city.name} has no openData.url configured - pass a file`);
+    }
+
+    const report = {
+      city: cityKey,
+      source,
+      dryRun: Boolean(options.dryRun),
+      rows: 0,
+      mapped: 0,
+      skipped: { unmapped: 0, beforeSince: 0, belowThreshold: 0 },
+      saved: null,
+      errors: [],
+      duration: null
+    };
+
+    try {
+      const rows = options.file
+        ? this.readFile(this.resolveImportFile(options.file))
+        : await this.fetchRows(source, city.openData, options);
+      report.rows = rows.length;
+
+      const permits = this.mapRows(rows.slice(0, options.limit || rows.length), cityKey, city, options, report);
+      report.mapped = permits.length;
+
+      if (!options.dryRun) {
+        report.saved = await this.permitsScraper.savePermitsToDatabase(permits, 'import');
+        cacheManager.invalidateCache('db', 'permits');
+        cacheManager.invalidateCache('scraping', 'permits');
+      }
+
+      report.duration = `${Date.now() - startTime}ms`;
+      if (!options.dryRun) await this.logImport(cityKey, 'success', permits.length);
+      logger.performance(`Open-data import for ${city.name}`, Date.now() - startTime, {
+        rows: report.rows,
+        mapped: report.mapped,
+        ...(report.saved || {})
+      });
+
+      return report;
+    } catch (error) {
+      logger.error(`Open-data import failed for ${city.name}`, { source, error: error.message });
+      await this.logImport(cityKey, 'error', 0, error.message);
+      throw error;
+    }
+  }
+
+  // A url override may only point at the host the city's dataset is configured on, so an
+  // import can't be aimed at internal services or hand the Socrata token to another host
+  resolveSourceUrl(city, url) {
+    const configured = city.openData && city.openData.url;
+    if (!url) return configured;
+    if (!configured) {
+      throw new Error(`${city.name} has no openData.url configured, so no url override is allowed`);
+    }
+
+    const override = new URL(url);
+    if (override.protocol !== 'https:' && override.protocol !== 'http:') {
+      throw new Error(`Open-data url must be http(s): ${url}`);
+    }
+    if (override.host !== new URL(configured).host) {
+      throw new Error(`Open-data url must be on ${new URL(configured).host}, the host configured for ${city.name}`);
+    }
+    return override.toString();
+  }
+
+  readFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.json$/i.test(file)) {
+      const parsed = JSON.parse(text);
+      // Socrata's "export as JSON" is a plain array; some portals wrap it in { data: [...] }
+      return Array.isArray(parsed) ? parsed : parsed.data || [];
+    }
+    return parseCsv(text);
+  }
+
+  async fetchRows(url, openData, options) {
+    const tokenHost = new URL(openData.url).host;
+    if (openData.format === 'csv') {
+      const response = await this.fetchWithTimeout(url, tokenHost);
+      return parseCsv(await response.text());
+    }
+
+    // Socrata pages through $limit/$offset; $order keeps pages stable between requests
+    const rows = [];
+    const maxRows = options.limit || Infinity;
+    for (let offset = 0; rows.length < maxRows; offset += SOCRATA_PAGE_SIZE) {
+      const pageUrl = new URL(url);
+      pageUrl.searchParams.set('$limit', SOCRATA_PAGE_SIZE);
+      pageUrl.searchParams.set('$offset', offset);
+      pageUrl.searchParams.set('$order', ':id');
+      if (openData.where) pageUrl.searchParams.set('$where', openData.where);
+
+      const response = await this.fetchWithTimeout(pageUrl.toString(), tokenHost);
+      const page = await response.json();
+      rows.push(...page);
+      if (page.length < SOCRATA_PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  // SOCRATA_APP_TOKEN is only sent to tokenHost, and a request carrying it may not redirect
+  // (the header would follow the redirect to wherever it points)
+  async fetchWithTimeout(url, tokenHost) {
+    const headers = { Accept: 'application/json, text/csv' };
+    const sendToken = Boolean(process.env.SOCRATA_APP_TOKEN) && new URL(url).host === tokenHost;
+    if (sendToken) headers['X-App-Token'] = process.env.SOCRATA_APP_TOKEN;
+
+    const response = await fetch(url, {
+      headers,
+      redirect: sendToken ? 'error' : 'follow',
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  // The city's mapping wins; remaining fields are looked up by their usual column names
+  resolveColumns(headers, mapping = {}) {
+    const byKey = new Map(headers.map(header => [columnKey(header), header]));
+    const columns = {};
+
+    for (const field of OPEN_DATA_FIELDS) {
+      if (mapping[field]) {
+        columns[field] = mapping[field];
+        continue;
+      }
+      const alias = (DEFAULT_COLUMNS[field] || []).find(name => byKey.has(name));
+      if (alias) columns[field] = byKey.get(alias);
+    }
+
+    return columns;
+  }
+
+  mapRows(rows, cityKey, city, options, report) {
+    if (rows.length === 0) return [];
+
+    const openData = city.openData || {};
+    const columns = this.resolveColumns(Object.keys(rows[0]), openData.columns);
+    const thresholds = options.minValue !== undefined
+      ? { default: options.minValue }
+      : this.permitsScraper.getPropertyThresholds(city);
+    const adapter = new PermitPortalAdapter({ thresholds, timeout: this.timeout });
+    const since = options.since ? parseDate(options.since) : null;
+    const permits = [];
+
+    rows.forEach((row, index) => {
+      try {
+        const record = this.mapRow(row, columns, openData);
+        if (!record.address && !record.record_number) {
+          report.skipped.unmapped++;
+          return;
+        }
+        if (since && record.date_filed < since) {
+          report.skipped.beforeSince++;
+          return;
+        }
+
+        const permit = adapter.normalize(record, { key: cityKey, ...city });
+        // accept() also labels the property type, so it runs even when every row is kept
+        if (adapter.accept(permit) || options.minValue === 0) {
+          permits.push(permit);
+        } else {
+          report.skipped.belowThreshold++;
+        }
+      } catch (error) {
+        if (report.errors.length < MAX_REPORTED_ERRORS) {
+          report.errors.push({ row: index + 1, error: error.message });
+        }
+      }
+    });
+
+    return permits;
+  }
+
+  mapRow(row, columns, openData) {
+    const raw = Object.fromEntries(Object.entries(columns).map(([field, column]) => {
+      const value = row[column];
+      return [field, typeof value === 'string' ? value.trim() || null : value ?? null];
+    }));
+
+    // Socrata location columns arrive as objects ({ human_address: "{...}" })
+    if (raw.address && typeof raw.address === 'object') {
+      const human = raw.address.human_address ? JSON.parse(raw.address.human_address) : raw.address;
+      raw.address = [human.address, human.city, human.zip].filter(Boolean).join(', ') || null;
+    }
+
+    const record = {
+      ...raw,
+      value: parseMoney(raw.value),
+      square_footage: parseSquareFootage(raw.square_footage),
+      work_class: classifyWorkClass(raw.work_class, raw.description),
+      date_filed: parseDate(raw.date_filed) || parseDate(raw.issued_date) || new Date(),
+      issued_date: parseDate(raw.issued_date),
+      finaled_date: parseDate(raw.finaled_date),
+      description: raw.description || [raw.work_class, raw.use_type].filter(Boolean).join(' - ') || 'No description provided'
+    };
+
+    if (!record.source_url && openData.recordUrl && record.record_number) {
+      record.source_url = openData.recordUrl.replace('{record_number}', encodeURIComponent(record.record_number));
+    }
+
+    return record;
+  }
+
+  async logImport(cityKey, status, itemsFound = 0, errorMsg = null) {
+    try {
+      await this.prisma.scrapingLog.create({
+        data: {
+          source: `open-data:${cityKey}`,
+          status,
+          items_found: itemsFound,
+          error_msg: errorMsg
+        }
+      });
+    } catch (error) {
+      logger.error('Error logging open-data import:', error);
+    }
+  }
+}
+
+module.exports = OpenDataImporter;
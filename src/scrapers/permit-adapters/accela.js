@@ -0,0 +1,312 @@
+const logger = require('../../utils/logger');
+const browserPool = require('../../utils/browser-pool');
+const PermitPortalAdapter = require('./base-adapter');
+const { buildPermitId } = require('../../utils/permit-identity');
+const { extractPermitFields, classifyWorkClass, parseDate } = require('../../utils/permit-fields');
+
+// Element IDs used by Accela Citizen Access (ACA). They are shared by every ACA-hosted agency;
+// a city can still override any of them through `selectors` in config/cities.json.
+const ACA_SELECTORS = {
+  startDate: '#ctl00_PlaceHolderMain_generalSearchForm_txtGSStartDate',
+  endDate: '#ctl00_PlaceHolderMain_generalSearchForm_txtGSEndDate',
+  recordType: '#ctl00_PlaceHolderMain_generalSearchForm_ddlGSPermitType',
+  searchButton: '#ctl00_PlaceHolderMain_btnNewSearch',
+  resultsGrid: '#ctl00_PlaceHolderMain_dgvPermitList_gdvPermitList',
+  resultRows: 'tr.ACA_TabRow_Odd, tr.ACA_TabRow_Even',
+  recordLink: 'a[id*="hlPermitNumber"]',
+  pager: '.aca_pagination, .ACA_Table_Pages',
+  recordStatus: '#ctl00_PlaceHolderMain_lblRecordStatus'
+};
+
+const DEFAULT_SEARCH = {
+  module: 'Building',
+  recordTypes: [],
+  lookbackDays: 30,
+  maxPages: 10,
+  maxRecords: 200
+};
+
+// Accela Citizen Access portals (Irvine and other ACA-hosted cities): runs the General Search
+// by date range and record type, pages through the results grid and reads each record's detail tab.
+class AccelaAdapter extends PermitPortalAdapter {
+  static type = 'accela';
+  static supportsDateRange = true;
+  static yieldBaseline = { expected: 5, minRuns: 5, dropRatio: 0.25 };
+
+  constructor(options = {}) {
+    super(options);
+    this.startDate = options.startDate || null;
+    this.endDate = options.endDate || null;
+  }
+
+  getSelectors(cityConfig) {
+    return { ...ACA_SELECTORS, ...cityConfig.selectors };
+  }
+
+  // The General Search form stays on the page above the results grid
+  landmarks(cityConfig) {
+    const selectors = this.getSelectors(cityConfig);
+    return [selectors.startDate, selectors.recordType, selectors.searchButton];
+  }
+
+  getSearch(cityConfig) {
+    return { ...DEFAULT_SEARCH, ...cityConfig.search };
+  }
+
+  getDateRange(search) {
+    const endDate = this.endDate ? new Date(this.endDate) : new Date();
+    const startDate = this.startDate
+      ? new Date(this.startDate)
+      : new Date(endDate.getTime() - search.lookbackDays * 24 * 60 * 60 * 1000);
+    return { startDate, endDate };
+  }
+
+  async discover(page, cityConfig) {
+    const search = this.getSearch(cityConfig);
+    const selectors = this.getSelectors(cityConfig);
+    const searchUrl = new URL(`Cap/CapHome.aspx?module=${encodeURIComponent(search.module)}&TabName=${encodeURIComponent(search.module)}`, cityConfig.baseUrl);
+
+    logger.info(`Opening Accela general search for ${cityConfig.name}`, { url: searchUrl.href });
+
+    await browserPool.navigate(page, searchUrl.href, { waitUntil: 'networkidle2', timeout: this.timeout });
+    await page.waitForSelector(selectors.startDate, { timeout: this.timeout });
+  }
+
+  async list(page, cityConfig) {
+    const search = this.getSearch(cityConfig);
+    const { startDate, endDate } = this.getDateRange(search);
+    // An empty recordTypes list runs a single search across every record type
+    const recordTypes = search.recordTypes.length > 0 ? search.recordTypes : [null];
+    const records = new Map();
+
+    for (const recordType of recordTypes) {
+      try {
+        const found = await this.searchRecordType(page, cityConfig, { recordType, startDate, endDate, search });
+        found.forEach(record => records.set(record.record_number, record));
+
+        logger.info(`Accela search complete for ${cityConfig.name}`, {
+          recordType: recordType || 'all',
+          records: found.length
+        });
+      } catch (error) {
+        logger.error(`Accela search failed for ${cityConfig.name}`, {
+          recordType: recordType || 'all',
+          error: error.message
+        });
+        this.failedSearches.push({ search: recordType || 'all', error: error.message });
+      }
+
+      if (records.size >= search.maxRecords) break;
+    }
+
+    // A portal that is down fails every search; that is a failed run, not an empty one
+    if (this.failedSearches.length === recordTypes.length) {
+      throw new Error(`Every Accela search failed for ${cityConfig.name}: ${this.failedSearches[0].error}`);
+    }
+
+    return Array.from(records.values()).slice(0, search.maxRecords);
+  }
+
+  async searchRecordType(page, cityConfig, { recordType, startDate, endDate, search }) {
+    const selectors = this.getSelectors(cityConfig);
+
+    // Each search starts from a fresh form so a previous record type selection does not leak through
+    await this.discover(page, cityConfig);
+
+    await this.setInputValue(page, selectors.startDate, this.formatDate(startDate));
+    await this.setInputValue(page, selectors.endDate, this.formatDate(endDate));
+
+    if (recordType) {
+      const optionValue = await this.findRecordTypeOption(page, selectors.recordType, recordType);
+      if (!optionValue) {
+        logger.warn(`Record type "${recordType}" not offered by ${cityConfig.name}`);
+        return [];
+      }
+      await page.select(selectors.recordType, optionValue);
+    }
+
+    // The search and pager are postbacks to the portal, so they wait out its crawl delay too
+    await browserPool.throttle(page);
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout: this.timeout }).catch(() => null),
+      page.click(selectors.searchButton)
+    ]);
+
+    const hasResults = await this.waitForResults(page, selectors);
+    if (!hasResults) return [];
+
+    const records = [];
+    for (let pageNumber = 1; pageNumber <= search.maxPages; pageNumber++) {
+      const rows = await this.readResultRows(page, selectors);
+      records.push(...rows);
+
+      if (records.length >= search.maxRecords) break;
+
+      const advanced = await this.goToNextPage(page, selectors, rows[0]?.record_number);
+      if (!advanced) break;
+    }
+
+    return records;
+  }
+
+  async fetchDetail(page, record, cityConfig) {
+    if (!record.detail_url) return record;
+
+    const selectors = this.getSelectors(cityConfig);
+
+    await browserPool.navigate(page, record.detail_url, { waitUntil: 'networkidle2', timeout: this.timeout });
+
+    const { text, status } = await page.evaluate((statusSelector) => {
+      const statusElement = document.querySelector(statusSelector);
+      return {
+        text: document.body.innerText || '',
+        status: statusElement ? statusElement.innerText.trim() : null
+      };
+    }, selectors.recordStatus);
+
+    // ACA renders "Label:" with the value on the same line or the next one
+    const detail = extractPermitFields(text);
+
+    return {
+      ...record,
+      ...detail,
+      value: detail.value || record.value,
+      status: status || detail.status || record.status
+    };
+  }
+
+  // The record's detail tab carries the status element, so re-checks reuse fetchDetail
+  async fetchStatus(page, permit, cityConfig) {
+    if (!permit.source_url || permit.source_url === cityConfig.baseUrl) return null;
+
+    const detail = await this.fetchDetail(page, { detail_url: permit.source_url }, cityConfig);
+    if (!detail.status) return null;
+
+    return {
+      status: detail.status,
+      issued_date: detail.issued_date,
+      finaled_date: detail.finaled_date
+    };
+  }
+
+  normalize(record, cityConfig) {
+    return {
+      permit_id: buildPermitId({ city: cityConfig.name, record_number: record.record_number }),
+      value: record.value,
+      address: record.address || 'Address not specified',
+      description: [record.record_type, record.description].filter(Boolean).join(' - ').substring(0, 500),
+      applicant: record.applicant || 'Applicant not specified',
+      contractor: record.contractor || null,
+      architect: record.architect || null,
+      owner: record.owner || null,
+      square_footage: record.square_footage || null,
+      use_type: record.use_type || null,
+      work_class: record.work_class || classifyWorkClass(record.record_type, record.description),
+      status: record.status || null,
+      date_filed: parseDate(record.date_filed) || new Date(),
+      issued_date: record.issued_date || null,
+      finaled_date: record.finaled_date || null,
+      city: cityConfig.name,
+      source_url: record.detail_url || cityConfig.baseUrl
+    };
+  }
+
+  async readResultRows(page, selectors) {
+    return await page.evaluate((gridSelector, rowSelector, linkSelector) => {
+      const grid = document.querySelector(gridSelector);
+      if (!grid) return [];
+
+      // Map header labels to column indexes - column order differs between agencies
+      const headers = Array.from(grid.querySelectorAll('tr.ACA_TabRow_Header th, tr.ACA_TabRow_Header td'))
+        .map(cell => cell.innerText.trim().toLowerCase());
+      const column = (...names) => headers.findIndex(header => names.some(name => header.includes(name)));
+
+      const dateIndex = column('date');
+      const typeIndex = column('record type', 'permit type');
+      const descriptionIndex = column('project name', 'description', 'short notes');
+      const addressIndex = column('address', 'location');
+      const statusIndex = column('status');
+
+      return Array.from(grid.querySelectorAll(rowSelector)).map(row => {
+        const cells = Array.from(row.querySelectorAll('td')).map(cell => cell.innerText.trim());
+        const link = row.querySelector(linkSelector);
+        const cell = (index) => (index >= 0 ? cells[index] || null : null);
+
+        return {
+          record_number: link ? link.innerText.trim() : null,
+          detail_url: link ? link.href : null,
+          date_filed: cell(dateIndex),
+          record_type: cell(typeIndex),
+          description: cell(descriptionIndex),
+          address: cell(addressIndex),
+          status: cell(statusIndex)
+        };
+      }).filter(record => record.record_number);
+    }, selectors.resultsGrid, selectors.resultRows, selectors.recordLink);
+  }
+
+  async goToNextPage(page, selectors, currentFirstRecord) {
+    const nextLink = await page.evaluateHandle((pagerSelector) => {
+      const links = Array.from(document.querySelectorAll(`${pagerSelector} a`));
+      return links.find(link => /next/i.test(link.innerText)) || null;
+    }, selectors.pager);
+
+    const element = nextLink.asElement();
+    if (!element) return false;
+
+    await browserPool.throttle(page);
+    await element.click();
+
+    // ACA pages through an UpdatePanel postback, so wait for the first record to change
+    try {
+      await page.waitForFunction((gridSelector, linkSelector, previous) => {
+        const first = document.querySelector(`${gridSelector} ${linkSelector}`);
+        return first && first.innerText.trim() !== previous;
+      }, { timeout: this.timeout }, selectors.resultsGrid, selectors.recordLink, currentFirstRecord);
+      return true;
+    } catch (error) {
+      logger.warn('Accela pager did not advance', { error: error.message });
+      return false;
+    }
+  }
+
+  async waitForResults(page, selectors) {
+    try {
+      await page.waitForFunction((gridSelector) => {
+        return document.querySelector(gridSelector) || /no records|returned no results/i.test(document.body.innerText);
+      }, { timeout: this.timeout }, selectors.resultsGrid);
+    } catch (error) {
+      logger.warn('Accela search results did not load', { error: error.message });
+      return false;
+    }
+    return Boolean(await page.$(selectors.resultsGrid));
+  }
+
+  // Record types are matched word by word, so "Commercial New" finds "Building/Commercial/New/NA"
+  async findRecordTypeOption(page, selector, recordType) {
+    return await page.$eval(selector, (select, wanted) => {
+      const words = wanted.toLowerCase().split(/\s+/).filter(Boolean);
+      const option = Array.from(select.options).find(candidate => {
+        const haystack = `${candidate.text} ${candidate.value}`.toLowerCase();
+        return words.every(word => haystack.includes(word));
+      });
+      return option ? option.value : null;
+    }, recordType);
+  }
+
+  async setInputValue(page, selector, value) {
+    await page.$eval(selector, (input, newValue) => {
+      input.value = newValue;
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      input.dispatchEvent(new Event('blur', { bubbles: true }));
+    }, value);
+  }
+
+  formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${month}/${day}/${date.getFullYear()}`;
+  }
+}
+
+module.exports = AccelaAdapter;
@@ -0,0 +1,22 @@
+const logger = require('../../utils/logger');
+const PermitPortalAdapter = require('./base-adapter');
+
+// Anaheim's Online Permit Center landing page
+class AnaheimAdapter extends PermitPortalAdapter {
+  static type = 'anaheim';
+
+  // Rows or links to permit records on the permit center page
+  landmarks(cityConfig) {
+    return [cityConfig.selectors.rows || 'tr, .permit-row, .record, a'];
+  }
+
+  async list(page, cityConfig) {
+    logger.info(`Scraping Anaheim permit center for ${cityConfig.name}`, { service: 'intellisense' });
+
+    return await this.scrapeValueRows(page, cityConfig, {
+      selector: cityConfig.selectors.rows || 'tr, .permit-row, .record, div, a'
+    });
+  }
+}
+
+module.exports = AnaheimAdapter;
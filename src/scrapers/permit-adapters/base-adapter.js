@@ -0,0 +1,190 @@
+const logger = require('../../utils/logger');
+const browserPool = require('../../utils/browser-pool');
+const { buildPermitId } = require('../../utils/permit-identity');
+const { extractPermitFields, classifyWorkClass } = require('../../utils/permit-fields');
+const { classifyProperty } = require('../../analysis/property-classifier');
+
+// Base class for permit portal adapters. A run goes discover -> list -> fetchDetail -> normalize,
+// and each adapter only overrides the steps its portal needs.
+class PermitPortalAdapter {
+  // Adapters that can search an arbitrary filing-date window (options.startDate/endDate) set this,
+  // which is what the historical backfill needs
+  static supportsDateRange = false;
+
+  // Records a healthy run usually lists. `expected` is the baseline until the source has
+  // minRuns successful runs; after that the trailing average is. A run listing less than
+  // dropRatio of the baseline is flagged as degraded.
+  static yieldBaseline = { expected: 0, minRuns: 5, dropRatio: 0.25 };
+
+  // options.thresholds maps property types to their minimum value (plus `default` for
+  // unclassified permits). minValue is the lowest of them - anything cheaper is never kept.
+  constructor(options = {}) {
+    this.timeout = options.timeout || 60000; // 60 seconds
+    this.thresholds = { default: options.minValue || 1000000, ...options.thresholds }; // $1M default minimum
+    this.minValue = Math.min(...Object.values(this.thresholds));
+  }
+
+  thresholdFor(propertyType) {
+    return this.thresholds[propertyType] ?? this.thresholds.default;
+  }
+
+  // Navigate to the portal's entry point (landing page, search form, etc.)
+  async discover(page, cityConfig) {
+    await browserPool.navigate(page, cityConfig.baseUrl, { waitUntil: 'networkidle2', timeout: this.timeout });
+    await new Promise(resolve => setTimeout(resolve, 3000));
+  }
+
+  // Return the raw permit records visible after discovery. An adapter that runs several searches
+  // and carries on past a failed one records it in this.failedSearches ({ search, error }).
+  async list(page, cityConfig) {
+    return [];
+  }
+
+  // CSS selectors that must be on the listing page. A missing one means the portal's markup
+  // changed, even if the run still found something. Cities can replace them with `landmarks`.
+  landmarks(cityConfig) {
+    return [];
+  }
+
+  // Checks the listing page's landmarks and keeps its HTML, so a degraded run can be inspected
+  // after the page has moved on to detail pages or closed. A full-page screenshot is only taken
+  // when the listing already looks broken: missing landmarks, failed searches or nothing listed.
+  async inspectListing(page, cityConfig, listed) {
+    const landmarks = cityConfig.landmarks || this.landmarks(cityConfig);
+    const missingLandmarks = [];
+
+    for (const selector of landmarks) {
+      const found = await page.$(selector).catch(() => null);
+      if (!found) missingLandmarks.push(selector);
+    }
+
+    const suspect = missingLandmarks.length > 0 || (this.failedSearches || []).length > 0 || listed === 0;
+    let snapshot = null;
+    try {
+      snapshot = {
+        url: page.url(),
+        html: await page.content(),
+        screenshot: suspect ? await page.screenshot({ fullPage: true, type: 'png' }) : null
+      };
+    } catch (error) {
+      logger.warn(`Could not snapshot ${cityConfig.name} listing page`, { error: error.message });
+    }
+
+    return { listed, landmarks, missingLandmarks, snapshot, yieldBaseline: this.constructor.yieldBaseline };
+  }
+
+  // Enrich a single record (e.g. by opening its detail page). Default is a no-op.
+  async fetchDetail(page, record, cityConfig) {
+    return record;
+  }
+
+  // Map a raw record into the shape savePermitsToDatabase expects. permit_id comes from the
+  // portal's record number when the adapter found one, otherwise from a content hash.
+  // Labeled fields in the record's raw text ("Contractor: ...", "Square Footage: ...") are more
+  // reliable than the row heuristics, so they take precedence when present.
+  normalize(record, cityConfig) {
+    const { record_number, text, ...fields } = record;
+    const permit = {
+      ...fields,
+      ...extractPermitFields(text),
+      city: cityConfig.name,
+      source_url: record.source_url || cityConfig.baseUrl
+    };
+    permit.address = permit.address || `${cityConfig.name}, CA`;
+    permit.applicant = permit.applicant || 'Applicant not specified';
+    permit.work_class = permit.work_class || classifyWorkClass(permit.description);
+    return { ...permit, permit_id: buildPermitId({ ...permit, record_number }) };
+  }
+
+  // Labels the permit's property type and checks it clears that type's minimum value
+  accept(permit) {
+    permit.property_type = permit.property_type || classifyProperty(permit);
+    return Boolean(permit.value && permit.value >= this.thresholdFor(permit.property_type));
+  }
+
+  // Re-read the current status of a saved permit from its own page. Returns null when the
+  // permit has no page of its own (source_url is just the portal entry point).
+  async fetchStatus(page, permit, cityConfig) {
+    if (!permit.source_url || permit.source_url === cityConfig.baseUrl) return null;
+
+    await browserPool.navigate(page, permit.source_url, { waitUntil: 'networkidle2', timeout: this.timeout });
+    const text = await page.evaluate(() => document.body.innerText || '');
+    const { status, issued_date, finaled_date } = extractPermitFields(text);
+
+    return status ? { status, issued_date, finaled_date } : null;
+  }
+
+  async scrape(page, cityConfig) {
+    await this.discover(page, cityConfig);
+
+    this.failedSearches = [];
+    const records = await this.list(page, cityConfig);
+    const permits = [];
+    this.lastRun = {
+      ...await this.inspectListing(page, cityConfig, records.length),
+      failedSearches: this.failedSearches
+    };
+
+    for (const record of records) {
+      try {
+        const detailed = await this.fetchDetail(page, record, cityConfig);
+        const permit = this.normalize(detailed, cityConfig);
+        if (permit && this.accept(permit)) permits.push(permit);
+      } catch (error) {
+        logger.warn(`Skipping ${cityConfig.name} record after detail failure`, {
+          permit: record.permit_id,
+          error: error.message
+        });
+      }
+    }
+
+    return permits;
+  }
+
+  // Shared heuristic for portals without a structured results table: scan every element
+  // matching `selector` for dollar amounts and keep the ones above the minimum value.
+  async scrapeValueRows(page, cityConfig, { selector, matchDetails = false }) {
+    return await page.evaluate((selector, minValue, matchDetails) => {
+      const permitElements = document.querySelectorAll(selector);
+      const permits = [];
+
+      permitElements.forEach((element) => {
+        const text = element.innerText || element.textContent || '';
+
+        // Look for permit values in various formats
+        const valueMatch = text.match(/\$?([\d,]+(?:\.\d{2})?)/g);
+        if (!valueMatch) return;
+
+        const values = valueMatch.map(m => parseFloat(m.replace(/[$,]/g, ''))).filter(v => !isNaN(v) && v >= minValue);
+        if (values.length === 0) return;
+
+        const value = Math.max(...values);
+
+        let addressMatch = null;
+        let companyMatch = null;
+        if (matchDetails) {
+          addressMatch = text.match(/(\d+\s+[A-Za-z\s]+(?:St|Ave|Blvd|Dr|Rd|Way|Ct|Ln))/i);
+          companyMatch = text.match(/([A-Za-z\s,\.&]+(?:LLC|Inc|Corp|Corporation|Company|Co\.|Ltd|LP|LLP))/i);
+        }
+
+        // Record numbers look like "BLD2024-01234" or follow a "Permit #" label
+        const recordMatch = text.match(/(?:permit|record|application)\s*(?:#|no\.?|number)[:\s]*([A-Z0-9][A-Z0-9-]{3,})/i) ||
+                            text.match(/\b([A-Z]{1,5}\d{2,4}-\d{3,6})\b/);
+
+        permits.push({
+          record_number: recordMatch ? recordMatch[1] : null,
+          value: value,
+          address: addressMatch ? addressMatch[1] : null,
+          description: text.substring(0, 200),
+          applicant: companyMatch ? companyMatch[1] : null,
+          date_filed: new Date(),
+          text: text.substring(0, 2000)
+        });
+      });
+
+      return permits;
+    }, selector, this.minValue, matchDetails);
+  }
+}
+
+module.exports = PermitPortalAdapter;
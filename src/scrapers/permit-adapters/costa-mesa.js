@@ -0,0 +1,16 @@
+const logger = require('../../utils/logger');
+const PermitPortalAdapter = require('./base-adapter');
+
+class CostaMesaAdapter extends PermitPortalAdapter {
+  static type = 'costa-mesa';
+
+  // Placeholder for Costa Mesa implementation - skip navigation until the portal is mapped
+  async discover(page, cityConfig) {}
+
+  async list(page, cityConfig) {
+    logger.info(`Costa Mesa permit scraping not yet implemented`, { service: 'intellisense' });
+    return [];
+  }
+}
+
+module.exports = CostaMesaAdapter;
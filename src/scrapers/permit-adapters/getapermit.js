@@ -0,0 +1,22 @@
+const logger = require('../../utils/logger');
+const PermitPortalAdapter = require('./base-adapter');
+
+// GetAPermit.net hosted portals (Tustin)
+class GetAPermitAdapter extends PermitPortalAdapter {
+  static type = 'getapermit';
+
+  // A results table or permit list; without one the row scan can only pick up page chrome
+  landmarks(cityConfig) {
+    return [cityConfig.selectors.rows || 'tr, .permit-item, .record'];
+  }
+
+  async list(page, cityConfig) {
+    logger.info(`Scraping GetPermit system for ${cityConfig.name}`, { service: 'intellisense' });
+
+    return await this.scrapeValueRows(page, cityConfig, {
+      selector: cityConfig.selectors.rows || 'tr, .permit-item, .record, div'
+    });
+  }
+}
+
+module.exports = GetAPermitAdapter;
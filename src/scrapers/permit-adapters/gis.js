@@ -0,0 +1,23 @@
+const logger = require('../../utils/logger');
+const PermitPortalAdapter = require('./base-adapter');
+
+// Newport Beach publishes permits through its neighborhood GIS viewer
+class GISAdapter extends PermitPortalAdapter {
+  static type = 'gis';
+
+  // The viewer's permit layer; the row scan falls back to every div, so only this proves the layer rendered
+  landmarks(cityConfig) {
+    return [cityConfig.selectors.rows || '[class*="permit"], [class*="building"], .record'];
+  }
+
+  async list(page, cityConfig) {
+    logger.info(`Scraping GIS system for ${cityConfig.name}`, { service: 'intellisense' });
+
+    return await this.scrapeValueRows(page, cityConfig, {
+      selector: cityConfig.selectors.rows || '[class*="permit"], [class*="building"], tr, .record, div',
+      matchDetails: true
+    });
+  }
+}
+
+module.exports = GISAdapter;
@@ -0,0 +1,19 @@
+const PermitPortalAdapter = require('./base-adapter');
+const { createAdapterRegistry } = require('../adapter-registry');
+
+// Adapters register themselves by file: every module in this directory (and in
+// PERMIT_ADAPTERS_DIR, if set) that exports a PermitPortalAdapter subclass with a
+// static `type` becomes available to cities configured with that type.
+const { registerAdapter, getAdapter, listAdapterTypes } = createAdapterRegistry({
+  baseClass: PermitPortalAdapter,
+  directory: __dirname,
+  envDir: 'PERMIT_ADAPTERS_DIR',
+  label: 'permit'
+});
+
+module.exports = {
+  PermitPortalAdapter,
+  registerAdapter,
+  getAdapter,
+  listAdapterTypes
+};
@@ -0,0 +1,250 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const browserPool = require('../utils/browser-pool');
+const scraperFixtures = require('../utils/scraper-fixtures');
+const cacheManager = require('../utils/cache');
+const cityConfig = require('./city-config');
+const MultiCityPermitsScraper = require('./multi-city-permits');
+const { getAdapter } = require('./permit-adapters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A backfill window is far larger than a regular run, so the per-search caps are raised
+const BACKFILL_SEARCH = {
+  maxPages: 50,
+  maxRecords: 1000
+};
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Walks a city portal's history window by window (chunkDays at a time, oldest first) and saves
+ * every permit above the usual thresholds. Progress is checkpointed in permit_backfills after
+ * each window, so a crashed or interrupted run picks up at the first window it had not finished.
+ *
+ * Only adapters that can search by filing date (supportsDateRange) can be backfilled; cities
+ * that publish open data should be backfilled with the open-data importer instead.
+ */
+class PermitBackfill {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.permitsScraper = new MultiCityPermitsScraper();
+    this.chunkDays = parseInt(process.env.BACKFILL_CHUNK_DAYS) || 30;
+    this.throttleMs = parseInt(process.env.BACKFILL_THROTTLE_MS) || 15000; // pause between windows
+    this.timeout = 60000; // 60 seconds
+  }
+
+  // from/to win over months; with neither, the last 24 months are backfilled
+  resolveRange({ from, to, months = 24 } = {}) {
+    const rangeEnd = startOfDay(to || new Date());
+    let rangeStart;
+    if (from) {
+      rangeStart = startOfDay(from);
+    } else {
+      rangeStart = new Date(rangeEnd);
+      rangeStart.setUTCMonth(rangeStart.getUTCMonth() - months);
+    }
+
+    if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+      throw new Error('Backfill dates must be valid dates (YYYY-MM-DD)');
+    }
+    if (rangeStart >= rangeEnd) {
+      throw new Error('Backfill start date must be before its end date');
+    }
+
+    return { rangeStart, rangeEnd };
+  }
+
+  /**
+   * Backfill each city in turn. options: from, to, months, chunkDays, minValue, restart.
+   * Returns one summary per city.
+   */
+  async run(cityKeys, options = {}) {
+    const results = [];
+
+    for (const cityKey of cityKeys) {
+      try {
+        results.push(await this.backfillCity(cityKey, options));
+      } catch (error) {
+        logger.error(`Permit backfill failed for ${cityKey}`, { error: error.message });
+        results.push({ city: cityKey, status: 'failed', error: error.message });
+      }
+    }
+
+    cacheManager.invalidateCache('db', 'permits');
+    return results;
+  }
+
+  async backfillCity(cityKey, options = {}) {
+    const city = cityConfig.getCity(cityKey);
+    if (!city) {
+      throw new Error(`Unknown city: ${cityKey}`);
+    }
+
+    const probe = getAdapter(city.type);
+    if (!probe || !probe.constructor.supportsDateRange) {
+      throw new Error(`${city.name} uses the "${city.type}" adapter, which cannot search by date - use the open-data importer for this city`);
+    }
+
+    const checkpoint = await this.loadCheckpoint(cityKey, options);
+    if (checkpoint.status === 'completed') {
+      logger.info(`Backfill for ${city.name} already completed`, { checkpoint: checkpoint.id });
+      return this.summarize(checkpoint);
+    }
+
+    logger.info(`Backfilling ${city.name} permits`, {
+      from: checkpoint.range_start.toISOString().slice(0, 10),
+      to: checkpoint.range_end.toISOString().slice(0, 10),
+      resumeAt: checkpoint.cursor.toISOString().slice(0, 10),
+      chunksDone: checkpoint.chunks_done
+    });
+
+    let current = checkpoint;
+    while (current.cursor < current.range_end) {
+      const windowStart = current.cursor;
+      const windowEnd = new Date(Math.min(windowStart.getTime() + current.chunk_days * DAY_MS, current.range_end.getTime()));
+
+      try {
+        const permits = await this.scrapeWindow(cityKey, city, windowStart, windowEnd, options);
+        const saved = permits.length > 0
+          ? await this.permitsScraper.savePermitsToDatabase(permits, 'backfill')
+          : { failed: 0 };
+        if (saved.failed > 0) {
+          throw new Error(`${saved.failed} permits failed to save`);
+        }
+
+        current = await this.prisma.permitBackfill.update({
+          where: { id: current.id },
+          data: {
+            cursor: windowEnd,
+            chunks_done: { increment: 1 },
+            permits_found: { increment: permits.length },
+            last_error: null,
+            status: windowEnd >= current.range_end ? 'completed' : 'running',
+            completed_at: windowEnd >= current.range_end ? new Date() : null
+          }
+        });
+
+        logger.info(`Backfilled ${city.name} ${windowStart.toISOString().slice(0, 10)} - ${windowEnd.toISOString().slice(0, 10)}`, {
+          permits: permits.length,
+          chunksDone: current.chunks_done
+        });
+      } catch (error) {
+        // The cursor stays at this window, so the next run retries it
+        await this.prisma.permitBackfill.update({
+          where: { id: current.id },
+          data: { status: 'failed', last_error: error.message }
+        });
+        throw error;
+      }
+
+      if (current.cursor < current.range_end && !scraperFixtures.isReplaying()) {
+        await new Promise(resolve => setTimeout(resolve, this.throttleMs));
+      }
+    }
+
+    return this.summarize(current);
+  }
+
+  // Resume the matching checkpoint. A relative range (--months) moves with the calendar, so
+  // without explicit dates the city's latest unfinished backfill is resumed instead.
+  async loadCheckpoint(cityKey, options) {
+    const explicit = Boolean(options.from || options.to);
+
+    if (!explicit && !options.restart) {
+      const unfinished = await this.prisma.permitBackfill.findFirst({
+        where: { city: cityKey, status: { not: 'completed' } },
+        orderBy: { updated_at: 'desc' }
+      });
+      if (unfinished) return unfinished;
+    }
+
+    const { rangeStart, rangeEnd } = this.resolveRange(options);
+    const key = { city_range_start_range_end: { city: cityKey, range_start: rangeStart, range_end: rangeEnd } };
+    const existing = await this.prisma.permitBackfill.findUnique({ where: key });
+
+    if (existing && !options.restart) return existing;
+
+    const fresh = {
+      chunk_days: options.chunkDays || this.chunkDays,
+      cursor: rangeStart,
+      status: 'running',
+      chunks_done: 0,
+      permits_found: 0,
+      last_error: null,
+      completed_at: null
+    };
+
+    return await this.prisma.permitBackfill.upsert({
+      where: key,
+      update: fresh,
+      create: { city: cityKey, range_start: rangeStart, range_end: rangeEnd, ...fresh }
+    });
+  }
+
+  async scrapeWindow(cityKey, city, startDate, endDate, options) {
+    const adapter = getAdapter(city.type, {
+      thresholds: this.permitsScraper.getPropertyThresholds(city, options),
+      timeout: this.timeout,
+      startDate,
+      endDate
+    });
+    const search = { ...city.search, ...BACKFILL_SEARCH };
+
+    return await browserPool.executeWithBrowser(async (browser) => {
+      const page = await browserPool.createPage(browser);
+      await scraperFixtures.attach(page, `backfill/${cityKey}`);
+
+      try {
+        const permits = await adapter.scrape(page, {
+          key: cityKey,
+          ...city,
+          search,
+          credentials: cityConfig.resolveCredentials(city)
+        });
+
+        // A window with a failed search is incomplete; failing it keeps the cursor on it
+        if (adapter.lastRun.failedSearches.length > 0) {
+          const failed = adapter.lastRun.failedSearches.map(failure => `${failure.search}: ${failure.error}`);
+          throw new Error(`${failed.length} search(es) failed for ${city.name}: ${failed.join('; ')}`);
+        }
+
+        if (adapter.lastRun.listed >= search.maxRecords) {
+          logger.warn(`Backfill window for ${city.name} hit the ${search.maxRecords}-record cap - use a smaller chunk size`, {
+            from: startDate.toISOString().slice(0, 10),
+            to: endDate.toISOString().slice(0, 10)
+          });
+        }
+
+        return permits;
+      } finally {
+        await page.close();
+      }
+    });
+  }
+
+  summarize(checkpoint) {
+    const totalChunks = Math.ceil((checkpoint.range_end - checkpoint.range_start) / (checkpoint.chunk_days * DAY_MS));
+    return {
+      city: checkpoint.city,
+      status: checkpoint.status,
+      from: checkpoint.range_start.toISOString().slice(0, 10),
+      to: checkpoint.range_end.toISOString().slice(0, 10),
+      cursor: checkpoint.cursor.toISOString().slice(0, 10),
+      chunks: `${checkpoint.chunks_done}/${totalChunks}`,
+      permitsFound: checkpoint.permits_found,
+      lastError: checkpoint.last_error
+    };
+  }
+
+  async getCheckpoints() {
+    const checkpoints = await this.prisma.permitBackfill.findMany({ orderBy: { updated_at: 'desc' } });
+    return checkpoints.map(checkpoint => this.summarize(checkpoint));
+  }
+}
+
+module.exports = PermitBackfill;
@@ -0,0 +1,227 @@
+const EventEmitter = require('events');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const browserPool = require('../utils/browser-pool');
+const scraperFixtures = require('../utils/scraper-fixtures');
+const { getAdapter } = require('./permit-adapters');
+const cityConfig = require('./city-config');
+const { statusStage, TERMINAL_STAGES } = require('../utils/permit-fields');
+
+// Stages that mean construction is about to start or the space is about to be occupied
+const MOVE_IN_STAGES = ['issued', 'finaled'];
+
+/**
+ * Tracks permits through applied -> in review -> issued -> finaled.
+ *
+ * Every status a permit is seen with is written to permit_status_changes, whether it came from a
+ * regular scrape or a re-check of an open permit. Transitions are emitted as 'statusChange'
+ * events ({ permit, change, significant }) so the scheduler can react to them.
+ */
+class PermitStatusTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.prisma = new PrismaClient();
+    this.recheckLimit = parseInt(process.env.PERMIT_STATUS_RECHECK_LIMIT) || 50;
+    this.largeProjectValue = parseInt(process.env.LARGE_PROJECT_MIN_VALUE) || 2000000;
+    this.largeProjectSqft = parseInt(process.env.LARGE_PROJECT_MIN_SQFT) || 10000;
+    this.timeout = 60000; // 60 seconds
+  }
+
+  // previous is the stored row before this save (null for a new permit)
+  async recordStatus(previous, permit, source) {
+    if (!permit.status) return null;
+    if (previous && previous.status === permit.status) return null;
+
+    const change = await this.prisma.permitStatusChange.create({
+      data: {
+        permit_id: permit.permit_id,
+        from_status: previous ? previous.status : null,
+        to_status: permit.status,
+        from_stage: previous ? previous.status_stage : null,
+        to_stage: statusStage(permit.status),
+        source
+      }
+    });
+
+    // The first status seen is history, not an event - the permit itself is the news then
+    if (!previous) return null;
+
+    const event = { permit, change, significant: this.isSignificant(permit, change) };
+
+    logger.info(`Permit status changed: ${permit.permit_id}`, {
+      from: change.from_status,
+      to: change.to_status,
+      significant: event.significant
+    });
+
+    this.emit('statusChange', event);
+    return event;
+  }
+
+  isLargeProject(permit) {
+    return (permit.value || 0) >= this.largeProjectValue ||
+           (permit.square_footage || 0) >= this.largeProjectSqft;
+  }
+
+  // A large project reaching issued or finaled is a move-in timing signal
+  isSignificant(permit, change) {
+    return change.from_stage !== change.to_stage &&
+           MOVE_IN_STAGES.includes(change.to_stage) &&
+           this.isLargeProject(permit);
+  }
+
+  // Permits whose source_url is a portal's entry page have no record page to re-read
+  async getOpenPermits(options = {}) {
+    const portalUrls = Object.values(cityConfig.getCities()).map(city => city.baseUrl);
+    const where = {
+      source_url: { not: null, notIn: portalUrls },
+      OR: [
+        { status_stage: null },
+        { status_stage: { notIn: TERMINAL_STAGES } }
+      ]
+    };
+    if (options.cities) {
+      where.city = { in: options.cities.map(cityKey => cityConfig.getCity(cityKey)?.name).filter(Boolean) };
+    }
+
+    // Least recently checked first, so a limited run still works through the whole backlog
+    return await this.prisma.permit.findMany({
+      where,
+      orderBy: [{ status_checked_at: { sort: 'asc', nulls: 'first' } }],
+      take: options.limit || this.recheckLimit
+    });
+  }
+
+  // options.cities limits the run to the given city keys; options.limit caps permits checked.
+  // Returns { checked, unavailable, changes }: unavailable counts permits whose page showed no status.
+  async recheckOpenPermits(options = {}) {
+    const startTime = Date.now();
+    const permits = await this.getOpenPermits(options);
+    const cities = cityConfig.getCities();
+    const events = [];
+    let checked = 0;
+    let unavailable = 0;
+
+    logger.info('Re-checking open permits', { permits: permits.length });
+
+    const byCity = new Map();
+    for (const permit of permits) {
+      const cityKey = Object.keys(cities).find(key => cities[key].name === permit.city);
+      if (!cityKey || !cities[cityKey].enabled) continue;
+      if (!byCity.has(cityKey)) byCity.set(cityKey, []);
+      byCity.get(cityKey).push(permit);
+    }
+
+    try {
+      for (const [cityKey, cityPermits] of byCity) {
+        const result = await this.recheckCity(cityKey, cities[cityKey], cityPermits);
+        checked += result.checked;
+        unavailable += result.unavailable;
+        events.push(...result.events);
+      }
+
+      await this.logRecheck('success', events.length);
+    } catch (error) {
+      logger.error('Permit status re-check failed', { error: error.message });
+      await this.logRecheck('error', events.length, error.message);
+      throw error;
+    }
+
+    logger.performance('Permit status re-check', Date.now() - startTime, {
+      checked,
+      unavailable,
+      changes: events.length,
+      significant: events.filter(event => event.significant).length
+    });
+
+    return { checked, unavailable, changes: events };
+  }
+
+  async recheckCity(cityKey, city, permits) {
+    const adapter = getAdapter(city.type, { timeout: this.timeout });
+    const cityOptions = { key: cityKey, ...city, credentials: cityConfig.resolveCredentials(city) };
+    let result = null;
+
+    await browserPool.executeWithBrowser(async (browser) => {
+      const page = await browserPool.createPage(browser);
+      await scraperFixtures.attach(page, `status/${cityKey}`);
+
+      try {
+        result = await this.recheckPermits(adapter, page, cityOptions, permits);
+      } finally {
+        await page.close();
+      }
+    });
+
+    logger.info(`Re-checked ${result.checked} ${city.name} permits`, {
+      unavailable: result.unavailable,
+      changes: result.events.length
+    });
+    return result;
+  }
+
+  // Reads each permit's current status through the adapter and records any change. A permit whose
+  // page shows no status is counted as unavailable; it is still stamped as checked so a limited
+  // run moves on to the rest of the backlog.
+  async recheckPermits(adapter, page, cityOptions, permits) {
+    const events = [];
+    let checked = 0;
+    let unavailable = 0;
+
+    for (const permit of permits) {
+      let current = null;
+      try {
+        current = await adapter.fetchStatus(page, permit, cityOptions);
+      } catch (error) {
+        logger.warn(`Status re-check failed for ${permit.permit_id}`, { error: error.message });
+        continue;
+      }
+
+      const data = { status_checked_at: new Date() };
+      if (!current) {
+        unavailable++;
+        await this.prisma.permit.update({ where: { id: permit.id }, data });
+        continue;
+      }
+      checked++;
+
+      data.status = current.status;
+      data.status_stage = statusStage(current.status);
+      if (current.issued_date) data.issued_date = current.issued_date;
+      if (current.finaled_date) data.finaled_date = current.finaled_date;
+
+      const updated = await this.prisma.permit.update({ where: { id: permit.id }, data });
+      const event = await this.recordStatus(permit, updated, 'recheck');
+      if (event) events.push(event);
+    }
+
+    return { checked, unavailable, events };
+  }
+
+  async getHistory(permitId) {
+    return await this.prisma.permitStatusChange.findMany({
+      where: { permit_id: permitId },
+      orderBy: { detected_at: 'asc' }
+    });
+  }
+
+  async logRecheck(status, itemsFound = 0, errorMsg = null) {
+    try {
+      await this.prisma.scrapingLog.create({
+        data: {
+          source: 'permit-status',
+          status,
+          items_found: itemsFound,
+          error_msg: errorMsg
+        }
+      });
+    } catch (error) {
+      logger.error('Error logging permit status re-check:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const permitStatusTracker = new PermitStatusTracker();
+
+module.exports = permitStatusTracker;
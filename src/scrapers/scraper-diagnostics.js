@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const scraperFixtures = require('../utils/scraper-fixtures');
+
+const DEFAULT_DIAGNOSTICS_DIR = path.join(__dirname, '../../diagnostics/scrapers');
+
+/**
+ * Self-diagnostics for permit scrapers. A portal that changes its markup usually doesn't throw -
+ * the row scan just finds nothing - so every per-city run is judged on two signals:
+ *
+ * - landmarks: selectors the adapter expects on its listing page
+ * - yield: records listed versus the trailing average of the source's successful runs
+ *
+ * Runs failing either check are logged as 'degraded' in scraping_logs (source 'permits:<city>')
+ * with an HTML snapshot of the listing page (plus a screenshot when the adapter took one) saved
+ * for inspection.
+ */
+class ScraperDiagnostics {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.snapshotDir = process.env.SCRAPER_DIAGNOSTICS_DIR
+      ? path.resolve(process.env.SCRAPER_DIAGNOSTICS_DIR)
+      : DEFAULT_DIAGNOSTICS_DIR;
+    this.baselineRuns = parseInt(process.env.SCRAPER_BASELINE_RUNS) || 10;
+    this.keepSnapshots = parseInt(process.env.SCRAPER_SNAPSHOTS_KEPT) || 20;
+  }
+
+  // run is the adapter's lastRun (see PermitPortalAdapter.inspectListing)
+  async assess(source, run, itemsFound) {
+    const reasons = [];
+    const { expected = 0, minRuns = 5, dropRatio = 0.25 } = run.yieldBaseline || {};
+
+    if (run.missingLandmarks.length > 0) {
+      reasons.push(`Missing page landmarks: ${run.missingLandmarks.join(' | ')}`);
+    }
+
+    const failedSearches = run.failedSearches || [];
+    if (failedSearches.length > 0) {
+      reasons.push(`Failed searches: ${failedSearches.map(failure => `${failure.search} (${failure.error})`).join(' | ')}`);
+    }
+
+    const baseline = await this.getBaseline(source, { expected, minRuns });
+    if (baseline > 0 && run.listed < baseline * dropRatio) {
+      reasons.push(`Yield dropped to ${run.listed} records (baseline ${baseline.toFixed(1)})`);
+    }
+
+    const status = reasons.length > 0 ? 'degraded' : 'success';
+    const snapshot = status === 'degraded' ? this.saveSnapshot(source, run.snapshot) : null;
+
+    if (status === 'degraded') {
+      logger.warn(`Scraper run degraded: ${source}`, { reasons, snapshot });
+    }
+
+    await this.log(source, status, itemsFound, reasons.join('; ') || null, {
+      listed: run.listed,
+      baseline: Math.round(baseline * 10) / 10,
+      missingLandmarks: run.missingLandmarks,
+      failedSearches,
+      snapshot
+    });
+
+    return { status, reasons, snapshot };
+  }
+
+  // Trailing average of records listed by recent successful runs. Degraded runs are left out,
+  // so a broken portal can't drag its own baseline down until it looks normal again.
+  async getBaseline(source, { expected, minRuns }) {
+    if (scraperFixtures.isReplaying()) return expected;
+
+    const recent = await this.prisma.scrapingLog.findMany({
+      where: { source, status: 'success' },
+      orderBy: { created_at: 'desc' },
+      take: this.baselineRuns,
+      select: { diagnostics: true }
+    });
+
+    const listed = recent
+      .map(log => log.diagnostics && log.diagnostics.listed)
+      .filter(count => typeof count === 'number');
+
+    if (listed.length < minRuns) return expected;
+    return listed.reduce((sum, count) => sum + count, 0) / listed.length;
+  }
+
+  saveSnapshot(source, snapshot) {
+    if (!snapshot) return null;
+
+    try {
+      const dir = path.join(this.snapshotDir, source.replace(/[^a-z0-9-]+/gi, '_'));
+      fs.mkdirSync(dir, { recursive: true });
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const files = {
+        url: snapshot.url,
+        html: path.join(dir, `${stamp}.html`),
+        screenshot: snapshot.screenshot ? path.join(dir, `${stamp}.png`) : null
+      };
+      fs.writeFileSync(files.html, snapshot.html);
+      if (files.screenshot) fs.writeFileSync(files.screenshot, snapshot.screenshot);
+
+      this.pruneSnapshots(dir);
+      return files;
+    } catch (error) {
+      logger.error(`Failed to save diagnostics snapshot for ${source}`, { error: error.message });
+      return null;
+    }
+  }
+
+  // Keep the newest snapshots per source; timestamps in the names sort chronologically
+  pruneSnapshots(dir) {
+    const stamps = [...new Set(fs.readdirSync(dir).map(file => file.replace(/\.(html|png)$/, '')))].sort();
+    for (const stamp of stamps.slice(0, -this.keepSnapshots)) {
+      for (const extension of ['html', 'png']) {
+        fs.rmSync(path.join(dir, `${stamp}.${extension}`), { force: true });
+      }
+    }
+  }
+
+  async recordError(source, error) {
+    await this.log(source, 'error', 0, error.message);
+  }
+
+  // Replayed fixture runs never touch the database
+  async log(source, status, itemsFound, errorMsg, diagnostics = undefined) {
+    if (scraperFixtures.isReplaying()) return;
+
+    try {
+      await this.prisma.scrapingLog.create({
+        data: {
+          source,
+          status,
+          items_found: itemsFound,
+          error_msg: errorMsg,
+          diagnostics
+        }
+      });
+    } catch (error) {
+      logger.error('Error logging scraper diagnostics:', error);
+    }
+  }
+
+  // Latest run of every per-city source; 'warning' when any of them is degraded or failing
+  async getStatus() {
+    const latest = await this.prisma.scrapingLog.findMany({
+      where: {
+        source: { startsWith: 'permits:' },
+        created_at: { gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
+      },
+      orderBy: { created_at: 'desc' },
+      distinct: ['source']
+    });
+
+    const sources = latest.map(log => ({
+      source: log.source,
+      status: log.status,
+      at: log.created_at,
+      itemsFound: log.items_found,
+      reason: log.error_msg,
+      listed: log.diagnostics ? log.diagnostics.listed : null,
+      baseline: log.diagnostics ? log.diagnostics.baseline : null,
+      snapshot: log.diagnostics ? log.diagnostics.snapshot : null
+    }));
+    const unhealthy = sources.filter(source => source.status !== 'success');
+
+    return {
+      status: unhealthy.length > 0 ? 'warning' : 'healthy',
+      degraded: unhealthy.filter(source => source.status === 'degraded').map(source => source.source),
+      failing: unhealthy.filter(source => source.status === 'error').map(source => source.source),
+      sources,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Create singleton instance
+const scraperDiagnostics = new ScraperDiagnostics();
+
+module.exports = scraperDiagnostics;
@@ -0,0 +1,122 @@
+// USPS-style address standardization (Publication 28 abbreviations). Portal addresses arrive as
+// "12345 Von Karman Avenue, Suite 200, Irvine CA 92614" or "12345 VON KARMAN AVE #200"; both
+// become line1 "12345 VON KARMAN AVE", suite "STE 200", city "IRVINE", zip "92614".
+
+const STREET_SUFFIXES = {
+  ALLEY: 'ALY', AVENUE: 'AVE', AV: 'AVE', BOULEVARD: 'BLVD', BLVRD: 'BLVD', CENTER: 'CTR', CENTRE: 'CTR',
+  CIRCLE: 'CIR', COURT: 'CT', CRESCENT: 'CRES', DRIVE: 'DR', DRV: 'DR', EXPRESSWAY: 'EXPY', FREEWAY: 'FWY',
+  HIGHWAY: 'HWY', LANE: 'LN', LOOP: 'LOOP', PARKWAY: 'PKWY', PKY: 'PKWY', PLACE: 'PL', PLAZA: 'PLZ',
+  POINT: 'PT', ROAD: 'RD', SQUARE: 'SQ', STREET: 'ST', STR: 'ST', TERRACE: 'TER', TRAIL: 'TRL', WAY: 'WAY'
+};
+
+const DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW'
+};
+
+const UNIT_DESIGNATORS = {
+  SUITE: 'STE', STE: 'STE', UNIT: 'UNIT', BUILDING: 'BLDG', BLDG: 'BLDG', FLOOR: 'FL', FL: 'FL',
+  ROOM: 'RM', RM: 'RM', APARTMENT: 'APT', APT: 'APT', SPACE: 'SPC', SPC: 'SPC', '#': 'STE'
+};
+
+// Values scrapers write when no address was found
+const PLACEHOLDER_PATTERN = /^(?:address not specified|unknown|n\/a|tbd|[a-z .]+,\s*ca)$/i;
+
+// A unit word only designates a unit when a number or a single letter follows it: "UNIT 5",
+// "STE 200A", "BLDG B", but not the street in "2 UNIT RD" or "18 FLOOR ST"
+const UNIT_PATTERN = new RegExp(
+  `(?:^|\\s|,)(${Object.keys(UNIT_DESIGNATORS).filter(key => key !== '#').join('|')}|#)\\s*#?\\s*(\\d[A-Z0-9-]*|[A-Z](?:-?\\d+)?)(?=\\s|,|$)`,
+  'i'
+);
+
+function isPlaceholderAddress(raw) {
+  return !raw || PLACEHOLDER_PATTERN.test(raw.toString().trim());
+}
+
+function standardizeStreet(street) {
+  const words = street.split(/\s+/).filter(Boolean);
+
+  // A directional next to nothing but a suffix is the street's name ("WEST STREET" -> "WEST ST")
+  const namesStreet = words.length === 2 && words.some(word => STREET_SUFFIXES[word]);
+
+  return words.map((word, index) => {
+    const isLast = index === words.length - 1;
+    // Only a trailing word is a suffix ("PLACE ST" stays "PLACE ST"); directionals lead or trail
+    if (isLast && index > 0 && STREET_SUFFIXES[word]) return STREET_SUFFIXES[word];
+    if ((index === 0 || isLast) && words.length > 1 && !namesStreet && DIRECTIONALS[word]) return DIRECTIONALS[word];
+    return word;
+  }).join(' ');
+}
+
+/**
+ * Standardize a free-form address. defaultCity fills in the city when the portal only gave
+ * the street. Returns null for placeholders and strings without a house number.
+ */
+function normalizeAddress(raw, defaultCity = null) {
+  if (isPlaceholderAddress(raw)) return null;
+
+  let text = raw.toString()
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.]/g, '')
+    .trim();
+
+  // ZIP and state come off the end first: "..., IRVINE, CA 92614-1234"
+  let zip = null;
+  const zipMatch = text.match(/\b(\d{5})(?:-\d{4})?\s*$/);
+  if (zipMatch) {
+    zip = zipMatch[1];
+    text = text.slice(0, zipMatch.index).trim();
+  }
+  text = text.replace(/,?\s*\b(?:CA|CALIFORNIA)\s*,?$/, '').trim();
+
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  let streetPart = parts.shift() || '';
+  let city = null;
+
+  // Remaining comma parts are a suite and/or the city
+  for (const part of parts) {
+    if (UNIT_PATTERN.test(` ${part}`) && !city) {
+      streetPart = `${streetPart} ${part}`;
+    } else {
+      city = part;
+    }
+  }
+
+  let suite = null;
+  const unitMatch = streetPart.match(UNIT_PATTERN);
+  if (unitMatch) {
+    suite = `${UNIT_DESIGNATORS[unitMatch[1].toUpperCase()]} ${unitMatch[2]}`;
+    streetPart = streetPart.slice(0, unitMatch.index).trim();
+  }
+
+  const streetMatch = streetPart.replace(/,/g, ' ').match(/^(\d+[A-Z]?(?:-\d+)?)\s+(.+)$/);
+  if (!streetMatch) return null;
+
+  const line1 = `${streetMatch[1]} ${standardizeStreet(streetMatch[2].replace(/[^A-Z0-9 ]/g, ' '))}`;
+  city = (city || defaultCity || '').toString().toUpperCase().replace(/[^A-Z ]/g, '').trim() || null;
+
+  return {
+    line1,
+    suite,
+    city,
+    state: 'CA',
+    zip,
+    houseNumber: parseInt(streetMatch[1]),
+    street: line1.slice(streetMatch[1].length + 1),
+    formatted: [line1, suite, city, zip ? `CA ${zip}` : 'CA'].filter(Boolean).join(', ')
+  };
+}
+
+// One key per building: suites share it, so every tenant improvement in a building lines up.
+// It is always address-based, whether or not the address matched a parcel.
+function buildingKey(normalized) {
+  if (!normalized || !normalized.city) return null;
+  return `${normalized.line1}|${normalized.city}`;
+}
+
+module.exports = {
+  normalizeAddress,
+  buildingKey,
+  isPlaceholderAddress
+};
@@ -1,21 +1,315 @@
+const fs = require('fs');
 const puppeteer = require('puppeteer');
 const logger = require('./logger');
+const robotsCache = require('./robots-cache');
+const scraperFixtures = require('./scraper-fixtures');
+
+// Responses that mean "slow down"; the host is backed off before anything else is sent to it
+const BACKOFF_STATUSES = [429, 503];
+const GOVERNED_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+const REQUEST_TIMEOUT = 30000; // 30 seconds for a governed HTTP request
+
+// Resource types createPage blocks by default - scrapers only read markup
+const BLOCKED_RESOURCE_TYPES = ['image', 'stylesheet', 'font', 'media'];
+
+// Resident memory of a process and all its descendants, in MB. Chromium runs every renderer as a
+// child of the browser process, so this is what the browser really costs. Null off Linux.
+function processTreeMemoryMB(pid) {
+  try {
+    const statusText = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const rssKB = parseInt((statusText.match(/VmRSS:\s+(\d+)/) || [])[1]) || 0;
+    const children = fs.readFileSync(`/proc/${pid}/task/${pid}/children`, 'utf8').split(/\s+/).filter(Boolean);
+    return children.reduce((total, child) => total + (processTreeMemoryMB(child) || 0), rssKB / 1024);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseHostPolicies(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn('Ignoring invalid HOST_POLICIES', { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Per-host request governor shared by every scraper. Before a page navigates, the governor
+ * checks robots.txt, takes one of the host's page slots (maxConcurrent open pages per host),
+ * and waits out the host's crawl delay - the larger of the configured delay and robots.txt's
+ * Crawl-delay. A 429 or 503 backs the whole host off exponentially (or for Retry-After, if
+ * longer) and the navigation is retried up to maxRetries times.
+ *
+ * A page keeps its slot until it closes or navigates to another host. Per-host overrides come
+ * from HOST_POLICIES, e.g. {"www.indeed.com": {"crawlDelayMs": 5000, "maxConcurrent": 1}}.
+ * Replayed fixtures never touch the network, so they skip the governor entirely.
+ */
+class HostGovernor {
+  constructor() {
+    this.defaults = {
+      crawlDelayMs: parseInt(process.env.CRAWL_DELAY_MS) || 3000,
+      maxConcurrent: parseInt(process.env.MAX_PAGES_PER_HOST) || 2,
+      backoffBaseMs: parseInt(process.env.BACKOFF_BASE_MS) || 5000,
+      backoffMaxMs: parseInt(process.env.BACKOFF_MAX_MS) || 300000, // 5 minutes
+      maxRetries: parseInt(process.env.BACKOFF_MAX_RETRIES) || 3
+    };
+    this.policies = parseHostPolicies(process.env.HOST_POLICIES);
+    this.slotTimeout = 300000; // 5 minutes waiting for a page slot
+    this.hosts = new Map();
+    this.pageHosts = new WeakMap(); // page -> host whose slot it holds
+    this.watchedPages = new WeakSet();
+  }
+
+  policyFor(host) {
+    return { ...this.defaults, ...this.policies[host] };
+  }
+
+  stateFor(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        active: 0,
+        waiting: [],
+        nextRequestAt: 0,
+        blockedUntil: 0,
+        failures: 0,
+        robotsDelayMs: null,
+        requests: 0,
+        throttledResponses: 0,
+        robotsBlocked: 0
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  async navigate(page, url, options = {}) {
+    if (scraperFixtures.isReplaying()) {
+      return await page.goto(url, options);
+    }
+
+    const host = new URL(url).host;
+    const state = this.stateFor(host);
+    const policy = this.policyFor(host);
+
+    if (!(await robotsCache.isAllowed(url))) {
+      state.robotsBlocked++;
+      throw new Error(`robots.txt disallows ${url}`);
+    }
+    state.robotsDelayMs = await robotsCache.getCrawlDelay(url);
+
+    this.watch(page);
+    await this.acquire(page, host);
+
+    let status = null;
+    for (let attempt = 0; attempt <= policy.maxRetries; attempt++) {
+      await this.throttle(host);
+
+      const response = await page.goto(url, options);
+      status = response ? response.status() : null;
+      if (!BACKOFF_STATUSES.includes(status)) return response;
+
+      // watch() has already pushed blockedUntil out, so the next throttle() waits it off
+      logger.warn(`${host} answered ${status}, backing off`, { url, attempt: attempt + 1 });
+    }
+
+    throw new Error(`${host} still answering ${status} after ${policy.maxRetries} retries`);
+  }
+
+  // Browserless counterpart of navigate() for JSON feeds: same robots.txt check, crawl delay
+  // and 429/503 backoff, without a page slot since nothing stays open on the host
+  async request(url, options = {}) {
+    const host = new URL(url).host;
+    const state = this.stateFor(host);
+    const policy = this.policyFor(host);
 
+    if (!(await robotsCache.isAllowed(url))) {
+      state.robotsBlocked++;
+      throw new Error(`robots.txt disallows ${url}`);
+    }
+    state.robotsDelayMs = await robotsCache.getCrawlDelay(url);
+
+    let status = null;
+    for (let attempt = 0; attempt <= policy.maxRetries; attempt++) {
+      await this.throttle(host);
+
+      const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT), ...options });
+      status = response.status;
+      this.recordResponse(host, status, response.headers.get('retry-after'));
+      if (!BACKOFF_STATUSES.includes(status)) return response;
+
+      logger.warn(`${host} answered ${status}, backing off`, { url, attempt: attempt + 1 });
+    }
+
+    throw new Error(`${host} still answering ${status} after ${policy.maxRetries} retries`);
+  }
+
+  // Wait for the host's next request slot. Also used before in-page actions that hit the
+  // server (form posts, pager clicks) so they keep to the same crawl delay as navigations.
+  async throttle(host) {
+    if (scraperFixtures.isReplaying()) return;
+
+    const state = this.stateFor(host);
+    const policy = this.policyFor(host);
+    const delay = Math.max(policy.crawlDelayMs, state.robotsDelayMs || 0);
+
+    // Reserve the slot before sleeping so concurrent callers queue up behind each other
+    const startAt = Math.max(Date.now(), state.nextRequestAt, state.blockedUntil);
+    state.nextRequestAt = startAt + delay;
+    await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+
+    // A 429/503 that arrived while this caller slept moves it to the end of the backoff
+    while (state.blockedUntil > Date.now()) {
+      await new Promise(resolve => setTimeout(resolve, state.blockedUntil - Date.now()));
+    }
+    state.requests++;
+  }
+
+  async acquire(page, host) {
+    const held = this.pageHosts.get(page);
+    if (held === host) return;
+    if (held) this.release(page);
+
+    const state = this.stateFor(host);
+    const { maxConcurrent } = this.policyFor(host);
+
+    if (state.active >= maxConcurrent) {
+      await new Promise((resolve, reject) => {
+        const waiter = {
+          resolve,
+          timeout: setTimeout(() => {
+            state.waiting.splice(state.waiting.indexOf(waiter), 1);
+            reject(new Error(`Timed out waiting for a page slot on ${host}`));
+          }, this.slotTimeout)
+        };
+        state.waiting.push(waiter);
+      });
+    } else {
+      state.active++;
+    }
+
+    this.pageHosts.set(page, host);
+  }
+
+  // Slots are handed straight to the next waiter, so `active` only drops when nobody is queued
+  release(page) {
+    const host = this.pageHosts.get(page);
+    if (!host) return;
+    this.pageHosts.delete(page);
+
+    const state = this.stateFor(host);
+    const next = state.waiting.shift();
+    if (next) {
+      clearTimeout(next.timeout);
+      next.resolve();
+    } else {
+      state.active--;
+    }
+  }
+
+  // Every document/XHR response feeds the backoff, including navigations triggered by clicks
+  watch(page) {
+    if (this.watchedPages.has(page)) return;
+    this.watchedPages.add(page);
+
+    page.once('close', () => this.release(page));
+    page.on('response', (response) => {
+      try {
+        if (!GOVERNED_RESOURCE_TYPES.includes(response.request().resourceType())) return;
+        this.recordResponse(new URL(response.url()).host, response.status(), response.headers()['retry-after']);
+      } catch (error) {
+        logger.debug('Could not record response for host governor', { error: error.message });
+      }
+    });
+  }
+
+  recordResponse(host, status, retryAfter) {
+    const state = this.stateFor(host);
+
+    if (!BACKOFF_STATUSES.includes(status)) {
+      if (status < 400) state.failures = 0;
+      return;
+    }
+
+    const { backoffBaseMs, backoffMaxMs } = this.policyFor(host);
+    state.failures++;
+    state.throttledResponses++;
+
+    const backoff = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (state.failures - 1));
+    const retryAfterMs = parseInt(retryAfter) * 1000 || 0;
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + Math.max(backoff, retryAfterMs));
+  }
+
+  getStats() {
+    const now = Date.now();
+    const hosts = {};
+
+    for (const [host, state] of this.hosts) {
+      const policy = this.policyFor(host);
+      hosts[host] = {
+        activePages: state.active,
+        waitingPages: state.waiting.length,
+        maxConcurrent: policy.maxConcurrent,
+        crawlDelayMs: Math.max(policy.crawlDelayMs, state.robotsDelayMs || 0),
+        backedOffUntil: state.blockedUntil > now ? new Date(state.blockedUntil).toISOString() : null,
+        consecutiveThrottles: state.failures,
+        requests: state.requests,
+        throttledResponses: state.throttledResponses,
+        robotsBlocked: state.robotsBlocked
+      };
+    }
+
+    return hosts;
+  }
+}
+
+/**
+ * Shared Chromium pool. A scraper leases a whole browser (getBrowser / executeWithBrowser) and
+ * opens pages on it through createPage, which holds one of the browser's maxConcurrency page
+ * slots until the page closes. Leases are handed out strictly first come, first served, and a
+ * caller gives up after its own timeout (browserTimeout unless it passes one).
+ *
+ * A browser that crashes while leased is relaunched in place: the lease keeps going and the
+ * next createPage on the old browser object opens its page on the replacement.
+ */
 class BrowserPool {
   constructor(options = {}) {
     // Railway-optimized configuration - reduce resource usage
     const isRailwayDeployment = process.env.RAILWAY_ENVIRONMENT || process.env.NODE_ENV === 'production';
-    
+
     this.maxBrowsers = isRailwayDeployment ? 1 : (options.maxBrowsers || 2);
-    this.maxConcurrency = isRailwayDeployment ? 1 : (options.maxConcurrency || 2);
-    this.browserTimeout = options.browserTimeout || 30000;
+    this.maxConcurrency = isRailwayDeployment ? 1 : (options.maxConcurrency || 2); // open pages per browser
+    // How long a caller waits for a browser. Scrapers lease one per city or per job search, so a
+    // caller queued behind another only waits out that one unit of work.
+    this.browserTimeout = options.browserTimeout || parseInt(process.env.BROWSER_TIMEOUT) || 300000; // 5 minutes
+    this.pageTimeout = options.pageTimeout || 300000; // 5 minutes waiting for a page slot
     this.idleTimeout = isRailwayDeployment ? 180000 : (options.idleTimeout || 300000); // 3 minutes in Railway
-    
+
+    // Long-lived Chromium instances leak memory, so a browser is replaced once it has opened
+    // recyclePages pages or its process tree grows past recycleMemoryMB
+    this.recyclePages = parseInt(process.env.BROWSER_RECYCLE_PAGES) || options.recyclePages || (isRailwayDeployment ? 25 : 50);
+    this.recycleMemoryMB = parseInt(process.env.BROWSER_RECYCLE_MEMORY_MB) || options.recycleMemoryMB || (isRailwayDeployment ? 400 : 1024);
+
     this.browsers = [];
     this.activeBrowsers = 0;
+    this.launching = 0;
     this.queue = [];
+    this.dispatching = false;
     this.isShuttingDown = false;
-    
+    this.governor = new HostGovernor();
+
+    this.metrics = {
+      since: Date.now(),
+      leases: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      timeouts: 0,
+      busyMs: 0,
+      crashes: 0,
+      relaunches: 0,
+      recycled: 0
+    };
+
     // Railway-optimized browser configuration
     this.browserOptions = {
       headless: true,
@@ -47,46 +341,59 @@ class BrowserPool {
   }
 
   async initialize() {
-    logger.info('Initializing browser pool', { 
-      maxBrowsers: this.maxBrowsers, 
-      maxConcurrency: this.maxConcurrency 
+    logger.info('Initializing browser pool', {
+      maxBrowsers: this.maxBrowsers,
+      maxConcurrency: this.maxConcurrency
     });
-    
+
     // Pre-warm browser pool
     for (let i = 0; i < Math.min(2, this.maxBrowsers); i++) {
       await this.createBrowser();
     }
   }
 
-  async createBrowser() {
-    try {
-      const startTime = Date.now();
-      const browser = await puppeteer.launch(this.browserOptions);
-      const duration = Date.now() - startTime;
-      
-      // Set up browser event listeners
-      browser.on('disconnected', () => {
-        logger.warn('Browser disconnected', { browserId: browser.process()?.pid });
-        this.removeBrowser(browser);
-      });
+  async launchBrowser() {
+    const startTime = Date.now();
+    const browser = await puppeteer.launch(this.browserOptions);
+    const duration = Date.now() - startTime;
 
-      browser.on('targetcreated', (target) => {
-        logger.debug('Browser target created', { browserId: browser.process()?.pid });
-      });
+    // Set up browser event listeners
+    browser.on('disconnected', () => {
+      this.handleDisconnect(browser);
+    });
 
-      browser.on('targetdestroyed', (target) => {
-        logger.debug('Browser target destroyed', { browserId: browser.process()?.pid });
-      });
+    browser.on('targetcreated', (target) => {
+      logger.debug('Browser target created', { browserId: browser.process()?.pid });
+    });
+
+    browser.on('targetdestroyed', (target) => {
+      logger.debug('Browser target destroyed', { browserId: browser.process()?.pid });
+    });
+
+    logger.performance('Browser created', duration, {
+      browserId: browser.process()?.pid,
+      totalBrowsers: this.browsers.length
+    });
+
+    return browser;
+  }
+
+  async createBrowser() {
+    try {
+      const browser = await this.launchBrowser();
 
       this.browsers.push({
         browser,
         lastUsed: Date.now(),
-        isActive: false
-      });
-
-      logger.performance('Browser created', duration, { 
-        browserId: browser.process()?.pid,
-        totalBrowsers: this.browsers.length 
+        isActive: false,
+        leasedAt: null,
+        pagesOpened: 0,
+        pages: new Set(),
+        pageSlots: 0,
+        pageQueue: [],
+        lostBrowsers: new Set(), // crashed predecessors still held by the current lease
+        relaunching: null,
+        closing: false
       });
 
       return browser;
@@ -96,88 +403,277 @@ class BrowserPool {
     }
   }
 
-  async getBrowser() {
+  // The pool entry for a browser, including one that crashed and was relaunched mid-lease
+  getEntry(browser) {
+    return this.browsers.find(b => b.browser === browser || b.lostBrowsers.has(browser));
+  }
+
+  // options.timeout overrides browserTimeout for this caller
+  async getBrowser(options = {}) {
     if (this.isShuttingDown) {
       throw new Error('Browser pool is shutting down');
     }
 
-    // Check if we have an available browser
-    const availableBrowser = this.browsers.find(b => !b.isActive);
-    
-    if (availableBrowser) {
-      availableBrowser.isActive = true;
-      availableBrowser.lastUsed = Date.now();
-      this.activeBrowsers++;
-      
-      logger.debug('Browser acquired from pool', { 
-        browserId: availableBrowser.browser.process()?.pid,
-        activeBrowsers: this.activeBrowsers 
-      });
-      
-      return availableBrowser.browser;
+    // Nobody is waiting, so this caller may take a free (or new) browser straight away
+    if (this.queue.length === 0) {
+      const entry = await this.tryLease();
+      if (entry) {
+        this.recordWait(0);
+        return entry.browser;
+      }
     }
 
-    // Check if we can create a new browser
-    if (this.browsers.length < this.maxBrowsers) {
-      const browser = await this.createBrowser();
-      const browserObj = this.browsers.find(b => b.browser === browser);
-      if (browserObj) {
-        browserObj.isActive = true;
-        this.activeBrowsers++;
+    // Otherwise wait in line; releases and crashes hand browsers out in arrival order
+    const timeoutMs = options.timeout || this.browserTimeout;
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, enqueuedAt: Date.now() };
+      waiter.timeout = setTimeout(() => {
+        this.queue = this.queue.filter(queued => queued !== waiter);
+        this.metrics.timeouts++;
+        reject(new Error(`Browser pool timeout after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.queue.push(waiter);
+      this.dispatch();
+    });
+  }
+
+  // Lease a free browser, launching one if the pool has room. Null when every browser is busy.
+  async tryLease() {
+    let entry = this.browsers.find(b => !b.isActive && !b.closing);
+
+    if (!entry && this.browsers.length + this.launching < this.maxBrowsers) {
+      this.launching++;
+      try {
+        const browser = await this.createBrowser();
+        entry = this.getEntry(browser);
+      } finally {
+        this.launching--;
       }
-      return browser;
     }
 
-    // Wait for a browser to become available
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Browser pool timeout'));
-      }, this.browserTimeout);
+    if (!entry || entry.isActive) return null;
 
-      this.queue.push({ resolve, reject, timeout });
+    entry.isActive = true;
+    entry.leasedAt = Date.now();
+    entry.lastUsed = Date.now();
+    this.activeBrowsers++;
+
+    logger.debug('Browser acquired from pool', {
+      browserId: entry.browser.process()?.pid,
+      activeBrowsers: this.activeBrowsers
     });
+
+    return entry;
+  }
+
+  // Hand free browsers to queued callers, oldest first
+  async dispatch() {
+    if (this.dispatching) return;
+    this.dispatching = true;
+
+    try {
+      while (this.queue.length > 0 && !this.isShuttingDown) {
+        let entry;
+        try {
+          entry = await this.tryLease();
+        } catch (error) {
+          // A launch failure goes to the caller that was waiting for it
+          const waiter = this.queue.shift();
+          if (waiter) {
+            clearTimeout(waiter.timeout);
+            waiter.reject(error);
+          }
+          continue;
+        }
+        if (!entry) break;
+
+        const waiter = this.queue.shift();
+        if (!waiter) {
+          // The waiter timed out while its browser was launching
+          this.unlease(entry);
+          break;
+        }
+
+        clearTimeout(waiter.timeout);
+        this.recordWait(Date.now() - waiter.enqueuedAt);
+        waiter.resolve(entry.browser);
+      }
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  recordWait(waitMs) {
+    this.metrics.leases++;
+    this.metrics.totalWaitMs += waitMs;
+    this.metrics.maxWaitMs = Math.max(this.metrics.maxWaitMs, waitMs);
+  }
+
+  unlease(entry) {
+    if (!entry.isActive) return;
+
+    entry.isActive = false;
+    entry.lastUsed = Date.now();
+    this.metrics.busyMs += Date.now() - entry.leasedAt;
+    entry.leasedAt = null;
+    this.activeBrowsers--;
   }
 
   async releaseBrowser(browser) {
+    const browserObj = this.getEntry(browser);
+    if (!browserObj) return;
+
+    if (browserObj.relaunching) {
+      await browserObj.relaunching;
+    }
+
+    // Pages the operation left open would keep holding slots from the next lease
+    for (const page of browserObj.pages) {
+      await page.close().catch(() => null);
+    }
+
+    this.unlease(browserObj);
+    browserObj.lostBrowsers.clear();
+
+    logger.debug('Browser released to pool', {
+      browserId: browserObj.browser.process()?.pid,
+      activeBrowsers: this.activeBrowsers
+    });
+
+    const recycleReason = this.getRecycleReason(browserObj);
+    if (recycleReason) {
+      await this.recycleBrowser(browserObj, recycleReason);
+    }
+
+    this.dispatch();
+  }
+
+  getRecycleReason(browserObj) {
+    if (!browserObj.browser.connected) {
+      return 'browser not connected';
+    }
+
+    if (browserObj.pagesOpened >= this.recyclePages) {
+      return `${browserObj.pagesOpened} pages opened`;
+    }
+
+    const memoryMB = processTreeMemoryMB(browserObj.browser.process()?.pid);
+    if (memoryMB !== null && memoryMB >= this.recycleMemoryMB) {
+      return `${Math.round(memoryMB)}MB in use`;
+    }
+
+    return null;
+  }
+
+  async recycleBrowser(browserObj, reason) {
+    // Marked closing first so the 'disconnected' handler doesn't count it as a crash
+    browserObj.closing = true;
+    this.removeBrowser(browserObj.browser);
+    this.metrics.recycled++;
+
+    logger.info('Recycling browser', { browserId: browserObj.browser.process()?.pid, reason });
+
+    try {
+      await browserObj.browser.close();
+    } catch (error) {
+      logger.error('Error closing recycled browser', { error: error.message });
+    }
+  }
+
+  handleDisconnect(browser) {
     const browserObj = this.browsers.find(b => b.browser === browser);
-    
-    if (browserObj) {
-      browserObj.isActive = false;
-      browserObj.lastUsed = Date.now();
-      this.activeBrowsers--;
-      
-      logger.debug('Browser released to pool', { 
-        browserId: browser.process()?.pid,
-        activeBrowsers: this.activeBrowsers 
+    if (!browserObj || browserObj.closing || this.isShuttingDown) return;
+
+    this.metrics.crashes++;
+    logger.warn('Browser disconnected', {
+      browserId: browser.process()?.pid,
+      leased: browserObj.isActive
+    });
+
+    // Its pages died with it; their slots go back to the entry
+    browserObj.pages.clear();
+    browserObj.pageSlots = 0;
+
+    if (browserObj.isActive) {
+      browserObj.relaunching = this.relaunchBrowser(browserObj);
+    } else {
+      this.removeBrowser(browser);
+      this.dispatch();
+    }
+  }
+
+  // Replace a crashed browser under a live lease so the job using it can carry on
+  async relaunchBrowser(browserObj) {
+    browserObj.lostBrowsers.add(browserObj.browser);
+
+    try {
+      browserObj.browser = await this.launchBrowser();
+      browserObj.pagesOpened = 0;
+      this.metrics.relaunches++;
+      logger.info('Relaunched crashed browser', { browserId: browserObj.browser.process()?.pid });
+      this.dispatchPages(browserObj);
+    } catch (error) {
+      // The lease ends with the job's next page failing; releaseBrowser then drops the entry
+      logger.error('Failed to relaunch crashed browser', { error: error.message });
+      browserObj.pageQueue.splice(0).forEach(waiter => {
+        clearTimeout(waiter.timeout);
+        waiter.reject(error);
       });
+    } finally {
+      browserObj.relaunching = null;
+    }
+  }
 
-      // Process queue if there are waiting requests
-      if (this.queue.length > 0) {
-        const { resolve, reject, timeout } = this.queue.shift();
-        clearTimeout(timeout);
-        resolve(browser);
-      }
+  async acquirePageSlot(browserObj) {
+    if (browserObj.pageSlots < this.maxConcurrency && browserObj.pageQueue.length === 0) {
+      browserObj.pageSlots++;
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timeout = setTimeout(() => {
+        browserObj.pageQueue = browserObj.pageQueue.filter(queued => queued !== waiter);
+        reject(new Error(`Timed out waiting for a page slot after ${this.pageTimeout}ms`));
+      }, this.pageTimeout);
+      browserObj.pageQueue.push(waiter);
+    });
+  }
+
+  releasePageSlot(browserObj) {
+    browserObj.pageSlots = Math.max(0, browserObj.pageSlots - 1);
+    this.dispatchPages(browserObj);
+  }
+
+  dispatchPages(browserObj) {
+    while (browserObj.pageQueue.length > 0 && browserObj.pageSlots < this.maxConcurrency) {
+      const waiter = browserObj.pageQueue.shift();
+      clearTimeout(waiter.timeout);
+      browserObj.pageSlots++;
+      waiter.resolve();
     }
   }
 
-  async executeWithBrowser(operation) {
+  // options.timeout is how long this caller waits for a browser (see getBrowser)
+  async executeWithBrowser(operation, options = {}) {
     let browser = null;
     const startTime = Date.now();
-    
+
     try {
-      browser = await this.getBrowser();
+      browser = await this.getBrowser(options);
       const result = await operation(browser);
       const duration = Date.now() - startTime;
-      
-      logger.performance('Browser operation', duration, { 
-        browserId: browser.process()?.pid 
+
+      logger.performance('Browser operation', duration, {
+        browserId: browser.process()?.pid
       });
-      
+
       return result;
     } catch (error) {
-      logger.error('Browser operation failed', { 
+      logger.error('Browser operation failed', {
         browserId: browser?.process()?.pid,
-        error: error.message 
+        error: error.message
       });
       throw error;
     } finally {
@@ -187,10 +683,54 @@ class BrowserPool {
     }
   }
 
-  async createPage(browser) {
+  // Scrapers navigate through the pool instead of page.goto so the host governor sees every request
+  async navigate(page, url, options = {}) {
+    return await this.governor.navigate(page, url, options);
+  }
+
+  // Direct HTTP requests (ATS job feeds) are governed like page navigations
+  async request(url, options = {}) {
+    return await this.governor.request(url, options);
+  }
+
+  // Wait for the crawl delay of the host the page is on before an in-page request (click, form post)
+  async throttle(page) {
+    await this.governor.throttle(new URL(page.url()).host);
+  }
+
+  // Every scraper page comes from here. The page takes one of its browser's maxConcurrency slots
+  // until it closes. Images, stylesheets, fonts and media are blocked unless options.blockResources
+  // is false; the interception is cooperative, so fixture replay can still answer requests.
+  async createPage(browser, options = {}) {
+    const { blockResources = true } = options;
+    const browserObj = this.getEntry(browser);
+
     try {
-      const page = await browser.newPage();
-      
+      let page;
+      if (browserObj) {
+        if (browserObj.relaunching) await browserObj.relaunching;
+        if (!browserObj.browser.connected) {
+          throw new Error('Browser was lost and could not be relaunched');
+        }
+        await this.acquirePageSlot(browserObj);
+
+        try {
+          page = await browserObj.browser.newPage();
+        } catch (error) {
+          this.releasePageSlot(browserObj);
+          throw error;
+        }
+
+        browserObj.pagesOpened++;
+        browserObj.pages.add(page);
+        page.once('close', () => {
+          if (browserObj.pages.delete(page)) this.releasePageSlot(browserObj);
+        });
+      } else {
+        // A browser from outside the pool gets the same page setup, without slot accounting
+        page = await browser.newPage();
+      }
+
       // Set up page event listeners
       page.on('error', (error) => {
         logger.error('Page error', { error: error.message });
@@ -202,21 +742,24 @@ class BrowserPool {
 
       // Set user agent
       await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      
+
       // Set viewport
       await page.setViewport({ width: 1920, height: 1080 });
-      
+
       // Enable request interception for performance
-      await page.setRequestInterception(true);
-      page.on('request', (request) => {
-        // Block unnecessary resources
-        const resourceType = request.resourceType();
-        if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-          request.abort();
-        } else {
-          request.continue();
-        }
-      });
+      if (blockResources) {
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+          if (request.isInterceptResolutionHandled()) return;
+
+          // Block unnecessary resources
+          if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) {
+            request.abort('blockedbyclient', 0);
+          } else {
+            request.continue(request.continueRequestOverrides(), 0);
+          }
+        });
+      }
 
       return page;
     } catch (error) {
@@ -228,33 +771,39 @@ class BrowserPool {
   removeBrowser(browser) {
     const index = this.browsers.findIndex(b => b.browser === browser);
     if (index !== -1) {
-      this.browsers.splice(index, 1);
-      if (browser.isActive) {
-        this.activeBrowsers--;
+      const [browserObj] = this.browsers.splice(index, 1);
+      if (browserObj.isActive) {
+        this.unlease(browserObj);
       }
+      browserObj.pageQueue.splice(0).forEach(waiter => {
+        clearTimeout(waiter.timeout);
+        waiter.reject(new Error('Browser removed from pool'));
+      });
     }
   }
 
   async cleanup() {
     logger.info('Cleaning up browser pool');
-    
+
     // Close all browsers
     const closePromises = this.browsers.map(async (browserObj) => {
+      browserObj.closing = true;
       try {
         await browserObj.browser.close();
         logger.debug('Browser closed', { browserId: browserObj.browser.process()?.pid });
       } catch (error) {
-        logger.error('Error closing browser', { 
+        logger.error('Error closing browser', {
           browserId: browserObj.browser.process()?.pid,
-          error: error.message 
+          error: error.message
         });
       }
     });
 
     await Promise.all(closePromises);
+    [...this.browsers].forEach(browserObj => this.removeBrowser(browserObj.browser));
     this.browsers = [];
     this.activeBrowsers = 0;
-    
+
     // Clear queue
     this.queue.forEach(({ reject, timeout }) => {
       clearTimeout(timeout);
@@ -273,14 +822,15 @@ class BrowserPool {
 
     // Clean up idle browsers
     const now = Date.now();
-    const idleBrowsers = this.browsers.filter(b => 
+    const idleBrowsers = this.browsers.filter(b =>
       !b.isActive && (now - b.lastUsed) > this.idleTimeout
     );
 
     for (const browserObj of idleBrowsers) {
       try {
-        await browserObj.browser.close();
+        browserObj.closing = true;
         this.removeBrowser(browserObj.browser);
+        await browserObj.browser.close();
         logger.info('Closed idle browser', { browserId: browserObj.browser.process()?.pid });
       } catch (error) {
         logger.error('Error closing idle browser', { error: error.message });
@@ -291,6 +841,28 @@ class BrowserPool {
     return stats;
   }
 
+  // Lease and crash counters since startup, plus how busy the pool is right now
+  getMetrics() {
+    const now = Date.now();
+    const busyMs = this.metrics.busyMs + this.browsers
+      .filter(b => b.isActive)
+      .reduce((total, b) => total + (now - b.leasedAt), 0);
+    const openPages = this.browsers.reduce((total, b) => total + b.pageSlots, 0);
+
+    return {
+      leases: this.metrics.leases,
+      averageWaitMs: this.metrics.leases > 0 ? Math.round(this.metrics.totalWaitMs / this.metrics.leases) : 0,
+      maxWaitMs: this.metrics.maxWaitMs,
+      timeouts: this.metrics.timeouts,
+      crashes: this.metrics.crashes,
+      relaunches: this.metrics.relaunches,
+      recycled: this.metrics.recycled,
+      utilization: this.activeBrowsers / this.maxBrowsers,
+      pageUtilization: openPages / (this.maxBrowsers * this.maxConcurrency),
+      busyRatio: busyMs / ((now - this.metrics.since) * this.maxBrowsers)
+    };
+  }
+
   getStats() {
     return {
       totalBrowsers: this.browsers.length,
@@ -298,6 +870,21 @@ class BrowserPool {
       queueLength: this.queue.length,
       maxBrowsers: this.maxBrowsers,
       maxConcurrency: this.maxConcurrency,
+      recyclePages: this.recyclePages,
+      recycleMemoryMB: this.recycleMemoryMB,
+      metrics: this.getMetrics(),
+      browsers: this.browsers.map(b => {
+        const memoryMB = processTreeMemoryMB(b.browser.process()?.pid);
+        return {
+          browserId: b.browser.process()?.pid,
+          isActive: b.isActive,
+          openPages: b.pageSlots,
+          waitingPages: b.pageQueue.length,
+          pagesOpened: b.pagesOpened,
+          memoryMB: memoryMB !== null ? Math.round(memoryMB) : null
+        };
+      }),
+      hosts: this.governor.getStats(),
       memoryUsage: process.memoryUsage()
     };
   }
@@ -321,4 +908,4 @@ process.on('SIGINT', async () => {
   await browserPool.shutdown();
 });
 
-module.exports = browserPool; 
\ No newline at end of file
+module.exports = browserPool;
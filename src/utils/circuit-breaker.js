@@ -0,0 +1,125 @@
+const logger = require('./logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breakers for the scheduler's data sources (one per city, `permits:<city>`, and one
+ * per job board, e.g. `jobs:indeed`). A source that fails CIRCUIT_FAILURE_THRESHOLD (3) runs
+ * in a row is opened and skipped for CIRCUIT_COOLDOWN_HOURS (12). After the cool-down the
+ * breaker half-opens: the next run is let through as a single probe, which closes the breaker
+ * on success or re-opens it for another cool-down on failure.
+ *
+ * State is kept in memory, so a restart closes every breaker again.
+ */
+class CircuitBreakers {
+  constructor() {
+    this.failureThreshold = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+    this.cooldownMs = (parseFloat(process.env.CIRCUIT_COOLDOWN_HOURS) || 12) * 60 * 60 * 1000;
+    this.breakers = new Map();
+  }
+
+  get(source) {
+    if (!this.breakers.has(source)) {
+      this.breakers.set(source, {
+        source,
+        state: STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        probeInFlight: false,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        trips: 0
+      });
+    }
+    return this.breakers.get(source);
+  }
+
+  // Whether the source may run now. An open breaker past its cool-down half-opens and lets
+  // exactly one caller through as the probe.
+  canRun(source) {
+    const breaker = this.get(source);
+
+    if (breaker.state === STATES.CLOSED) return true;
+
+    if (breaker.state === STATES.OPEN) {
+      if (Date.now() - breaker.openedAt < this.cooldownMs) return false;
+      breaker.state = STATES.HALF_OPEN;
+      breaker.probeInFlight = false;
+      logger.info(`Circuit half-open for ${source}, sending a probe`);
+    }
+
+    if (breaker.probeInFlight) return false;
+    breaker.probeInFlight = true;
+    return true;
+  }
+
+  recordSuccess(source) {
+    const breaker = this.get(source);
+    if (breaker.state !== STATES.CLOSED) {
+      logger.info(`Circuit closed for ${source}`, { after: breaker.failures });
+    }
+
+    breaker.state = STATES.CLOSED;
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.probeInFlight = false;
+    breaker.lastSuccessAt = new Date();
+  }
+
+  recordFailure(source, error) {
+    const breaker = this.get(source);
+    breaker.failures++;
+    breaker.lastError = error ? error.message || String(error) : null;
+    breaker.lastFailureAt = new Date();
+    breaker.probeInFlight = false;
+
+    if (breaker.state === STATES.HALF_OPEN || breaker.failures >= this.failureThreshold) {
+      if (breaker.state !== STATES.OPEN) breaker.trips++;
+      breaker.state = STATES.OPEN;
+      breaker.openedAt = Date.now();
+
+      logger.warn(`Circuit open for ${source}`, {
+        failures: breaker.failures,
+        retryAt: new Date(breaker.openedAt + this.cooldownMs).toISOString(),
+        error: breaker.lastError
+      });
+    }
+  }
+
+  // The probe was granted but the source never ran; the next caller may probe instead
+  releaseProbe(source) {
+    this.get(source).probeInFlight = false;
+  }
+
+  getStats() {
+    const sources = Array.from(this.breakers.values()).map(breaker => ({
+      source: breaker.source,
+      state: breaker.state,
+      failures: breaker.failures,
+      trips: breaker.trips,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      retryAt: breaker.state === STATES.OPEN ? new Date(breaker.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: breaker.lastError,
+      lastFailureAt: breaker.lastFailureAt,
+      lastSuccessAt: breaker.lastSuccessAt
+    }));
+
+    return {
+      failureThreshold: this.failureThreshold,
+      cooldownHours: this.cooldownMs / (60 * 60 * 1000),
+      open: sources.filter(breaker => breaker.state !== STATES.CLOSED).map(breaker => breaker.source),
+      sources
+    };
+  }
+}
+
+// Create singleton instance
+const circuitBreakers = new CircuitBreakers();
+
+module.exports = circuitBreakers;
+module.exports.STATES = STATES;
@@ -0,0 +1,60 @@
+// Minimal RFC 4180 CSV reading for the local datasets and city exports (quoted fields,
+// doubled quotes, and newlines inside quotes).
+
+function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current);
+  return values;
+}
+
+// Parses a whole file into objects keyed by the header row. Permit descriptions often span
+// several lines, so records are split on newlines outside quotes only.
+function parseCsv(text) {
+  const records = [];
+  let start = 0;
+  let quoted = false;
+
+  for (let i = 0; i <= text.length; i++) {
+    const char = text[i];
+    if (char === '"') quoted = !quoted;
+    if (i === text.length || (char === '\n' && !quoted)) {
+      const line = text.slice(start, i).replace(/\r$/, '');
+      if (line.trim()) records.push(parseCsvLine(line));
+      start = i + 1;
+    }
+  }
+
+  const [headers = [], ...rows] = records;
+  // trim() also drops the byte-order mark Excel puts in front of the first header
+  const keys = headers.map(header => header.trim());
+  return rows.map(values => Object.fromEntries(keys.map((key, index) => [key, values[index]])));
+}
+
+module.exports = {
+  parseCsvLine,
+  parseCsv
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+const { normalizeAddress, buildingKey } = require('./address-normalizer');
+const { parseCsvLine } = require('./csv');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, '../../data/oc-address-points.csv');
+
+// Column names used by the county address-point and parcel exports (matched case-insensitively)
+const COLUMN_ALIASES = {
+  address: ['address', 'full_address', 'fulladdress', 'fulladdr', 'site_address', 'situs_address', 'situs'],
+  houseNumber: ['house_number', 'housenum', 'addnum', 'add_number', 'situs_house_no'],
+  street: ['street', 'street_name', 'streetname', 'fullname', 'stname', 'situs_street'],
+  city: ['city', 'post_comm', 'postal_city', 'municipality', 'situs_city'],
+  zip: ['zip', 'zipcode', 'zip_code', 'post_code', 'situs_zip'],
+  apn: ['apn', 'parcel', 'parcel_id', 'parcel_number', 'assessor_parcel_number'],
+  lat: ['lat', 'latitude', 'y', 'point_y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x', 'point_x']
+};
+
+// A point further than this many house numbers away is a different building
+const MAX_NEARBY_DISTANCE = 50;
+
+/**
+ * Offline geocoder backed by a locally downloaded Orange County address-point or parcel
+ * export (CSV or GeoJSON with situs address, APN and coordinates).
+ *
+ * The dataset is indexed on first use by normalized street address and city. A permit that
+ * misses the exact address falls back to the closest house number on the same street, which
+ * gives usable coordinates but no APN. Without a dataset, locate() still standardizes the
+ * address and returns an address-based building key.
+ */
+class Geocoder {
+  constructor() {
+    this.datasetPath = process.env.OC_ADDRESS_POINTS_PATH
+      ? path.resolve(process.env.OC_ADDRESS_POINTS_PATH)
+      : DEFAULT_DATASET_PATH;
+    this.addresses = null; // "LINE1|CITY" -> point
+    this.streets = null;   // "STREET|CITY" -> points sorted by house number
+    this.loading = null;
+    this.available = false;
+    this.stats = { points: 0, skipped: 0, lookups: 0, exact: 0, nearby: 0, misses: 0 };
+  }
+
+  // Loads the dataset once; concurrent callers share the same load
+  async ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.load().catch((error) => {
+        logger.error('Address dataset failed to load, geocoding disabled', {
+          path: this.datasetPath,
+          error: error.message
+        });
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    this.addresses = new Map();
+    this.streets = new Map();
+
+    if (!fs.existsSync(this.datasetPath)) {
+      logger.warn('No address dataset found, addresses will be normalized but not geocoded', {
+        path: this.datasetPath
+      });
+      return;
+    }
+
+    const startTime = Date.now();
+    if (/\.(geo)?json$/i.test(this.datasetPath)) {
+      this.loadGeoJson();
+    } else {
+      await this.loadCsv();
+    }
+
+    for (const points of this.streets.values()) {
+      points.sort((a, b) => a.houseNumber - b.houseNumber);
+    }
+
+    this.available = this.stats.points > 0;
+    logger.performance('Address dataset load', Date.now() - startTime, {
+      path: this.datasetPath,
+      points: this.stats.points,
+      skipped: this.stats.skipped
+    });
+  }
+
+  async loadCsv() {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.datasetPath),
+      crlfDelay: Infinity
+    });
+    let columns = null;
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const values = parseCsvLine(line);
+
+      if (!columns) {
+        columns = this.resolveColumns(values);
+        continue;
+      }
+
+      const row = {};
+      for (const [field, index] of Object.entries(columns)) {
+        row[field] = values[index];
+      }
+      this.addPoint(row);
+    }
+  }
+
+  loadGeoJson() {
+    const collection = JSON.parse(fs.readFileSync(this.datasetPath, 'utf8'));
+    let keys = null;
+    let columns = null;
+
+    for (const feature of collection.features || []) {
+      const properties = feature.properties || {};
+      if (!columns) {
+        keys = Object.keys(properties);
+        columns = this.resolveColumns(keys);
+      }
+
+      const row = {};
+      for (const [field, index] of Object.entries(columns)) {
+        row[field] = properties[keys[index]];
+      }
+
+      // Parcel polygons have no single point; their centroid columns are used instead
+      if (feature.geometry && feature.geometry.type === 'Point') {
+        [row.lng, row.lat] = feature.geometry.coordinates;
+      }
+      this.addPoint(row);
+    }
+  }
+
+  // Maps each field to the position of the header that carries it
+  resolveColumns(headers) {
+    const columns = {};
+    const lowered = headers.map(header => header.toString().trim().toLowerCase());
+
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const index = lowered.findIndex(header => aliases.includes(header));
+      if (index !== -1) columns[field] = index;
+    }
+
+    return columns;
+  }
+
+  addPoint(row) {
+    const street = row.address || [row.houseNumber, row.street].filter(Boolean).join(' ');
+    const normalized = normalizeAddress(street, row.city);
+    const lat = parseFloat(row.lat);
+    const lng = parseFloat(row.lng);
+
+    if (!normalized || !normalized.city || isNaN(lat) || isNaN(lng)) {
+      this.stats.skipped++;
+      return;
+    }
+
+    const point = {
+      houseNumber: normalized.houseNumber,
+      line1: normalized.line1,
+      city: normalized.city,
+      zip: row.zip ? row.zip.toString().slice(0, 5) : null,
+      apn: row.apn ? row.apn.toString().trim() : null,
+      lat,
+      lng
+    };
+
+    const key = buildingKey(normalized);
+    if (!this.addresses.has(key)) this.addresses.set(key, point);
+
+    const streetKey = `${normalized.street}|${normalized.city}`;
+    if (!this.streets.has(streetKey)) this.streets.set(streetKey, []);
+    this.streets.get(streetKey).push(point);
+    this.stats.points++;
+  }
+
+  nearestOnStreet(normalized) {
+    const points = this.streets.get(`${normalized.street}|${normalized.city}`);
+    if (!points) return null;
+
+    let nearest = null;
+    for (const point of points) {
+      const distance = Math.abs(point.houseNumber - normalized.houseNumber);
+      if (distance <= MAX_NEARBY_DISTANCE && (!nearest || distance < nearest.distance)) {
+        nearest = { point, distance };
+      }
+    }
+    return nearest ? nearest.point : null;
+  }
+
+  // Returns { point, precision } for a normalized address, or null
+  lookup(normalized) {
+    if (!this.available || !normalized || !normalized.city) return null;
+    this.stats.lookups++;
+
+    const exact = this.addresses.get(buildingKey(normalized));
+    if (exact) {
+      this.stats.exact++;
+      return { point: exact, precision: 'exact' };
+    }
+
+    const nearby = this.nearestOnStreet(normalized);
+    if (nearby) {
+      this.stats.nearby++;
+      return { point: nearby, precision: 'nearby' };
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Standardize and geocode a raw address into the Permit location columns. Placeholder
+   * addresses give an empty object, so an upsert leaves a previously located row alone.
+   */
+  async locate(rawAddress, defaultCity = null) {
+    await this.ensureLoaded();
+
+    const normalized = normalizeAddress(rawAddress, defaultCity);
+    if (!normalized) return {};
+
+    const match = this.lookup(normalized);
+    // Only an exact hit identifies the parcel; a nearby point is just a position on the street
+    const apn = match && match.precision === 'exact' ? match.point.apn : null;
+
+    return {
+      address_normalized: normalized.formatted,
+      suite: normalized.suite,
+      latitude: match ? match.point.lat : null,
+      longitude: match ? match.point.lng : null,
+      apn,
+      building_key: buildingKey(normalized)
+    };
+  }
+
+  getStats() {
+    return {
+      datasetPath: this.datasetPath,
+      available: this.available,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const geocoder = new Geocoder();
+
+module.exports = geocoder;
@@ -1,6 +1,7 @@
 const logger = require('./logger');
 const cacheManager = require('./cache');
 const browserPool = require('./browser-pool');
+const scraperDiagnostics = require('../scrapers/scraper-diagnostics');
 const { PrismaClient } = require('@prisma/client');
 
 class SystemMonitor {
@@ -9,6 +10,7 @@ class SystemMonitor {
     this.monitoringInterval = 5 * 60 * 1000; // 5 minutes
     this.alerts = [];
     this.isRunning = false;
+    this.lastBrowserMetrics = null;
   }
 
   start() {
@@ -71,6 +73,10 @@ class SystemMonitor {
       const diskHealth = await this.checkDiskHealth();
       healthReport.checks.disk = diskHealth;
 
+      // Scraper drift check (degraded or failing per-city runs)
+      const scraperHealth = await this.checkScraperHealth();
+      healthReport.checks.scrapers = scraperHealth;
+
       // Overall status determination
       const allChecks = Object.values(healthReport.checks);
       const failedChecks = allChecks.filter(check => check.status === 'error');
@@ -147,11 +153,18 @@ class SystemMonitor {
       const memoryUsage = stats.memoryUsage;
       const heapUsedMB = memoryUsage.heapUsed / 1024 / 1024;
       
+      // Crashes and lease timeouts are counted since startup; alert on the ones since the last check
+      const metrics = stats.metrics;
+      const previous = this.lastBrowserMetrics || { crashes: 0, timeouts: 0 };
+      const newCrashes = metrics.crashes - previous.crashes;
+      const newTimeouts = metrics.timeouts - previous.timeouts;
+      this.lastBrowserMetrics = metrics;
+      
       let status = 'healthy';
-      if (heapUsedMB > 500) {
+      if (heapUsedMB > 500 || newCrashes > 0 || newTimeouts > 0) {
         status = 'warning';
       }
-      if (heapUsedMB > 1000) {
+      if (heapUsedMB > 1000 || newCrashes >= 3) {
         status = 'error';
       }
 
@@ -160,6 +173,15 @@ class SystemMonitor {
         totalBrowsers: stats.totalBrowsers,
         activeBrowsers: stats.activeBrowsers,
         queueLength: stats.queueLength,
+        utilization: Math.round(metrics.utilization * 100) + '%',
+        busyRatio: Math.round(metrics.busyRatio * 100) + '%',
+        averageWaitMs: metrics.averageWaitMs,
+        maxWaitMs: metrics.maxWaitMs,
+        timeouts: metrics.timeouts,
+        crashes: metrics.crashes,
+        relaunches: metrics.relaunches,
+        newCrashes,
+        newTimeouts,
         memoryUsageMB: Math.round(heapUsedMB),
         timestamp: new Date().toISOString()
       };
@@ -326,6 +348,18 @@ class SystemMonitor {
     }
   }
 
+  async checkScraperHealth() {
+    try {
+      return await scraperDiagnostics.getStatus();
+    } catch (error) {
+      return {
+        status: 'error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   async storeHealthReport(report) {
     try {
       // Store in cache for quick access
@@ -363,7 +397,7 @@ class SystemMonitor {
           message: `${component} is experiencing issues`,
           details: check
         });
-      } else if (check.status === 'warning') {
+      } else if (check.status === 'warning' && component !== 'scrapers') {
         alerts.push({
           level: 'warning',
           component,
@@ -373,6 +407,19 @@ class SystemMonitor {
       }
     }
     
+    // One alert per drifting portal, naming the reason and where its snapshot was saved
+    const scrapers = healthReport.checks.scrapers;
+    for (const source of (scrapers && scrapers.sources) || []) {
+      if (source.status === 'degraded') {
+        alerts.push({
+          level: 'warning',
+          component: source.source,
+          message: `${source.source} scraper degraded: ${source.reason}`,
+          details: source
+        });
+      }
+    }
+    
     // Process alerts
     for (const alert of alerts) {
       await this.sendAlert(alert);
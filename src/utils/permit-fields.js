@@ -0,0 +1,153 @@
+// Structured permit fields. Portals print these as "Label: value" pairs, either on one line or
+// with the value on the following line, so one label table serves the detail pages of every adapter.
+
+const FIELD_LABELS = {
+  valuation: ['Job Value($)', 'Job Value', 'Declared Valuation', 'Valuation', 'Project Value'],
+  applicant: ['Applicant'],
+  contractor: ['Licensed Professional', 'General Contractor', 'Contractor'],
+  architect: ['Architect', 'Design Professional', 'Engineer of Record'],
+  owner: ['Property Owner', 'Owner Name', 'Owner'],
+  square_footage: ['Square Footage', 'Total Square Feet', 'Total Sq Ft', 'Sq Ft', 'Floor Area', 'Building Area'],
+  use_type: ['Occupancy Classification', 'Occupancy Group', 'Occupancy Type', 'Occupancy', 'Use Type', 'Proposed Use'],
+  work_class: ['Work Class', 'Work Type', 'Type of Work', 'Construction Type'],
+  description: ['Project Description', 'Description of Work', 'Work Description'],
+  address: ['Work Location', 'Site Address', 'Project Address'],
+  status: ['Record Status', 'Permit Status', 'Status'],
+  issued_date: ['Issued Date', 'Date Issued', 'Issue Date', 'Issued'],
+  finaled_date: ['Finaled Date', 'Date Finaled', 'Final Date', 'Finaled']
+};
+
+// Columns written to the permits table, in schema order (permit_id is the upsert key)
+const PERMIT_COLUMNS = [
+  'value', 'address', 'description', 'applicant', 'contractor', 'architect', 'owner',
+  'square_footage', 'use_type', 'work_class', 'property_type', 'status', 'status_stage',
+  'date_filed', 'issued_date', 'finaled_date', 'city', 'source_url',
+  'address_normalized', 'suite', 'latitude', 'longitude', 'apn', 'building_key'
+];
+
+// Permit fields a column in a city's open-data export can be mapped to
+const OPEN_DATA_FIELDS = [
+  'record_number', 'value', 'address', 'description', 'applicant', 'contractor', 'architect',
+  'owner', 'square_footage', 'use_type', 'work_class', 'property_type', 'status', 'date_filed',
+  'issued_date', 'finaled_date', 'source_url'
+];
+
+const WORK_CLASSES = [
+  { workClass: 'tenant_improvement', pattern: /tenant\s+improvement|\bT\.?I\.?\b|interior\s+(?:remodel|build[\s-]?out)/i },
+  { workClass: 'addition', pattern: /\baddition\b/i },
+  { workClass: 'new', pattern: /\bnew\s+(?:construction|building|commercial|industrial|office|structure)\b|\bnew\b/i }
+];
+
+// Lifecycle stages in order; portal status strings are mapped onto them by the first matching pattern.
+// Stage words must stand alone: "Incomplete" is not complete, "Inactive" is not active, and a
+// permit "Pending Final" inspection is still issued. A final inspection is only finaled once it
+// has passed; "Final Inspection Scheduled" is still issued.
+const STATUS_STAGES = [
+  { stage: 'finaled', pattern: /^(?!.*\bpending\s+final).*(?:\bfinal(?:ed|ized)\b|\bfinal\b(?!\s+inspection\b(?!\s+(?:passed|approved)))|certificate of occupancy|\bc\.?\s?of\s?o\b|\bcomplete[d]?\b)/i },
+  { stage: 'closed', pattern: /\bclosed\b|expired|void|withdrawn|cancel|denied|revoked/i },
+  { stage: 'issued', pattern: /issued\b|\bactive\b|under construction|inspection|pending\s+final/i },
+  { stage: 'in_review', pattern: /review|plan check|pending|in process|corrections|\bincomplete\b|approved|ready to issue/i },
+  { stage: 'applied', pattern: /appl|received|submitted|intake|open/i }
+];
+
+// Stages after which a permit no longer changes and is not re-checked
+const TERMINAL_STAGES = ['finaled', 'closed'];
+
+function readLabeledFields(text) {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const fields = {};
+
+  for (const [field, labels] of Object.entries(FIELD_LABELS)) {
+    for (let i = 0; i < lines.length && fields[field] === undefined; i++) {
+      const lower = lines[i].toLowerCase();
+      const label = labels.find(candidate => {
+        const wanted = candidate.toLowerCase();
+        // Only a whole label counts - "Owner" must not match "Ownership History"
+        return lower.startsWith(wanted) && !/[a-z0-9]/.test(lower.charAt(wanted.length));
+      });
+      if (!label) continue;
+
+      const inline = lines[i].slice(label.length).replace(/^[:\s]+/, '').trim();
+      const value = inline || lines[i + 1] || null;
+      if (value) fields[field] = value;
+    }
+  }
+
+  return fields;
+}
+
+function parseSquareFootage(value) {
+  if (value === null || value === undefined) return null;
+  const match = value.toString().replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? Math.round(parseFloat(match[0])) : null;
+}
+
+function parseMoney(value) {
+  if (value === null || value === undefined) return null;
+  const amount = parseFloat(value.toString().replace(/[^0-9.]/g, ''));
+  return isNaN(amount) ? null : amount;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Portals spell work class many ways ("Commercial/Tenant Improvement", "TI", "Bldg Addition")
+function classifyWorkClass(...sources) {
+  const text = sources.filter(Boolean).join(' ');
+  if (!text) return null;
+  const match = WORK_CLASSES.find(({ pattern }) => pattern.test(text));
+  return match ? match.workClass : null;
+}
+
+function statusStage(status) {
+  if (!status) return null;
+  const match = STATUS_STAGES.find(({ pattern }) => pattern.test(status));
+  return match ? match.stage : null;
+}
+
+// Read the structured fields out of a detail page or result row. Returns only what was found,
+// with square footage, valuation and dates already converted.
+function extractPermitFields(text) {
+  const fields = readLabeledFields(text);
+
+  return Object.fromEntries(Object.entries({
+    value: parseMoney(fields.valuation),
+    applicant: fields.applicant,
+    contractor: fields.contractor,
+    architect: fields.architect,
+    owner: fields.owner,
+    square_footage: parseSquareFootage(fields.square_footage),
+    use_type: fields.use_type,
+    work_class: fields.work_class ? classifyWorkClass(fields.work_class) : null,
+    description: fields.description,
+    address: fields.address,
+    status: fields.status,
+    issued_date: parseDate(fields.issued_date),
+    finaled_date: parseDate(fields.finaled_date)
+  }).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// The permits table row for a normalized permit (everything except the permit_id key). Fields an
+// adapter did not read stay undefined, so an upsert leaves previously captured values alone.
+function toPermitRecord(permit) {
+  const record = Object.fromEntries(PERMIT_COLUMNS.map(column => [column, permit[column]]));
+  if (permit.status) record.status_stage = statusStage(permit.status);
+  return record;
+}
+
+module.exports = {
+  PERMIT_COLUMNS,
+  OPEN_DATA_FIELDS,
+  TERMINAL_STAGES,
+  readLabeledFields,
+  extractPermitFields,
+  classifyWorkClass,
+  parseSquareFootage,
+  parseMoney,
+  parseDate,
+  statusStage,
+  toPermitRecord
+};
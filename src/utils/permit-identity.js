@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Stable permit identifiers. A permit's ID is derived from its city plus the portal's own record
+// number, so re-scraping the same record always upserts the same row. Portals that don't expose a
+// record number fall back to a content hash of city + address + applicant + valuation.
+
+function cityCode(city) {
+  return (city || 'unknown')
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+function normalizeRecordNumber(recordNumber) {
+  return recordNumber
+    .toString()
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, '');
+}
+
+function normalizeText(value) {
+  return (value || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function contentHash(permit) {
+  const parts = [
+    cityCode(permit.city),
+    normalizeText(permit.address),
+    normalizeText(permit.applicant),
+    permit.value ? Math.round(Number(permit.value)).toString() : ''
+  ];
+
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex').substring(0, 16);
+}
+
+function buildPermitId(permit) {
+  const prefix = cityCode(permit.city);
+  if (permit.record_number && normalizeRecordNumber(permit.record_number)) {
+    return `${prefix}:${normalizeRecordNumber(permit.record_number)}`;
+  }
+  return `${prefix}:h-${contentHash(permit)}`;
+}
+
+// IDs written before stable identifiers existed embedded Date.now() (e.g. "TU-1718000000000-3",
+// "permit_1718000000000_3", "1718000000000_3")
+function isLegacyPermitId(permitId) {
+  return !permitId || /\d{13}[-_]\d+$/.test(permitId);
+}
+
+module.exports = {
+  buildPermitId,
+  contentHash,
+  cityCode,
+  normalizeRecordNumber,
+  isLegacyPermitId
+};
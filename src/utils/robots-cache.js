@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../.cache/robots');
+const FETCH_TIMEOUT = 10000; // 10 seconds
+const RETRY_AFTER_FAILURE = 60 * 60 * 1000; // 1 hour
+
+// Parse the group of a robots.txt that applies to userAgent: the group naming the agent's
+// token if there is one, otherwise the `*` group. Returns { rules, crawlDelay } where rules
+// are { allow, pattern } and crawlDelay is in milliseconds (null when unset).
+function parseRobots(text, userAgent) {
+  const token = userAgent.toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds >= 0) current.crawlDelay = Math.round(seconds * 1000);
+    }
+  }
+
+  const matching = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const applicable = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: applicable.flatMap(group => group.rules),
+    crawlDelay: applicable.reduce((delay, group) => (group.crawlDelay !== null ? Math.max(delay ?? 0, group.crawlDelay) : delay), null)
+  };
+}
+
+// `*` matches any run of characters and a trailing `$` anchors the end of the path
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The longest matching rule wins; Allow wins a tie. No matching rule means allowed.
+function isUrlAllowed(robots, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+  let best = null;
+
+  for (const rule of robots.rules) {
+    if (!patternToRegExp(rule.pattern).test(target)) continue;
+    if (!best || rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * robots.txt for every host the scrapers visit, kept on disk under .cache/robots so a restart
+ * doesn't re-download them. A cached copy is refreshed after ROBOTS_CACHE_TTL_HOURS (24).
+ *
+ * A 4xx response means the site has no robots.txt and everything is allowed. When the file
+ * can't be fetched (timeout, 5xx) the stale copy is used if there is one, otherwise the host
+ * is treated as unrestricted; either way the download is retried an hour later.
+ */
+class RobotsCache {
+  constructor() {
+    this.cacheDir = process.env.ROBOTS_CACHE_DIR
+      ? path.resolve(process.env.ROBOTS_CACHE_DIR)
+      : DEFAULT_CACHE_DIR;
+    this.ttl = (parseFloat(process.env.ROBOTS_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.userAgent = process.env.ROBOTS_USER_AGENT || 'IntelliSense';
+    this.hosts = new Map(); // origin -> { robots, fetchedAt }
+    this.pending = new Map(); // origin -> in-flight load
+  }
+
+  cacheFile(origin) {
+    return path.join(this.cacheDir, `${origin.replace(/[^a-z0-9.-]+/gi, '_')}.txt`);
+  }
+
+  async get(url) {
+    const { origin } = new URL(url);
+    const cached = this.hosts.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < this.ttl) return cached.robots;
+
+    // Concurrent pages on the same host share one download
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this.load(origin).finally(() => this.pending.delete(origin)));
+    }
+    return await this.pending.get(origin);
+  }
+
+  async isAllowed(url) {
+    return isUrlAllowed(await this.get(url), url);
+  }
+
+  async getCrawlDelay(url) {
+    return (await this.get(url)).crawlDelay;
+  }
+
+  async load(origin) {
+    const file = this.cacheFile(origin);
+    let stale = null;
+
+    try {
+      const stat = fs.statSync(file);
+      stale = fs.readFileSync(file, 'utf8');
+      if (Date.now() - stat.mtimeMs < this.ttl) {
+        return this.remember(origin, stale, stat.mtimeMs);
+      }
+    } catch (error) {
+      // Not cached yet
+    }
+
+    try {
+      const response = await fetch(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT)
+      });
+
+      if (response.status >= 500) {
+        throw new Error(`robots.txt returned ${response.status}`);
+      }
+
+      const text = response.ok ? await response.text() : '';
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      fs.writeFileSync(file, text);
+      logger.debug('Fetched robots.txt', { origin, status: response.status });
+
+      return this.remember(origin, text, Date.now());
+    } catch (error) {
+      logger.warn(`Could not fetch robots.txt for ${origin}`, {
+        error: error.message,
+        usingCachedCopy: stale !== null
+      });
+      // Try again in an hour rather than a full TTL
+      return this.remember(origin, stale || '', Date.now() - this.ttl + RETRY_AFTER_FAILURE);
+    }
+  }
+
+  remember(origin, text, fetchedAt) {
+    const robots = parseRobots(text, this.userAgent);
+    this.hosts.set(origin, { robots, fetchedAt });
+    return robots;
+  }
+}
+
+// Create singleton instance
+const robotsCache = new RobotsCache();
+
+module.exports = robotsCache;
+module.exports.parseRobots = parseRobots;
+module.exports.isUrlAllowed = isUrlAllowed;
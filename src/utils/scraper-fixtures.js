@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../fixtures/scrapers');
+
+// Response types worth keeping; images, stylesheets, fonts and media are never recorded
+const RECORDED_TYPES = ['document', 'xhr', 'fetch', 'script', 'other'];
+
+// Hop-by-hop and encoding headers no longer describe the decoded body we store
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'set-cookie'];
+
+/**
+ * Fixture capture and replay for the Puppeteer scrapers.
+ *
+ * SCRAPER_FIXTURE_MODE=record saves every response a scraper page receives (plus a snapshot of
+ * each rendered page) under SCRAPER_FIXTURE_DIR/<scope>/. SCRAPER_FIXTURE_MODE=replay serves
+ * those responses back through request interception and fails anything that was not recorded,
+ * so extractors run against the same HTML every time with no network access. Feed scrapers that
+ * call JSON APIs directly go through fetch() and are recorded and replayed the same way.
+ */
+class ScraperFixtures {
+  constructor() {
+    this.mode = (process.env.SCRAPER_FIXTURE_MODE || 'off').toLowerCase();
+    this.fixtureDir = process.env.SCRAPER_FIXTURE_DIR
+      ? path.resolve(process.env.SCRAPER_FIXTURE_DIR)
+      : DEFAULT_FIXTURE_DIR;
+    this.scopes = new Map();
+
+    if (!['off', 'record', 'replay'].includes(this.mode)) {
+      throw new Error(`SCRAPER_FIXTURE_MODE must be record, replay or off (got "${this.mode}")`);
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  isEnabled() {
+    return this.mode !== 'off';
+  }
+
+  // Hook a page into the current mode. scope names the fixture set, e.g. "irvine" or "permits/tustin"
+  async attach(page, scope) {
+    if (this.isRecording()) {
+      this.attachRecorder(page, scope);
+    } else if (this.isReplaying()) {
+      await this.attachReplayer(page, scope);
+    }
+    return page;
+  }
+
+  scopeDir(scope) {
+    return path.join(this.fixtureDir, ...scope.split('/'));
+  }
+
+  // Fixture index for a scope: the list of recorded responses plus per-key replay cursors
+  getScope(scope) {
+    if (!this.scopes.has(scope)) {
+      const dir = this.scopeDir(scope);
+      const indexPath = path.join(dir, 'index.json');
+      const entries = fs.existsSync(indexPath)
+        ? JSON.parse(fs.readFileSync(indexPath, 'utf8')).entries
+        : [];
+
+      this.scopes.set(scope, {
+        dir,
+        indexPath,
+        // A fresh recording replaces whatever was captured before
+        entries: this.isRecording() ? [] : entries,
+        cursors: new Map(),
+        snapshots: 0
+      });
+
+      if (this.isRecording()) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.mkdirSync(path.join(dir, 'responses'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'pages'), { recursive: true });
+      } else if (entries.length === 0) {
+        logger.warn('No scraper fixtures recorded for scope', { scope, dir });
+      }
+    }
+    return this.scopes.get(scope);
+  }
+
+  requestKey(method, url, postData) {
+    const bodyHash = postData
+      ? crypto.createHash('sha1').update(postData).digest('hex').substring(0, 12)
+      : '';
+    return `${method} ${url} ${bodyHash}`.trim();
+  }
+
+  attachRecorder(page, scope) {
+    const fixtures = this.getScope(scope);
+
+    page.on('response', async (response) => {
+      const request = response.request();
+      if (!RECORDED_TYPES.includes(request.resourceType())) return;
+
+      const status = response.status();
+      let body = Buffer.alloc(0);
+
+      // Redirects and some aborted responses have no body to read
+      if (status < 300 || status >= 400) {
+        try {
+          body = await response.buffer();
+        } catch (error) {
+          logger.debug('Fixture body unavailable', { url: request.url(), error: error.message });
+        }
+      }
+
+      this.saveEntry(fixtures, {
+        method: request.method(),
+        url: request.url(),
+        postData: request.postData(),
+        resourceType: request.resourceType(),
+        status,
+        headers: response.headers(),
+        body
+      });
+      this.writeIndex(scope);
+    });
+
+    // Rendered HTML after scripts ran - what the extractor actually saw
+    page.on('load', async () => {
+      try {
+        const html = await page.content();
+        const name = `pages/${String(fixtures.snapshots++).padStart(3, '0')}.html`;
+        fs.writeFileSync(path.join(fixtures.dir, name), html);
+      } catch (error) {
+        logger.debug('Page snapshot skipped', { scope, error: error.message });
+      }
+    });
+
+    logger.info('Recording scraper fixtures', { scope, dir: fixtures.dir });
+  }
+
+  async attachReplayer(page, scope) {
+    const fixtures = this.getScope(scope);
+
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      const entry = this.findEntry(fixtures, request.method(), request.url(), request.postData());
+      if (!entry) {
+        if (['document', 'xhr', 'fetch'].includes(request.resourceType())) {
+          logger.warn('No fixture for request, failing it', { scope, method: request.method(), url: request.url() });
+        }
+        request.abort('internetdisconnected', 0);
+        return;
+      }
+
+      request.respond({
+        status: entry.status,
+        headers: entry.headers,
+        body: fs.readFileSync(path.join(fixtures.dir, entry.file))
+      }, 0);
+    });
+
+    logger.info('Replaying scraper fixtures', { scope, dir: fixtures.dir, responses: fixtures.entries.length });
+  }
+
+  // Exact match first (method, URL and POST body). Form posts whose body drifts between runs
+  // (dates, view state) fall back to the recorded responses for that method and URL, in order.
+  findEntry(fixtures, method, url, postData) {
+    const key = this.requestKey(method, url, postData);
+    const exact = fixtures.entries.filter(entry => entry.key === key);
+    if (exact.length > 0) return this.nextEntry(fixtures, key, exact);
+
+    const loose = fixtures.entries.filter(entry => entry.method === method && entry.url === url);
+    if (loose.length > 0) return this.nextEntry(fixtures, `${method} ${url}`, loose);
+
+    return null;
+  }
+
+  // Repeated requests replay their recorded responses in sequence, then keep returning the last one
+  nextEntry(fixtures, cursorKey, candidates) {
+    const position = fixtures.cursors.get(cursorKey) || 0;
+    fixtures.cursors.set(cursorKey, position + 1);
+    return candidates[Math.min(position, candidates.length - 1)];
+  }
+
+  saveEntry(fixtures, { method, url, postData, resourceType, status, headers, body }) {
+    const file = `responses/${String(fixtures.entries.length).padStart(4, '0')}-${crypto.createHash('sha1').update(body).digest('hex').substring(0, 12)}`;
+
+    fs.writeFileSync(path.join(fixtures.dir, file), body);
+    fixtures.entries.push({
+      key: this.requestKey(method, url, postData),
+      method,
+      url,
+      resourceType,
+      status,
+      headers: Object.fromEntries(
+        Object.entries(headers).filter(([name]) => !DROPPED_HEADERS.includes(name.toLowerCase()))
+      ),
+      file
+    });
+  }
+
+  // fetch() counterpart of attach() for scrapers that read JSON feeds without a browser.
+  // request performs the live call (defaults to the global fetch); replay answers from the
+  // scope's fixtures and throws for anything that was not recorded.
+  async fetch(scope, url, options = {}, request = fetch) {
+    const method = (options.method || 'GET').toUpperCase();
+    const postData = typeof options.body === 'string' ? options.body : undefined;
+
+    if (this.isReplaying()) {
+      const fixtures = this.getScope(scope);
+      const entry = this.findEntry(fixtures, method, url, postData);
+      if (!entry) {
+        logger.warn('No fixture for request, failing it', { scope, method, url });
+        throw new Error(`No fixture recorded for ${method} ${url}`);
+      }
+      return new Response(fs.readFileSync(path.join(fixtures.dir, entry.file)), {
+        status: entry.status,
+        headers: entry.headers
+      });
+    }
+
+    const response = await request(url, options);
+    if (!this.isRecording()) return response;
+
+    const fixtures = this.getScope(scope);
+    const body = Buffer.from(await response.arrayBuffer());
+    this.saveEntry(fixtures, {
+      method,
+      url,
+      postData,
+      resourceType: 'fetch',
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      body
+    });
+    this.writeIndex(scope);
+
+    return new Response(body, { status: response.status, headers: response.headers });
+  }
+
+  writeIndex(scope) {
+    const fixtures = this.scopes.get(scope);
+    fs.writeFileSync(fixtures.indexPath, JSON.stringify({
+      scope,
+      recordedAt: new Date().toISOString(),
+      entries: fixtures.entries
+    }, null, 2));
+  }
+
+  // Start the next replay from the first recorded response again
+  reset() {
+    this.scopes.clear();
+  }
+}
+
+// Create singleton instance
+const scraperFixtures = new ScraperFixtures();
+
+module.exports = scraperFixtures;
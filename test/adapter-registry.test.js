@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const permitAdapters = require('../src/scrapers/permit-adapters');
+const jobAdapters = require('../src/scrapers/job-adapters');
+
+test('each registry loads the adapters in its own directory', () => {
+  assert.ok(permitAdapters.listAdapterTypes().includes('accela'));
+  assert.ok(jobAdapters.listAdapterTypes().includes('greenhouse'));
+  assert.ok(!permitAdapters.listAdapterTypes().includes('greenhouse'));
+  assert.ok(permitAdapters.getAdapter('gis') instanceof permitAdapters.PermitPortalAdapter);
+  assert.equal(jobAdapters.getAdapter('unknown'), null);
+});
+
+test('rejects classes that do not extend the base adapter or lack a type', () => {
+  assert.throws(() => permitAdapters.registerAdapter(class Other {}), /Permit adapters must extend PermitPortalAdapter/);
+  assert.throws(
+    () => jobAdapters.registerAdapter(class Untyped extends jobAdapters.JobSourceAdapter {}),
+    /Job adapter Untyped is missing a static type/
+  );
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAddress, buildingKey, isPlaceholderAddress } = require('../src/utils/address-normalizer');
+
+test('standardizes suffixes, suites, city and ZIP', () => {
+  const address = normalizeAddress('12345 Von Karman Avenue, Suite 200, Irvine CA 92614');
+
+  assert.equal(address.line1, '12345 VON KARMAN AVE');
+  assert.equal(address.suite, 'STE 200');
+  assert.equal(address.city, 'IRVINE');
+  assert.equal(address.zip, '92614');
+  assert.equal(address.formatted, '12345 VON KARMAN AVE, STE 200, IRVINE, CA 92614');
+});
+
+test('reads a # suite and falls back to the default city', () => {
+  const address = normalizeAddress('12345 VON KARMAN AVE #200', 'Irvine');
+
+  assert.equal(address.line1, '12345 VON KARMAN AVE');
+  assert.equal(address.suite, 'STE 200');
+  assert.equal(address.city, 'IRVINE');
+});
+
+test('abbreviates leading and trailing directionals', () => {
+  assert.equal(normalizeAddress('1500 South Harbor Boulevard, Anaheim').line1, '1500 S HARBOR BLVD');
+});
+
+test('suites of one building share its key', () => {
+  const first = normalizeAddress('4400 MacArthur Blvd, Suite 600, Newport Beach, CA 92660');
+  const second = normalizeAddress('4400 MacArthur Boulevard #650, Newport Beach');
+
+  assert.equal(buildingKey(first), '4400 MACARTHUR BLVD|NEWPORT BEACH');
+  assert.equal(buildingKey(first), buildingKey(second));
+});
+
+test('returns null for placeholders and addresses without a house number', () => {
+  assert.equal(isPlaceholderAddress('Address not specified'), true);
+  assert.equal(isPlaceholderAddress('Irvine, CA'), true);
+  assert.equal(normalizeAddress('Irvine, CA'), null);
+  assert.equal(normalizeAddress('Von Karman Ave, Irvine'), null);
+  assert.equal(buildingKey(normalizeAddress('12345 Von Karman Ave')), null);
+});
+
+test('a unit word without a unit number is part of the street', () => {
+  assert.equal(normalizeAddress('2 Unit Rd, Irvine').line1, '2 UNIT RD');
+  assert.equal(normalizeAddress('18 Floor St, Irvine').suite, null);
+  assert.equal(normalizeAddress('1 Park Plz Bldg B, Irvine').suite, 'BLDG B');
+});
+
+test('a directional that names the street is kept', () => {
+  assert.equal(normalizeAddress('100 West Street, Tustin').line1, '100 WEST ST');
+  assert.equal(normalizeAddress('100 West Main Street, Tustin').line1, '100 W MAIN ST');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const circuitBreakers = require('../src/utils/circuit-breaker');
+const { STATES } = require('../src/utils/circuit-breaker');
+
+function breakers() {
+  const instance = new circuitBreakers.constructor();
+  instance.failureThreshold = 3;
+  instance.cooldownMs = 1000;
+  return instance;
+}
+
+test('opens after the failure threshold and skips the source', () => {
+  const instance = breakers();
+  for (let i = 0; i < 3; i++) instance.recordFailure('permits:tustin', new Error('timeout'));
+
+  assert.equal(instance.get('permits:tustin').state, STATES.OPEN);
+  assert.equal(instance.canRun('permits:tustin'), false);
+  assert.deepEqual(instance.getStats().open, ['permits:tustin']);
+});
+
+test('half-opens after the cool-down and lets one probe through', () => {
+  const instance = breakers();
+  for (let i = 0; i < 3; i++) instance.recordFailure('jobs:indeed');
+  instance.get('jobs:indeed').openedAt -= 1000;
+
+  assert.equal(instance.canRun('jobs:indeed'), true);
+  assert.equal(instance.get('jobs:indeed').state, STATES.HALF_OPEN);
+  assert.equal(instance.canRun('jobs:indeed'), false);
+
+  instance.recordSuccess('jobs:indeed');
+  assert.equal(instance.get('jobs:indeed').state, STATES.CLOSED);
+  assert.equal(instance.canRun('jobs:indeed'), true);
+});
+
+test('a failed probe re-opens the breaker', () => {
+  const instance = breakers();
+  for (let i = 0; i < 3; i++) instance.recordFailure('permits:anaheim');
+  instance.get('permits:anaheim').openedAt -= 1000;
+  instance.canRun('permits:anaheim');
+
+  instance.recordFailure('permits:anaheim', new Error('still down'));
+  assert.equal(instance.get('permits:anaheim').state, STATES.OPEN);
+  assert.equal(instance.get('permits:anaheim').trips, 2);
+  assert.equal(instance.canRun('permits:anaheim'), false);
+});
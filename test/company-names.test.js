@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCompanyName, scoreNames } = require('../src/analysis/company-names');
+
+test('normalizes legal forms, domains and punctuation away', () => {
+  assert.equal(normalizeCompanyName('Amazon.com, Inc.'), 'amazon');
+  assert.equal(normalizeCompanyName('Edwards Lifesciences Corp.'), 'edwards lifesciences');
+  assert.equal(normalizeCompanyName('The Boeing Company'), 'boeing company');
+  assert.equal(normalizeCompanyName('Procter & Gamble Co'), 'procter and gamble');
+  assert.equal(normalizeCompanyName('LLC'), 'llc');
+});
+
+test('an exact name scores 1', () => {
+  assert.equal(scoreNames('edwards lifesciences', 'edwards lifesciences'), 1);
+});
+
+test('a company name plus entity words scores as a strong match', () => {
+  assert.equal(scoreNames('edwards lifesciences real estate', 'edwards lifesciences'), 0.92);
+});
+
+test('misspellings score high and unrelated names low', () => {
+  assert.ok(scoreNames('edwards lifescience', 'edwards lifesciences') > 0.8);
+  assert.ok(scoreNames('pacific harbor holdings', 'edwards lifesciences') < 0.3);
+});
+
+test('a one-word brand plus entity words scores below the auto-link threshold', () => {
+  const cases = [
+    ['Target Realty Group', 'Target'],
+    ['Meta Properties LLC', 'Meta'],
+    ['Intel Realty', 'Intel'],
+    ['Honda Development Group', 'Honda']
+  ];
+
+  for (const [name, brand] of cases) {
+    const score = scoreNames(normalizeCompanyName(name), normalizeCompanyName(brand));
+    assert.ok(score < 0.9 && score >= 0.6, `${name}: ${score}`);
+  }
+});
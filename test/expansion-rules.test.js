@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RULES, evaluateRules, cityName } = require('../src/analysis/expansion-rules');
+
+const weights = new Map(RULES.map(rule => [rule.id, rule.weight]));
+
+function evidence(overrides = {}) {
+  return {
+    company: { name: 'Harborline Robotics' },
+    tracked: false,
+    watchlisted: false,
+    permits: [],
+    jobs: [],
+    postings: [],
+    hiring: [],
+    hiringCities: new Set(),
+    ...overrides
+  };
+}
+
+function firedRules(result) {
+  return result.signals.map(signal => signal.rule);
+}
+
+test('no evidence scores 0', () => {
+  assert.deepEqual(evaluateRules(evidence(), { weights, maxScore: 100 }), { score: 0, signals: [] });
+});
+
+test('permit rules fire on work class, value, size and stage', () => {
+  const result = evaluateRules(evidence({
+    permits: [{ address: '2852 Walnut Ave', city: 'Tustin', value: 3400000, square_footage: 48000, work_class: 'new', status_stage: 'issued' }]
+  }), { weights, maxScore: 100 });
+
+  assert.deepEqual(firedRules(result), ['permit_new_construction', 'permit_high_value', 'permit_large_space', 'permit_issued']);
+  assert.equal(result.score, 45);
+  assert.equal(result.signals[0].reason, 'New construction permit: 2852 Walnut Ave, $3.4M, 48,000 sq ft');
+});
+
+test('hiring rules fire on acceleration, new families and leadership roles', () => {
+  const result = evaluateRules(evidence({
+    hiring: [{ accelerating: true, weekOverWeek: { previous: 2, current: 6, growthPct: 200 }, newCities: [], newRoleFamilies: ['warehouse_logistics'], byRoleFamily: [] }],
+    postings: [{ title: 'Director of Operations', location: 'Irvine, CA', facility_role: true, role_family: 'operations', description: 'Lead the opening of our new facility' }]
+  }), { weights, maxScore: 100 });
+
+  assert.deepEqual(firedRules(result), ['hiring_acceleration', 'new_role_family', 'site_leadership_roles', 'expansion_language']);
+  assert.equal(result.signals[0].reason, 'Open postings rose from 2 to 6 in a week (+200%)');
+});
+
+test('facility roles fire on growth in space-related families, not on a standing count', () => {
+  const hiring = (byRoleFamily) => [{ accelerating: false, newCities: [], newRoleFamilies: [], byRoleFamily }];
+  const growing = evaluateRules(evidence({
+    hiring: hiring([
+      { role_family: 'facilities', current: 4, previous: 1, change: 3 },
+      { role_family: 'warehouse_logistics', current: 2, previous: 1, change: 1 },
+      { role_family: 'engineering', current: 9, previous: 2, change: 7 }
+    ])
+  }), { weights, maxScore: 100 });
+  const steady = evaluateRules(evidence({
+    hiring: hiring([{ role_family: 'facilities', current: 12, previous: 12, change: 0 }])
+  }), { weights, maxScore: 100 });
+  const noBaseline = evaluateRules(evidence({
+    hiring: hiring([{ role_family: 'facilities', current: 12, previous: null, change: null }])
+  }), { weights, maxScore: 100 });
+
+  assert.deepEqual(firedRules(growing), ['facility_roles']);
+  assert.equal(growing.signals[0].reason, 'Space-related open postings rose from 2 to 6 in a week');
+  assert.deepEqual(firedRules(steady), []);
+  assert.deepEqual(firedRules(noBaseline), []);
+});
+
+test('job locations reduce to the city name', () => {
+  assert.equal(cityName('Irvine, CA 92618'), 'irvine');
+  assert.equal(cityName('Costa Mesa, California'), 'costa mesa');
+  assert.equal(cityName('Irvine'), 'irvine');
+  assert.equal(cityName(null), '');
+});
+
+test('a permit city matches hiring in the same city whatever the location format', () => {
+  const permits = [{ address: '17 Technology Dr', city: 'Irvine', work_class: 'alteration' }];
+  const same = evaluateRules(evidence({ permits, hiringCities: new Set(['Irvine, CA 92618'].map(cityName)) }), { weights, maxScore: 100 });
+  const other = evaluateRules(evidence({ permits, hiringCities: new Set(['Tustin, CA'].map(cityName)) }), { weights, maxScore: 100 });
+
+  assert.ok(firedRules(same).includes('permit_and_hiring_same_city'));
+  assert.ok(!firedRules(other).includes('permit_and_hiring_same_city'));
+});
+
+test('the score is capped and rules without weight are skipped', () => {
+  const result = evaluateRules(evidence({ tracked: true, watchlisted: true }), {
+    weights: new Map([['tracked_company', 30], ['watchlisted_company', 0]]),
+    maxScore: 20
+  });
+
+  assert.deepEqual(firedRules(result), ['tracked_company']);
+  assert.equal(result.score, 20);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const hiringVelocity = require('../src/analysis/hiring-velocity');
+
+const metrics = new hiringVelocity.constructor();
+
+function snapshot(date, company, openPostings, city = 'Irvine', roleFamily = 'facilities') {
+  return {
+    snapshot_date: new Date(`${date}T00:00:00Z`),
+    company,
+    company_key: hiringVelocity.companyKey(company),
+    city,
+    role_family: roleFamily,
+    open_postings: openPostings,
+    new_postings: 0,
+    closed_postings: 0
+  };
+}
+
+test('a company with no postings a week ago accelerates from 0', () => {
+  const rows = [snapshot('2025-10-08', 'Acme Robotics', 4), snapshot('2025-10-08', 'Acme Robotics', 2, 'Tustin', 'warehouse_logistics')];
+  // Snapshots ran on both days; Acme was only in the later one
+  const snapshotDates = [new Date('2025-10-01T00:00:00Z'), new Date('2025-10-08T00:00:00Z')];
+
+  const result = metrics.computeMetrics(rows, snapshotDates);
+
+  assert.deepEqual(result.weekOverWeek, { current: 6, previous: 0, change: 6, growthPct: null });
+  assert.equal(result.accelerating, true);
+  assert.deepEqual(result.byCity.map(city => [city.city, city.previous]), [['Irvine', 0], ['Tustin', 0]]);
+});
+
+test('without a snapshot a week back there is no week-over-week change', () => {
+  const result = metrics.computeMetrics([snapshot('2025-10-08', 'Acme Robotics', 6)]);
+
+  assert.equal(result.weekOverWeek.change, null);
+  assert.equal(result.accelerating, false);
+});
+
+test('compares against the latest snapshot at least a week older', () => {
+  const rows = [
+    snapshot('2025-09-29', 'Acme Robotics', 2),
+    snapshot('2025-10-01', 'Acme Robotics', 4),
+    snapshot('2025-10-03', 'Acme Robotics', 5),
+    snapshot('2025-10-08', 'Acme Robotics', 8)
+  ];
+
+  const result = metrics.computeMetrics(rows);
+
+  assert.deepEqual(result.weekOverWeek, { current: 8, previous: 4, change: 4, growthPct: 100 });
+  assert.equal(result.accelerating, true);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchOrangeCountyLocation, parsePostedDate } = require('../src/scrapers/job-adapters/base-adapter');
+
+test('matches Orange County cities in the formats ATS feeds use', () => {
+  assert.equal(matchOrangeCountyLocation('Irvine, CA 92618'), 'Irvine, CA');
+  assert.equal(matchOrangeCountyLocation('US-CA-Irvine'), 'Irvine, CA');
+  assert.equal(matchOrangeCountyLocation('LA HABRA'), 'La Habra, CA');
+  assert.equal(matchOrangeCountyLocation('Orange, CA'), 'Orange, CA');
+  assert.equal(matchOrangeCountyLocation('Orange County'), 'Orange County, CA');
+  assert.equal(matchOrangeCountyLocation('Remote'), null);
+});
+
+test('rejects same-named cities in other states and countries', () => {
+  for (const location of ['Cypress, TX', 'US-TX-Cypress', 'Orange, TX', 'Westminster, CO', 'Stanton, TX', 'Irvine, Scotland', 'Orange County, FL']) {
+    assert.equal(matchOrangeCountyLocation(location), null, location);
+  }
+});
+
+test('checks each location of a multi-location string', () => {
+  assert.equal(matchOrangeCountyLocation('Austin, TX; Irvine, CA'), 'Irvine, CA');
+  assert.equal(matchOrangeCountyLocation('Remote or Costa Mesa, CA'), 'Costa Mesa, CA');
+});
+
+test('reads relative posting dates', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  assert.equal(parsePostedDate('Just posted', now).getTime(), now.getTime());
+  assert.equal(parsePostedDate('Active 3 days ago', now).toISOString(), '2026-10-16T12:00:00.000Z');
+  assert.equal(parsePostedDate('30+ days ago', now), null);
+});
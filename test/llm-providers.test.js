@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLlmClient, listProviderTypes } = require('../src/analysis/llm');
+const { requestKey } = require('../src/analysis/llm/base-provider');
+const { PREDICTION_FUNCTION, validatePredictions } = require('../src/analysis/prediction-schema');
+
+// undefined unsets a variable
+function setEnv(values) {
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[name]; else process.env[name] = value;
+  }
+}
+
+// Sets environment variables for one test and puts the old values back afterwards
+function withEnv(t, values) {
+  const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  setEnv(values);
+  t.after(() => setEnv(saved));
+}
+
+// The request the analysis sends for its predictions
+function predictionRequest(prompt) {
+  return {
+    messages: [{ role: 'user', content: prompt }],
+    tools: [{ type: 'function', function: PREDICTION_FUNCTION }],
+    toolChoice: { type: 'function', function: { name: PREDICTION_FUNCTION.name } }
+  };
+}
+
+function submittedArguments(message) {
+  return message.tool_calls.find(call => call.function.name === PREDICTION_FUNCTION.name).function.arguments;
+}
+
+test('selects the provider from LLM_PROVIDER and rejects unknown ones', (t) => {
+  withEnv(t, { NODE_ENV: 'test', LLM_PROVIDER: 'mock', LLM_MODEL: undefined });
+
+  assert.equal(createLlmClient().describe().provider, 'mock');
+  assert.deepEqual(listProviderTypes(), ['openai', 'openai-compatible', 'mock']);
+  assert.throws(() => createLlmClient({ provider: 'claude' }), /Unknown LLM_PROVIDER "claude"/);
+  assert.throws(() => createLlmClient({ provider: 'openai-compatible' }), /LLM_MODEL is required/);
+});
+
+test('the mock answer passes the prediction schema', async (t) => {
+  withEnv(t, { NODE_ENV: 'test' });
+  const llm = createLlmClient({ provider: 'mock' });
+
+  const message = await llm.complete(predictionRequest('Permits and postings for this week'));
+  const result = validatePredictions(submittedArguments(message));
+
+  assert.equal(result.valid, true, result.errors.join('; '));
+  assert.equal(result.predictions[0].company, 'Harborline Robotics');
+});
+
+test('the mock replays the recording of the same request', async (t) => {
+  withEnv(t, { NODE_ENV: 'test' });
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  t.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+  const request = predictionRequest('No signals this week');
+  const recorded = {
+    role: 'assistant',
+    content: null,
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: PREDICTION_FUNCTION.name, arguments: '{"predictions":[]}' } }]
+  };
+  fs.writeFileSync(path.join(fixtureDir, `${requestKey(request)}.json`), JSON.stringify({ message: recorded }));
+
+  const llm = createLlmClient({ provider: 'mock', fixtureDir });
+  const result = validatePredictions(submittedArguments(await llm.complete(request)));
+
+  assert.deepEqual(result.predictions, []);
+  await assert.rejects(llm.complete(predictionRequest('Something else')), /No LLM fixture/);
+});
+
+test('outside tests the mock needs LLM_PROVIDER=mock', (t) => {
+  withEnv(t, { NODE_ENV: 'production', LLM_PROVIDER: undefined });
+  assert.throws(() => createLlmClient({ provider: 'mock' }), /only used in tests/);
+
+  process.env.LLM_PROVIDER = 'mock';
+  assert.equal(createLlmClient().describe().provider, 'mock');
+});
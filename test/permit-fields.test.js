@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractPermitFields,
+  classifyWorkClass,
+  parseMoney,
+  parseSquareFootage,
+  statusStage
+} = require('../src/utils/permit-fields');
+
+test('reads labeled fields written inline or on the next line', () => {
+  const fields = extractPermitFields([
+    'Job Value($): $1,250,000.00',
+    'Contractor:',
+    'Coastal Interiors Inc',
+    'Square Footage: 42,500 sq ft',
+    'Ownership History: on file',
+    'Issued Date: 03/14/2026'
+  ].join('\n'));
+
+  assert.equal(fields.value, 1250000);
+  assert.equal(fields.contractor, 'Coastal Interiors Inc');
+  assert.equal(fields.square_footage, 42500);
+  assert.equal(fields.owner, undefined);
+  assert.equal(fields.issued_date.getFullYear(), 2026);
+});
+
+test('classifies work class from portal wording', () => {
+  assert.equal(classifyWorkClass('Commercial/Tenant Improvement'), 'tenant_improvement');
+  assert.equal(classifyWorkClass('Interior build-out, 2nd floor'), 'tenant_improvement');
+  assert.equal(classifyWorkClass('Bldg Addition - warehouse'), 'addition');
+  assert.equal(classifyWorkClass('New Commercial Building'), 'new');
+  assert.equal(classifyWorkClass('Re-roof'), null);
+});
+
+test('parses money and square footage', () => {
+  assert.equal(parseMoney('$2,150,000.50'), 2150000.5);
+  assert.equal(parseMoney('n/a'), null);
+  assert.equal(parseSquareFootage('12,480.6 SF'), 12481);
+  assert.equal(parseSquareFootage(null), null);
+});
+
+test('maps portal statuses onto lifecycle stages', () => {
+  assert.equal(statusStage('Finaled'), 'finaled');
+  assert.equal(statusStage('Certificate of Occupancy'), 'finaled');
+  assert.equal(statusStage('Expired'), 'closed');
+  assert.equal(statusStage('Issued'), 'issued');
+  assert.equal(statusStage('Plan Check'), 'in_review');
+  assert.equal(statusStage('Received'), 'applied');
+  assert.equal(statusStage(''), null);
+});
+
+test('incomplete and pending-final statuses are not finaled', () => {
+  assert.equal(statusStage('Application Incomplete'), 'in_review');
+  assert.equal(statusStage('Incomplete Submittal'), 'in_review');
+  assert.equal(statusStage('Pending Final Inspection'), 'issued');
+  assert.equal(statusStage('Final Inspection Passed'), 'finaled');
+  assert.equal(statusStage('Completed'), 'finaled');
+  assert.equal(statusStage('Inactive'), null);
+});
+
+test('scheduled or pending final inspections are issued and closed permits are terminal', () => {
+  assert.equal(statusStage('Final Inspection Scheduled'), 'issued');
+  assert.equal(statusStage('Final Inspection Pending'), 'issued');
+  assert.equal(statusStage('Final Inspection Approved'), 'finaled');
+  assert.equal(statusStage('Final'), 'finaled');
+  assert.equal(statusStage('Finalized'), 'finaled');
+  assert.equal(statusStage('Closed'), 'closed');
+  assert.equal(statusStage('Closed - Withdrawn'), 'closed');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const permitStatusTracker = require('../src/scrapers/permit-status-tracker');
+
+// A tracker whose database writes are kept in memory
+function tracker() {
+  const instance = new permitStatusTracker.constructor();
+  instance.largeProjectValue = 2000000;
+  instance.largeProjectSqft = 10000;
+  instance.updates = [];
+  instance.prisma = {
+    permit: {
+      update: async ({ where, data }) => {
+        instance.updates.push({ id: where.id, data });
+        return { ...instance.permits.get(where.id), ...data };
+      }
+    },
+    permitStatusChange: {
+      create: async ({ data }) => ({ id: instance.updates.length, ...data })
+    }
+  };
+  return instance;
+}
+
+// Answers fetchStatus from a map of permit ID to status; an Error entry is thrown
+function stubAdapter(statuses) {
+  return {
+    fetchStatus: async (page, permit) => {
+      const status = statuses[permit.permit_id];
+      if (status instanceof Error) throw status;
+      return status ? { status } : null;
+    }
+  };
+}
+
+const PERMITS = [
+  { id: 1, permit_id: 'irvine:BLD-1', status: 'Plan Check', status_stage: 'in_review', value: 4800000, square_footage: 62000 },
+  { id: 2, permit_id: 'irvine:BLD-2', status: 'Plan Check', status_stage: 'in_review', value: 400000, square_footage: 2000 },
+  { id: 3, permit_id: 'irvine:BLD-3', status: 'Issued', status_stage: 'issued', value: 3000000, square_footage: 15000 },
+  { id: 4, permit_id: 'irvine:BLD-4', status: 'Issued', status_stage: 'issued', value: 3000000, square_footage: 15000 },
+  { id: 5, permit_id: 'irvine:BLD-5', status: 'Issued', status_stage: 'issued', value: 3000000, square_footage: 15000 },
+  { id: 6, permit_id: 'irvine:BLD-6', status: 'Issued', status_stage: 'issued', value: 3000000, square_footage: 15000 }
+];
+
+const STATUSES = {
+  'irvine:BLD-1': 'Issued', // large project reaching issued
+  'irvine:BLD-2': 'Issued', // small project reaching issued
+  'irvine:BLD-3': 'Final Inspection Scheduled', // new status, same stage
+  'irvine:BLD-4': 'Issued', // unchanged
+  'irvine:BLD-5': null, // page shows no status
+  'irvine:BLD-6': new Error('Navigation timeout')
+};
+
+test('only a large project moving into issued or finaled is significant', async () => {
+  const instance = tracker();
+  instance.permits = new Map(PERMITS.map(permit => [permit.id, permit]));
+  const emitted = [];
+  instance.on('statusChange', event => emitted.push(event));
+
+  const result = await instance.recheckPermits(stubAdapter(STATUSES), null, { name: 'Irvine' }, PERMITS);
+
+  assert.deepEqual(
+    result.events.map(event => [event.permit.permit_id, event.change.to_stage, event.significant]),
+    [['irvine:BLD-1', 'issued', true], ['irvine:BLD-2', 'issued', false], ['irvine:BLD-3', 'issued', false]]
+  );
+  assert.equal(emitted.length, 3);
+});
+
+test('permits without a status are counted as unavailable, not checked', async () => {
+  const instance = tracker();
+  instance.permits = new Map(PERMITS.map(permit => [permit.id, permit]));
+
+  const result = await instance.recheckPermits(stubAdapter(STATUSES), null, { name: 'Irvine' }, PERMITS);
+
+  assert.equal(result.checked, 4);
+  assert.equal(result.unavailable, 1);
+  // Stamped so a limited run moves past it; a failed fetch is left for the next run
+  const unavailable = instance.updates.find(update => update.id === 5);
+  assert.deepEqual(Object.keys(unavailable.data), ['status_checked_at']);
+  assert.equal(instance.updates.some(update => update.id === 6), false);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePredictions } = require('../src/analysis/prediction-schema');
+
+function prediction(overrides = {}) {
+  return {
+    company: 'Harborline Robotics',
+    confidence_score: 82,
+    property_type: 'industrial',
+    location: '15302 Red Hill Ave, Tustin, CA',
+    timeline_days: 120,
+    evidence: ['$3.4M warehouse permit filed by Redhill Logistics LLC'],
+    action_recommendation: 'Contact the facilities lead about additional industrial space',
+    citations: [{ record_type: 'permit', id: 'tustin:BLD2026-00398', role: 'primary', weight: 0.8 }],
+    ...overrides
+  };
+}
+
+test('accepts arguments that match the schema, as an object or JSON string', () => {
+  const args = { predictions: [prediction()] };
+
+  assert.equal(validatePredictions(args).valid, true);
+  assert.deepEqual(validatePredictions(JSON.stringify(args)).predictions, args.predictions);
+});
+
+test('reports missing, out-of-range and unknown fields', () => {
+  const { company, ...withoutCompany } = prediction({ confidence_score: 140, source: 'llm' });
+  const result = validatePredictions({ predictions: [withoutCompany] });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.predictions, null);
+  assert.ok(result.errors.includes('arguments.predictions[0].company is required'));
+  assert.ok(result.errors.includes('arguments.predictions[0].confidence_score must be at most 100'));
+  assert.ok(result.errors.includes('arguments.predictions[0].source is not allowed'));
+});
+
+test('rejects invalid JSON', () => {
+  const result = validatePredictions('{"predictions": [');
+
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0], /not valid JSON/);
+});
+
+test('citations must name records from the prompt', () => {
+  const recordIds = { permit: new Set(['tustin:BLD2026-00412']), job: new Set() };
+  const result = validatePredictions({ predictions: [prediction()] }, { recordIds });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, ['arguments.predictions[0].citations[0] cites unknown permit id tustin:BLD2026-00398']);
+});
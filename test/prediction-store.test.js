@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const predictionStore = require('../src/analysis/prediction-store');
+const { predictionKey, locationKey } = predictionStore;
+
+test('locationKey drops the state and ZIP code', () => {
+  assert.equal(locationKey('Irvine, CA 92618'), 'irvine');
+  assert.equal(locationKey('Irvine, California'), 'irvine');
+  assert.equal(locationKey('Tustin 92780'), 'tustin');
+  assert.equal(locationKey('Costa Mesa, CA'), 'costa-mesa');
+  assert.equal(locationKey(null), '');
+});
+
+test('predictionKey prefers the resolved company and the building key', () => {
+  const fields = { company: 'Edwards Lifesciences', location: 'Irvine, CA 92618', propertyType: 'lab' };
+
+  assert.equal(predictionKey(fields), 'name:edwards-lifesciences|irvine|lab');
+  assert.equal(predictionKey({ ...fields, companyId: 12 }), '12|irvine|lab');
+  assert.equal(predictionKey({ ...fields, companyId: 12, buildingKey: 'bldg:1' }), '12|bldg:1|lab');
+  assert.equal(predictionKey({ ...fields, location: 'Irvine' }), predictionKey(fields));
+});
+
+// A store whose open predictions are kept in memory
+function store(predictions) {
+  const instance = new predictionStore.constructor();
+  instance.updates = [];
+  const tx = {
+    $executeRaw: async () => 0,
+    prediction: {
+      findFirst: async ({ where }) => predictions.find(prediction =>
+        prediction.prediction_key === where.prediction_key && prediction.status === where.status) || null,
+      update: async ({ where, data }) => {
+        instance.updates.push({ id: where.id, data });
+        return { id: where.id, ...data };
+      },
+      create: async ({ data }) => ({ id: 'new', ...data })
+    }
+  };
+  instance.prisma = { $transaction: async (fn) => fn(tx) };
+  return instance;
+}
+
+const RUN = {
+  company: 'Edwards Lifesciences',
+  company_id: 12,
+  location: 'Irvine, CA 92618',
+  prediction_type: 'lab',
+  confidence_score: 80,
+  evidence: ['Lab TI permit filed']
+};
+
+test('a prediction made before its company resolved is revised under the company ID', async () => {
+  const instance = store([{
+    id: 7,
+    prediction_key: 'name:edwards-lifesciences|irvine|lab',
+    company_id: null,
+    status: 'open',
+    revision: 1,
+    confidence_score: 70,
+    evidence: ['Hiring lab technicians'],
+    evidence_links: [],
+    last_seen_at: new Date()
+  }]);
+
+  const result = await instance.save(RUN);
+
+  assert.equal(result.created, false);
+  assert.equal(result.previousConfidence, 70);
+  assert.equal(instance.updates[0].id, 7);
+  assert.equal(instance.updates[0].data.prediction_key, '12|irvine|lab');
+  assert.equal(instance.updates[0].data.company_id, 12);
+  assert.deepEqual(instance.updates[0].data.evidence, ['Hiring lab technicians', 'Lab TI permit filed']);
+});
+
+test('a prediction with no open row under either key is created under the company ID', async () => {
+  const result = await store([]).save(RUN);
+
+  assert.equal(result.created, true);
+  assert.equal(result.prediction.prediction_key, '12|irvine|lab');
+});
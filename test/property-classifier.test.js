@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyProperty, buildPropertyThresholds } = require('../src/analysis/property-classifier');
+
+test('description keywords pick the property type', () => {
+  assert.equal(classifyProperty({ description: 'Tenant improvement for new laboratory suite' }), 'lab');
+  assert.equal(classifyProperty({ description: 'Interior build-out of R&D space' }), 'lab');
+  assert.equal(classifyProperty({ description: 'Research and development facility, 2nd floor' }), 'lab');
+  assert.equal(classifyProperty({ description: 'Outpatient surgery center' }), 'medical');
+  assert.equal(classifyProperty({ description: 'New 250,000 sq ft distribution center' }), 'warehouse');
+  assert.equal(classifyProperty({ description: 'Corporate headquarters remodel' }), 'office');
+  assert.equal(classifyProperty({ description: 'Mixed-use podium with retail and apartments' }), 'mixed_use');
+  assert.equal(classifyProperty({ description: 'Reroof single family dwelling' }), null);
+});
+
+test('research on its own is not a lab', () => {
+  assert.equal(classifyProperty({ description: 'Office TI for Market Research Associates' }), 'office');
+  assert.equal(classifyProperty({ description: 'TI for research firm', use_type: 'B - Business' }), 'office');
+  assert.equal(classifyProperty({ description: 'Cardiff Research Park, Bldg 3 reroof' }), null);
+});
+
+test('occupancy groups outweigh a single keyword', () => {
+  assert.equal(classifyProperty({ description: 'Office and assembly', use_type: 'Group F-1' }), 'industrial');
+  assert.equal(classifyProperty({ description: 'Shell building', use_type: 'S-1/S-2' }), 'warehouse');
+  // Group B alone only decides when nothing else does
+  assert.equal(classifyProperty({ description: 'Suite 200 TI', use_type: 'B - Business' }), 'office');
+  assert.equal(classifyProperty({ description: 'Dental clinic TI', use_type: 'B - Business' }), 'medical');
+});
+
+test('office and retail with equal weight are mixed use', () => {
+  assert.equal(classifyProperty({ description: 'Ground floor retail with offices above' }), 'mixed_use');
+});
+
+test('thresholds follow the office and industrial groups, with overrides by group or type', () => {
+  const thresholds = buildPropertyThresholds({ office: 1000000, industrial: 2000000, fallback: 500000 });
+  assert.equal(thresholds.default, 500000);
+  assert.equal(thresholds.medical, 1000000);
+  assert.equal(thresholds.lab, 2000000);
+  assert.equal(thresholds.warehouse, 2000000);
+
+  const overridden = buildPropertyThresholds({
+    office: 1000000,
+    industrial: 2000000,
+    fallback: 500000,
+    overrides: { minValue: 250000, industrial: 3000000, lab: 750000 }
+  });
+  assert.equal(overridden.default, 250000);
+  assert.equal(overridden.warehouse, 3000000);
+  assert.equal(overridden.lab, 750000);
+  assert.equal(overridden.office, 1000000);
+});
+
+test('groups without a minimum fall back to the flat minimum', () => {
+  const thresholds = buildPropertyThresholds({ fallback: 500000 });
+  assert.equal(thresholds.office, 500000);
+  assert.equal(thresholds.industrial, 500000);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyRoleFamily } = require('../src/analysis/role-family');
+
+test('space-related titles land in their families', () => {
+  assert.equal(classifyRoleFamily('Construction Project Manager'), 'construction');
+  assert.equal(classifyRoleFamily('Property Manager'), 'real_estate');
+  assert.equal(classifyRoleFamily('Distribution Center Manager'), 'warehouse_logistics');
+  assert.equal(classifyRoleFamily('Inventory Control Specialist'), 'warehouse_logistics');
+  assert.equal(classifyRoleFamily('Research Scientist'), 'lab_research');
+  assert.equal(classifyRoleFamily('Scientist II, Assay Development'), 'lab_research');
+  assert.equal(classifyRoleFamily('Research Associate'), 'lab_research');
+});
+
+test('desk jobs that share a space word stay out of the space families', () => {
+  assert.equal(classifyRoleFamily('Senior Data Scientist'), 'engineering');
+  assert.equal(classifyRoleFamily('Market Research Analyst'), 'other');
+  assert.equal(classifyRoleFamily('Property & Casualty Claims Adjuster'), 'other');
+  assert.equal(classifyRoleFamily('Inventory Accountant'), 'corporate');
+  assert.equal(classifyRoleFamily('Software Engineer, Distribution Platform'), 'engineering');
+});
+
+test('falls back to the department, then other', () => {
+  assert.equal(classifyRoleFamily('Associate II', 'Warehouse Operations'), 'warehouse_logistics');
+  assert.equal(classifyRoleFamily('Associate II'), 'other');
+});